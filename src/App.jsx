@@ -1,20 +1,146 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
-  addDoc,
+  arrayRemove,
+  arrayUnion,
   collection,
   deleteDoc,
+  deleteField,
   doc,
   getDoc,
+  getDocs,
+  limit,
   onSnapshot,
   orderBy,
   query,
+  runTransaction,
   serverTimestamp,
   setDoc,
   updateDoc,
   where,
+  writeBatch,
 } from "firebase/firestore";
 import { onAuthStateChanged, signInWithPopup, signOut } from "firebase/auth";
 import { auth, db, googleProvider } from "./firebase";
+import {
+  DEFAULT_RULES,
+  compareRecipe,
+  explainCosts,
+  miningEVBreakdown,
+  netSell,
+  potionProfit,
+  ruleLevels,
+  skillEffects,
+} from "./calc";
+import { simulateSessions } from "./simulate";
+import { rankUpgrades } from "./upgrades";
+import { planProduction } from "./planner";
+import { planPotionPurchases } from "./staminaPlanner";
+import {
+  CAPABILITY_LABELS,
+  RANK_CAPABILITIES,
+  assignableRanks,
+  canAssignRank,
+  hasCapability,
+  rankIndex,
+} from "./ranks";
+import { draftToRules, resolveRules, rulesToDraft } from "./rules";
+import { buildHistoryEntry, historySeries } from "./priceHistory";
+import {
+  DEFAULT_MATERIALS,
+  MATERIAL_MODES,
+  MATERIAL_UNITS,
+  draftToMaterials,
+  materialModes,
+  materialName,
+  materialNames,
+  materialsToDraft,
+  resolveMaterials,
+} from "./materials";
+import {
+  MEMBER_ACTIONS,
+  MEMBER_BATCH_SIZE,
+  MEMBER_STATUS_LABELS,
+  canApplyMemberAction,
+  effectiveStatus,
+  filterMembers,
+  memberActionPatch,
+  memberProjection,
+  sameProjection,
+} from "./members";
+import { isPlainObject, toMillis } from "./values";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_COLLECTION_LABELS,
+  auditChanges,
+  auditEntry,
+  filterAuditEntries,
+  formatAuditValue,
+  pickFields,
+  pickPaths,
+} from "./audit";
+import {
+  MAX_RETENTION_DAYS,
+  TRASH_COLLECTIONS,
+  daysUntilPurge,
+  isDeleted,
+  purgeCutoff,
+  resolveRetentionDays,
+} from "./trash";
+import {
+  AUTHOR_EDIT_WINDOW_MS,
+  TICKET_BOARDS,
+  TICKET_PRIORITIES,
+  TICKET_SORTS,
+  TICKET_STATUSES,
+  allLabels,
+  allTypes,
+  canAuthorEdit,
+  categoryLabel,
+  filterTickets,
+  hasVoted,
+  legacyHandovers,
+  parseLabels,
+  priorityOf,
+  statusLabel,
+  voteCount,
+  withStatusChange,
+} from "./tickets";
+import {
+  CONFLICT_CHOICES,
+  PRICE_SECTIONS,
+  clearPriceOverrides,
+  communityPrice,
+  conflictError,
+  effectivePrices,
+  findConflicts,
+  isOverridden,
+  mergeForSave,
+  nestPaths,
+  pendingEdits,
+  rebasePrices,
+  resolutionPatch,
+  resolveConflicts,
+  sectionValues,
+  setCommunityPrice,
+  setPriceOverride,
+} from "./priceSync";
+import { REVIEW_STATUSES, checkPriceChanges, isValidPrice, parsePrice } from "./priceChecks";
+import { MAX_NOTE_LENGTH, MIN_REPORTS, REPORT_WINDOW_MS, aggregateReports, planPublish } from "./priceReports";
+import {
+  clearLegacyPending,
+  createOp,
+  describeOp,
+  dueOps,
+  enqueueOp,
+  errorCode,
+  expireOps,
+  failOp,
+  loadOutbox,
+  readLegacyPending,
+  removeOp,
+  retryOp,
+  saveOutbox,
+} from "./outbox";
 
 /**
  * =========
@@ -27,17 +153,6 @@ function fmt(n) {
   if (!Number.isFinite(n)) return "-";
   return Math.round(n).toLocaleString("ko-KR");
 }
-function clamp01(x) {
-  if (!Number.isFinite(x)) return 0;
-  return Math.max(0, Math.min(1, x));
-}
-function netSell(gross, feeRate) {
-  return gross * (1 - feeRate);
-}
-function sum(arr) {
-  return arr.reduce((a, b) => a + b, 0);
-}
-
 function getClientId() {
   try {
     const key = "miner_feedback_client_id";
@@ -51,6 +166,76 @@ function getClientId() {
   }
 }
 
+// Legacy posts only carry the filing browser's client id, and private ones
+// cannot be read by their author any more. The browser asks for them once per
+// account; an admin checks the request and hands the posts over.
+function recordLegacyClient(uid, clientId) {
+  const key = "miner_legacy_client_uid";
+  try {
+    if (localStorage.getItem(key) === uid) return;
+  } catch {
+    return;
+  }
+  setDoc(doc(db, "legacyClients", `${clientId}_${uid}`), { clientId, uid, at: serverTimestamp() })
+    .then(() => {
+      localStorage.setItem(key, uid);
+    })
+    .catch(() => {
+      // not approved yet, or offline: try again next time
+    });
+}
+
+function auditActor(authUser) {
+  return { uid: authUser?.uid || "", name: authUser?.displayName || "", email: authUser?.email || "" };
+}
+
+// adds an auditLog entry to `batch`, so it lands together with the change it records
+function logAudit(batch, entry) {
+  batch.set(doc(collection(db, "auditLog")), { ...auditEntry(entry), at: serverTimestamp() });
+}
+
+// moderator edits on a board post, each with its auditLog entry over `auditKeys`
+function updatePost(collectionName, item, patch, action, authUser, auditKeys = Object.keys(patch)) {
+  const batch = writeBatch(db);
+  batch.update(doc(db, collectionName, item.id), patch);
+  logAudit(batch, {
+    action,
+    by: auditActor(authUser),
+    target: { collection: collectionName, id: item.id },
+    before: pickFields(item, auditKeys),
+    after: pickFields(patch, auditKeys),
+  });
+  return batch.commit();
+}
+
+// contact details live apart from the post so only admins ever receive them
+function ticketContactRef(collectionName, id) {
+  return doc(db, collectionName, id, "private", "contact");
+}
+
+// deleting only moves a post to the trash (see src/trash.js)
+function deletePost(collectionName, item, authUser) {
+  const patch = { deletedAt: serverTimestamp(), deletedBy: auditActor(authUser) };
+  return updatePost(collectionName, item, patch, "post.delete", authUser);
+}
+
+function restorePost(collectionName, item, authUser) {
+  return updatePost(collectionName, item, { deletedAt: null, deletedBy: null }, "post.restore", authUser);
+}
+
+// permanent delete of each post and its comments; the audit entry keeps the whole post
+async function purgePosts(collectionName, items, action, authUser) {
+  for (const { id, ...before } of items) {
+    const comments = await getDocs(collection(db, collectionName, id, "comments"));
+    const batch = writeBatch(db);
+    comments.docs.forEach((d) => batch.delete(d.ref));
+    batch.delete(ticketContactRef(collectionName, id));
+    batch.delete(doc(db, collectionName, id));
+    logAudit(batch, { action, by: auditActor(authUser), target: { collection: collectionName, id }, before });
+    await batch.commit();
+  }
+}
+
 /**
  * Numeric input guard
  * - preserve string state while typing
@@ -69,9 +254,6 @@ function toNum(v, fallback = 0) {
 /**
  * Deep merge for localStorage state migration
  */
-function isPlainObject(x) {
-  return x != null && typeof x === "object" && !Array.isArray(x);
-}
 function deepMerge(base, patch) {
   if (!isPlainObject(base) || !isPlainObject(patch)) return patch ?? base;
   const out = { ...base };
@@ -139,6 +321,29 @@ function migrateState(raw, defaults) {
     };
   }
 
+  // v4 -> v5: recipes become an editable list, output prices keyed by recipe id
+  if (incomingVer < 5) {
+    const oldRecipes = s.recipes;
+    const recipes = Array.isArray(oldRecipes)
+      ? oldRecipes
+      : defaults.recipes.map((r) => ({
+          ...r,
+          ingredients: isPlainObject(oldRecipes?.[r.id]) ? oldRecipes[r.id] : r.ingredients,
+        }));
+    const { abilityGrossSell: _a, lifeGrossSell: _l, ...rest } = s;
+    s = {
+      ...rest,
+      recipes,
+      recipeSellPrices: { ...defaults.recipeSellPrices, ...legacyRecipeSellPrices(s), ...(s.recipeSellPrices || {}) },
+    };
+  }
+
+  // v5 -> v6: admin rights come from the user's role, not a local flag
+  if (incomingVer < 6) {
+    const { adminMode: _adminMode, ...rest } = s;
+    s = rest;
+  }
+
   s.schemaVersion = defaults.schemaVersion;
   return s;
 }
@@ -327,119 +532,197 @@ function ToggleButton({ isOn, onClick, labelOn, labelOff }) {
   );
 }
 
-/**
- * =========================
- * Domain rules (user inputs)
- * =========================
- */
-
-// SAGE pick upgrade shards per level
-const SAGE_SHARDS_BY_ENH = {
-  5: 4,
-  6: 4,
-  7: 4,
-  8: 5,
-  9: 5,
-  10: 5,
-  11: 6,
-  12: 6,
-  13: 7,
-  14: 7,
-  15: 12,
+const layerButton = {
+  padding: "2px 8px",
+  borderRadius: 8,
+  border: "1px solid var(--input-border)",
+  background: "var(--panel-bg)",
+  color: "var(--text)",
+  cursor: "pointer",
+  fontSize: 11,
+  fontWeight: 700,
 };
-const RANK_ORDER = ["이장", "부이장", "주민대표", "거주민", "입주자", "알바"];
-
-// gem expert rule by level
-function gemExpertRule(level) {
-  if (level === 1) return { prob: 0.03, count: 1 };
-  if (level === 2) return { prob: 0.07, count: 1 };
-  if (level === 3) return { prob: 0.10, count: 2 };
-  return { prob: 0, count: 0 };
-}
-
-// flaming pick rule by level (prob, ingots)
-// 1~9?덈꺼: 1~9% / 10?덈꺼: 15%
-function flamingPickRule(level) {
-  if (!Number.isFinite(level) || level <= 0) return { prob: 0, ingots: 1 };
-  if (level >= 10) return { prob: 0.15, ingots: 1 };
-  return { prob: level / 100, ingots: 1 };
-}
 
 /**
- * ======================
- * Expected value function
- * ======================
- * ?듭떖 洹쒖튃(?뺤젙):
- * - 遺덈텤? 怨↔눌?닿? 諛쒕룞?섎㈃: 議곌컖 0媛?+ 二쇨눼 1媛?泥?
- * - keep gem expert ordering same as flaming pick values
+ * Price input over the layered model (src/priceSync.js): shows the effective
+ * price and the layer it comes from. `layers` is { state, setS, editLayer };
+ * `paths` are written together and the first one is shown.
  */
-function miningEVBreakdown({
-  staminaPerDig,
-  shardsPerDig,
-  shardsPerIngot,
-  ingotGrossPrice,
-  gemDropProb,
-  gemDropCount,
-  gemGrossPrice,
-  flamingIngotProb,
-  sellFeeRate,
-}) {
-  const spd = Math.max(1, staminaPerDig);
-  const spi = Math.max(1, shardsPerIngot);
-
-  const p = clamp01(flamingIngotProb);
-
-  const ingotNet = netSell(Math.max(0, ingotGrossPrice), sellFeeRate);
-  const gemNet = netSell(Math.max(0, gemGrossPrice), sellFeeRate);
-
-  // ?遺덈텤?? "異붽?"媛 ?꾨땲?"?泥?
-  const ingotFromShardsPerDig = Math.max(0, shardsPerDig) / spi;
-  const ingotFromShardsValuePerDig = ingotFromShardsPerDig * ingotNet;
-
-  const ingotFromFlamePerDig = p * 1;
-  const ingotFromFlameValuePerDig = ingotFromFlamePerDig * ingotNet;
-
-  // 蹂댁꽍? 遺덈텤? ?щ? 臾닿?섍쾶 洹몃?濡?먯젙
-  const gemValuePerDig = clamp01(gemDropProb) * Math.max(0, gemDropCount) * gemNet;
-
-  const totalPerDig = ingotFromShardsValuePerDig + ingotFromFlameValuePerDig + gemValuePerDig;
-  const totalPerStamina = totalPerDig / spd;
-
-  return {
-    pFlame: p,
-    staminaPerDig: spd,
-    shardsPerIngot: spi,
-    ingotNet,
-    gemNet,
-    ingotFromShardsPerDig,
-    ingotFromShardsValuePerDig,
-    ingotFromFlamePerDig,
-    ingotFromFlameValuePerDig,
-    gemValuePerDig,
-    totalPerDig,
-    totalPerStamina,
-  };
+function PriceField({ label, paths, layers, placeholder, suffix = "원" }) {
+  const { state, setS, editLayer, reportStats } = layers;
+  const [path] = paths;
+  const reported = reportStats?.[path];
+  const personal = isOverridden(state, path);
+  const community = communityPrice(state, path);
+  const shown = personal ? state.priceOverrides[path] : community ?? "";
+  const handleChange = (v) =>
+    setS((p) => ({
+      ...p,
+      ...(personal || editLayer === "personal" ? setPriceOverride(p, paths, v) : setCommunityPrice(p, paths, v)),
+    }));
+  return (
+    <div style={{ display: "grid", gap: 4 }}>
+      <Field
+        label={label}
+        value={shown}
+        onChange={handleChange}
+        placeholder={placeholder}
+        min={0}
+        suffix={suffix}
+      />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", fontSize: 11 }}>
+        <span style={{ fontWeight: 800, color: personal ? "var(--accent)" : "inherit", opacity: personal ? 1 : 0.6 }}>
+          {personal ? "개인 값" : "공유 시세"}
+        </span>
+        {personal ? (
+          <>
+            <span style={{ opacity: 0.7 }}>{`공유 ${community || "-"}`}</span>
+            <button onClick={() => setS((p) => ({ ...p, ...clearPriceOverrides(p, paths) }))} style={layerButton}>
+              {"공유 시세로 되돌리기"}
+            </button>
+          </>
+        ) : null}
+        {isValidPrice(shown) ? null : <span style={{ color: "#c0392b", fontWeight: 700 }}>{"숫자만 입력할 수 있습니다."}</span>}
+        {reported ? (
+          <span style={{ opacity: 0.7 }} title={`최근 제보자가 ${MIN_REPORTS}명 이상이면 가중 중앙값이 공유 시세가 됩니다.`}>
+            {`제보 ${reported.count}명 · ${fmt(reported.min)}~${fmt(reported.max)}원`}
+          </span>
+        ) : null}
+      </div>
+    </div>
+  );
 }
 
-/**
- * ======================
- * Crafting profit helpers
- * ======================
- * 蹂寃쎌젏(以묒슂):
- * - ?щ즺 媛寃⑹? market 1媛쒕쭔 ?낅젰
- * - purchase cost uses market value (no fee)
- * - 援щℓ 鍮꾩슜? market 洹몃?濡?섏닔猷?놁쓬)
- */
-function unitCostByMode({ mode, marketPrice }) {
-  if (mode === "owned") return 0;
-  if (mode === "buy") return Math.max(0, marketPrice); // gem expert rule by level
-  // gem expert rule by level: level -> prob/count
+// which layer price inputs write to, and how many personal prices are in use
+function PriceLayerBar({ layers }) {
+  const { state, setS, editLayer, canEditCommunity } = layers;
+  const count = Object.keys(state.priceOverrides || {}).length;
+  return (
+    <div style={{ marginBottom: 10, display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", fontSize: 12 }}>
+      {canEditCommunity ? (
+        <ToggleButton
+          isOn={editLayer === "personal"}
+          onClick={() => setS((p) => ({ ...p, priceEditLayer: editLayer === "personal" ? "community" : "personal" }))}
+          labelOn="입력: 개인 값 (저장 안 됨)"
+          labelOff="입력: 공유 시세"
+        />
+      ) : (
+        <span style={{ opacity: 0.75 }}>{"입력한 시세는 이 기기에서만 쓰는 개인 값으로 적용됩니다."}</span>
+      )}
+      <span style={{ opacity: 0.75 }}>{`개인 값 ${count}개`}</span>
+      {count ? (
+        <button onClick={() => setS((p) => ({ ...p, ...clearPriceOverrides(p) }))} style={layerButton}>
+          {"모두 공유 시세로 되돌리기"}
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+function ConfirmDialog({ title, message, confirmLabel = "확인", onConfirm, onCancel, disabled, children }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0, 0, 0, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: 16,
+        zIndex: 9999,
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: 420,
+          borderRadius: 14,
+          border: "1px solid var(--border)",
+          background: "var(--panel-bg)",
+          color: "var(--text)",
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 900, marginBottom: 10 }}>{title}</div>
+        {message ? <div style={{ fontSize: 13, lineHeight: 1.5, whiteSpace: "pre-wrap" }}>{message}</div> : null}
+        {children ? <div style={{ marginTop: 10 }}>{children}</div> : null}
+        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: "8px 10px",
+              borderRadius: 10,
+              border: "1px solid var(--input-border)",
+              background: "var(--panel-bg)",
+              color: "var(--text)",
+              cursor: "pointer",
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+          >
+            {"취소"}
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={disabled}
+            style={{
+              padding: "8px 10px",
+              borderRadius: 10,
+              border: "1px solid var(--input-border)",
+              background: "var(--accent)",
+              color: "var(--accent-text)",
+              cursor: disabled ? "not-allowed" : "pointer",
+              fontSize: 12,
+              fontWeight: 900,
+              opacity: disabled ? 0.6 : 1,
+            }}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-function craftProfit({ productGrossSellPrice, feeRate, costs }) {
-  const revenue = netSell(Math.max(0, productGrossSellPrice), feeRate);
-  const totalCost = costs.reduce((acc, c) => acc + (c.unitCost || 0) * (c.qty || 0), 0);
-  return { revenue, totalCost, profit: revenue - totalCost };
+function LineChart({ points, height = 200, suffix = "원" }) {
+  if (!points || points.length === 0) {
+    return <div style={{ fontSize: 13, opacity: 0.7 }}>기록이 없습니다.</div>;
+  }
+  const width = 600;
+  const pad = 12;
+  const innerW = width - pad * 2;
+  const innerH = height - pad * 2;
+  const minT = points[0].t;
+  const maxT = points[points.length - 1].t;
+  const values = points.map((p) => p.value);
+  const minV = Math.min(...values);
+  const maxV = Math.max(...values);
+  const x = (t) => pad + (maxT > minT ? ((t - minT) / (maxT - minT)) * innerW : innerW / 2);
+  const y = (v) => pad + (maxV > minV ? (1 - (v - minV) / (maxV - minV)) * innerH : innerH / 2);
+  const line = points.map((p) => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, opacity: 0.7 }}>
+        <span>{`최저 ${fmt(minV)}${suffix}`}</span>
+        <span>{`최고 ${fmt(maxV)}${suffix}`}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} style={{ width: "100%", height: "auto", display: "block" }}>
+        <line x1={pad} x2={width - pad} y1={height - pad} y2={height - pad} stroke="var(--soft-border)" />
+        <polyline points={line} fill="none" stroke="var(--accent)" strokeWidth={2} />
+        {points.map((p, idx) => (
+          <circle key={idx} cx={x(p.t)} cy={y(p.value)} r={3} fill="var(--accent)">
+            <title>{`${new Date(p.t).toLocaleString("ko-KR")} · ${fmt(p.value)}${suffix}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, opacity: 0.7 }}>
+        <span>{new Date(minT).toLocaleDateString("ko-KR")}</span>
+        <span>{new Date(maxT).toLocaleDateString("ko-KR")}</span>
+      </div>
+    </div>
+  );
 }
 
 /**
@@ -447,19 +730,48 @@ function craftProfit({ productGrossSellPrice, feeRate, costs }) {
  * App state
  * ==========
  */
+// 기본 레시피 (ingredients: material key -> qty)
+const DEFAULT_RECIPES = [
+  { id: "ability", name: "어빌리티 스톤", ingredients: { ingot: 3 } },
+  { id: "low", name: "하급 라이프스톤", ingredients: { ingot: 1, stone: 2, redstone: 3, copper: 8 } },
+  { id: "mid", name: "중급 라이프스톤", ingredients: { ingot: 2, deepCobble: 2, diamond: 3, iron: 5, lapis: 5 } },
+  { id: "high", name: "상급 라이프스톤", ingredients: { ingot: 3, diamond: 5, gold: 7, iron: 7, amethyst: 20, copper: 30 } },
+];
+
+// pre-v5 saves kept output prices in abilityGrossSell / lifeGrossSell
+function legacyRecipeSellPrices(src) {
+  const out = {};
+  if (src?.abilityGrossSell != null) out.ability = src.abilityGrossSell;
+  if (isPlainObject(src?.lifeGrossSell)) {
+    for (const k of ["low", "mid", "high"]) {
+      if (src.lifeGrossSell[k] != null) out[k] = src.lifeGrossSell[k];
+    }
+  }
+  return out;
+}
+
 const defaultState = {
-  schemaVersion: 4,
+  schemaVersion: 6,
 
-  activeMenu: "potion", // potion | ingot | profile | feedback | village | members
+  activeMenu: "potion", // potion | ingot | profile | history | feedback | village | members | ranks
   feePct: "5",
   themeMode: "light", // light | dark
 
-  // ?댁젙蹂?  sageEnhLevel: 15, // 5~15
+  // 내정보
+  sageEnhLevel: 15, // 5~15
   gemExpertLevel: 3, // 0~3
   flamingPickLevel: 0, // 0~10
   staminaPerDig: "10",
   shardsPerIngot: "16",
 
+  // 다음 강화/스킬 레벨 비용 (업그레이드 효율 계산용)
+  upgradeCosts: {
+    sage: "",
+    gem: "",
+    flame: "",
+  },
+  dailyStamina: "1000",
+
   // gem expert rule by level
   ingotGrossPrice: "6000",
   gemGrossPrice: "12000",
@@ -473,6 +785,15 @@ const defaultState = {
     p1000: "320000",
   },
 
+  // 포션 구매 계획: 하루 예산/자연 회복/플레이 시간, 포션별 하루 구매 한도(빈칸 = 제한 없음)
+  potionPlan: {
+    budget: "",
+    regen: "",
+    playMinutes: "",
+    digsPerMinute: "",
+    limits: {},
+  },
+
   // ?ъ뀡 寃곌낵 ?됰퀎 ?몃?댁뿭 ?ㅽ뵂 ?곹깭
   potionRowDetailsOpen: {
     p100: false,
@@ -482,14 +803,6 @@ const defaultState = {
     p1000: false,
   },
 
-  // gem expert rule by level
-  abilityGrossSell: "18000",
-  lifeGrossSell: {
-    low: "9000", // ?섍툒
-    mid: "30000", // 以묎툒
-    high: "60000", // ?곴툒
-  },
-
   // gem expert rule by level
   prices: {
     ingot: { market: "6000" },
@@ -504,37 +817,40 @@ const defaultState = {
     amethyst: { market: "78" },
   },
 
-  // gem expert rule by level
-  modes: {
-    ingot: "opportunity",
-    stone: "owned",
-    deepCobble: "owned",
-    redstone: "owned",
-    copper: "owned",
-    diamond: "buy",
-    iron: "owned",
-    lapis: "owned",
-    gold: "owned",
-    amethyst: "owned",
-  },
+  // 재료별 수급 방식 (기본값은 재료 카탈로그)
+  modes: materialModes(DEFAULT_MATERIALS),
+
 
   // ?덉떆?湲곕낯媛?
-  recipes: {
-    ability: { ingot: 3 },
-    low: { ingot: 1, stone: 2, redstone: 3, copper: 8 },
-    mid: { ingot: 2, deepCobble: 2, diamond: 3, iron: 5, lapis: 5 },
-    high: { ingot: 3, diamond: 5, gold: 7, iron: 7, amethyst: 20, copper: 30 },
+  recipes: DEFAULT_RECIPES,
+
+  // 레시피 결과물 판매가(시장가), recipe id -> price
+  recipeSellPrices: {
+    ability: "18000",
+    low: "9000",
+    mid: "30000",
+    high: "60000",
   },
 
+  // 중간 제작품 수급 방식, recipe id -> auto | craft | buy | opportunity | owned
+  productModes: {},
+
+  // 생산 계획: 보유 재고(재료/제작품 key -> 수량), 레시피별 최대 제작 수
+  inventory: {},
+  plannerMaxPerRecipe: "64",
+
+  // 공유 시세 동기화 기준값, 개인 시세(저장되지 않음), 시세 입력 대상 (src/priceSync.js)
+  priceBase: null,
+  priceOverrides: {},
+  priceEditLayer: "community", // community | personal (공유 시세 저장 권한이 있을 때만 community)
+
   feedbacks: {
     nextId: 1,
     items: [],
   },
-
-  adminMode: false,
 };
 
-function Sidebar({ active, onSelect, onlineUsers, birthdayMap, calendarInfo, onPrevMonth, onNextMonth }) {
+function Sidebar({ active, onSelect, onlineUsers, birthdayMap, calendarInfo, onPrevMonth, onNextMonth, showRanks, showMembers, showAudit, showTrash }) {
   const itemStyle = (key) => ({
     padding: "10px 12px",
     borderRadius: 10,
@@ -554,9 +870,22 @@ function Sidebar({ active, onSelect, onlineUsers, birthdayMap, calendarInfo, onP
       <div style={itemStyle("potion")} onClick={() => onSelect("potion")}>스테미나 포션 효율 계산</div>
       <div style={itemStyle("ingot")} onClick={() => onSelect("ingot")}>주괴/가공 비교</div>
       <div style={itemStyle("profile")} onClick={() => onSelect("profile")}>내정보 + 시세 입력</div>
+      <div style={itemStyle("history")} onClick={() => onSelect("history")}>시세 기록</div>
       <div style={itemStyle("feedback")} onClick={() => onSelect("feedback")}>문의/피드백</div>
       <div style={itemStyle("village")} onClick={() => onSelect("village")}>마을 건의함</div>
       <div style={itemStyle("members")} onClick={() => onSelect("members")}>마을 멤버</div>
+      {showRanks ? (
+        <div style={itemStyle("ranks")} onClick={() => onSelect("ranks")}>직급 관리</div>
+      ) : null}
+      {showMembers ? (
+        <div style={itemStyle("memberAdmin")} onClick={() => onSelect("memberAdmin")}>멤버 관리</div>
+      ) : null}
+      {showAudit ? (
+        <div style={itemStyle("audit")} onClick={() => onSelect("audit")}>감사 로그</div>
+      ) : null}
+      {showTrash ? (
+        <div style={itemStyle("trash")} onClick={() => onSelect("trash")}>휴지통</div>
+      ) : null}
       <div style={{ marginTop: 12, fontSize: 12, opacity: 0.75, lineHeight: 1.4 }}>
         입력값은 브라우저에 자동 저장됩니다.
       </div>
@@ -671,122 +1000,423 @@ function Sidebar({ active, onSelect, onlineUsers, birthdayMap, calendarInfo, onP
  * =======================
  */
 
-function FeedbackPage({ s }) {
-  const [form, setForm] = useState({
-    type: "improve",
-    title: "",
-    body: "",
-    contact: "",
-    visibility: "public",
-  });
+// admins only: firestore.rules keeps {collection}/{id}/private/contact from everyone else
+function TicketContact({ board, ticket }) {
+  const [contact, setContact] = useState("");
 
-  const [items, setItems] = useState([]);
-  const [replyDrafts, setReplyDrafts] = useState({});
-  const isAdmin = s.adminMode === true;
-  const canSubmit = form.title.trim() && form.body.trim();
-  const [clientId] = useState(() => getClientId());
+  useEffect(() => {
+    const unsub = onSnapshot(
+      ticketContactRef(board.collection, ticket.id),
+      (snap) => {
+        setContact(snap.exists() ? snap.data().contact || "" : "");
+      },
+      () => {
+        setContact("");
+      }
+    );
+    return () => unsub();
+  }, [board.collection, ticket.id]);
+
+  const shown = contact || ticket.contact;
+  return shown ? <div style={{ fontSize: 12, opacity: 0.8 }}>연락처: {shown}</div> : null;
+}
+
+function TicketComments({ board, ticket, canComment, canModerate, authUser }) {
+  const [comments, setComments] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
 
   useEffect(() => {
-    const q = query(collection(db, "feedbacks"), orderBy("createdAt", "desc"));
+    const q = query(collection(db, board.collection, ticket.id, "comments"), orderBy("createdAt", "asc"));
     const unsub = onSnapshot(q, (snap) => {
-      const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      const visible = isAdmin
-        ? rows
-        : rows.filter((r) => r.visibility !== "private" || r.authorId === clientId);
-      setItems(visible);
+      setComments(snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })));
     });
     return () => unsub();
-  }, [isAdmin, clientId]);
+  }, [board.collection, ticket.id]);
+
+  const post = async () => {
+    const body = draft.trim();
+    if (!body || !canComment) return;
+    setSaving(true);
+    setError("");
+    const by = auditActor(authUser);
+    const batch = writeBatch(db);
+    const comment = { body, by, official: canModerate, createdAt: serverTimestamp() };
+    batch.set(doc(collection(db, board.collection, ticket.id, "comments")), comment);
+    // a moderator's comment is the answer, so it is audited like the old reply
+    if (canModerate) {
+      logAudit(batch, {
+        action: "post.reply",
+        by,
+        target: { collection: board.collection, id: ticket.id },
+        after: { comment: body },
+      });
+    }
+    try {
+      await Promise.race([
+        batch.commit(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+      ]);
+      setDraft("");
+    } catch (err) {
+      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
+        setError("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
+      } else {
+        setError("댓글 등록에 실패했습니다. 다시 시도해 주세요.");
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const history = ticket.statusHistory || [];
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {history.length ? (
+        <div style={{ display: "grid", gap: 2, fontSize: 12, opacity: 0.75 }}>
+          {history.map((h, idx) => (
+            <div key={idx}>
+              {`${statusLabel(h.from)} → ${statusLabel(h.to)} · ${h.by?.name || h.by?.email || "알 수 없음"} · ${formatAuditValue(h.at)}`}
+            </div>
+          ))}
+        </div>
+      ) : null}
+      {ticket.reply ? (
+        <div style={{ padding: 10, borderRadius: 10, background: "var(--soft-bg)", border: "1px solid var(--soft-border)", fontSize: 13 }}>
+          <div style={{ fontWeight: 900, marginBottom: 4 }}>관리자 답변</div>
+          <div style={{ whiteSpace: "pre-wrap" }}>{ticket.reply}</div>
+        </div>
+      ) : null}
+      {comments.map((c) => (
+        <div
+          key={c.id}
+          style={{
+            padding: 10,
+            borderRadius: 10,
+            background: c.official ? "var(--soft-bg)" : "var(--panel-bg)",
+            border: "1px solid var(--soft-border)",
+            fontSize: 13,
+          }}
+        >
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginBottom: 4, fontSize: 12 }}>
+            <span style={{ fontWeight: 900 }}>
+              {c.by?.name || c.by?.email || "익명"}
+              {c.official ? <span style={{ marginLeft: 6, color: "var(--accent)" }}>답변</span> : null}
+            </span>
+            <span style={{ opacity: 0.7 }}>{formatAuditValue(c.createdAt)}</span>
+          </div>
+          <div style={{ whiteSpace: "pre-wrap" }}>{c.body}</div>
+        </div>
+      ))}
+      {canComment ? (
+        <div style={{ display: "grid", gap: 8 }}>
+          <TextArea
+            label={canModerate ? "답변/댓글" : "댓글"}
+            value={draft}
+            onChange={setDraft}
+            placeholder={canModerate ? "답변으로 표시됩니다." : "의견을 남겨주세요."}
+            rows={2}
+          />
+          {error ? <div style={{ fontSize: 12, color: "#c0392b" }}>{error}</div> : null}
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <button
+              onClick={post}
+              disabled={saving || !draft.trim()}
+              style={{
+                padding: "8px 10px",
+                borderRadius: 10,
+                border: "1px solid var(--input-border)",
+                background: "var(--accent)",
+                color: "var(--accent-text)",
+                cursor: saving || !draft.trim() ? "not-allowed" : "pointer",
+                fontSize: 12,
+                fontWeight: 900,
+                opacity: saving || !draft.trim() ? 0.6 : 1,
+              }}
+            >
+              {saving ? "등록 중..." : "등록"}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/**
+ * Feedback and village suggestion boards (see src/tickets.js).
+ * - canModerate: triage and answer
+ * - canDelete / canSeePrivate: admins
+ * - canComment: signed-in members
+ */
+function TicketBoard({ board, canModerate, canDelete, canSeePrivate, canComment, authUser, members, nowMs }) {
+  const emptyForm = { type: "improve", title: "", body: "", contact: "", visibility: "public" };
+  const [form, setForm] = useState(emptyForm);
+  const [customType, setCustomType] = useState("");
+  const [items, setItems] = useState([]);
+  const [filter, setFilter] = useState({
+    status: "all",
+    type: "",
+    label: "",
+    assignee: "",
+    mine: false,
+    sort: board.defaultSort,
+  });
+  const [openIds, setOpenIds] = useState({});
+  const [labelDrafts, setLabelDrafts] = useState({});
+  const [editing, setEditing] = useState(null); // { id, type, title, body, contact, visibility }
+  const [confirm, setConfirm] = useState(null); // { kind: "delete" | "withdraw" | "handover", item, uid }
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(""); // posting
+  const [listError, setListError] = useState(""); // votes, edits, withdrawals, moderation and deletes
+  const canSubmit = !saving && !!authUser && form.title.trim() && form.body.trim();
+  const uid = authUser?.uid || "";
+  // only used to find tickets filed from this browser before authorUid existed
+  const [clientId] = useState(() => getClientId());
 
+  // firestore.rules only lets non-admins read public posts and their own, so
+  // they ask for exactly those two sets and merge them
   useEffect(() => {
-    // eslint-disable-next-line react-hooks/set-state-in-effect
-    setReplyDrafts((prev) => {
-      let changed = false;
-      const next = { ...prev };
-      items.forEach((item) => {
-        if (!(item.id in next)) {
-          next[item.id] = item.reply || "";
-          changed = true;
-        }
+    const base = collection(db, board.collection);
+    const queries = canSeePrivate
+      ? [query(base, orderBy("createdAt", "desc"))]
+      : [query(base, where("visibility", "==", "public")), ...(uid ? [query(base, where("authorUid", "==", uid))] : [])];
+    const parts = queries.map(() => []);
+    const unsubs = queries.map((q, i) =>
+      onSnapshot(q, (snap) => {
+        parts[i] = snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) }));
+        const byId = new Map(parts.flat().map((r) => [r.id, r]));
+        setItems([...byId.values()].filter((r) => !isDeleted(r)));
+      })
+    );
+    return () => unsubs.forEach((unsub) => unsub());
+  }, [board.collection, canSeePrivate, uid]);
+
+  // posts from before contact details moved out still carry them inline; admins move them on sight
+  const movedContactsRef = useRef(new Set());
+  useEffect(() => {
+    if (!canSeePrivate) return;
+    items
+      .filter((item) => "contact" in item && !movedContactsRef.current.has(item.id))
+      .forEach((item) => {
+        movedContactsRef.current.add(item.id);
+        const batch = writeBatch(db);
+        if (item.contact) batch.set(ticketContactRef(board.collection, item.id), { contact: item.contact });
+        batch.update(doc(db, board.collection, item.id), { contact: deleteField() });
+        batch.commit().catch(() => {
+          movedContactsRef.current.delete(item.id);
+        });
       });
-      return changed ? next : prev;
-    });
-  }, [items]);
+  }, [items, canSeePrivate, board.collection]);
+
+  // legacy tickets are never claimed from the browser: their client id is
+  // public, so this only records the account and an admin hands them over
+  useEffect(() => {
+    if (uid) recordLegacyClient(uid, clientId);
+  }, [uid, clientId]);
+
+  // admins see every legacy ticket, including private ones their author cannot
+  // read, and the accounts that asked for them (records from before the
+  // requests were keyed per account carry the client id as their id)
+  const [legacyClaims, setLegacyClaims] = useState([]);
+  useEffect(() => {
+    if (!canSeePrivate) return undefined;
+    return onSnapshot(
+      collection(db, "legacyClients"),
+      (snap) => setLegacyClaims(snap.docs.map((d) => ({ clientId: d.id, ...d.data() }))),
+      () => setLegacyClaims([])
+    );
+  }, [canSeePrivate]);
+  const handovers = useMemo(
+    () => (canSeePrivate ? legacyHandovers(items, legacyClaims) : []),
+    [canSeePrivate, items, legacyClaims]
+  );
+
+  const memberName = useMemo(
+    () => Object.fromEntries((members || []).map((m) => [m.id, m.nickname || m.name || m.email || m.id])),
+    [members]
+  );
+  const labels = useMemo(() => allLabels(items), [items]);
+  const types = useMemo(() => allTypes(items), [items]);
+  const rows = useMemo(
+    () => filterTickets(items, { ...filter, mine: filter.mine ? { uid, clientId } : null }),
+    [items, filter, uid, clientId]
+  );
+
+  // like TicketComments.post: writes race a timeout and report failures;
+  // the rules also refuse author edits once the window has closed
+  const commitWrite = async (write, failMessage, setErr) => {
+    setErr("");
+    try {
+      await Promise.race([
+        write(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+      ]);
+      return true;
+    } catch (err) {
+      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
+        setErr("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
+      } else {
+        setErr(failMessage);
+      }
+      return false;
+    }
+  };
 
-  const submit = () => {
+  const submit = async () => {
     if (!canSubmit) return;
-    addDoc(collection(db, "feedbacks"), {
-      type: form.type,
+    const type = board.customCategory && form.type === "other" ? customType.trim() || "기타" : form.type;
+    const ref = doc(collection(db, board.collection));
+    const batch = writeBatch(db);
+    batch.set(ref, {
+      type,
       title: form.title.trim(),
       body: form.body.trim(),
-      contact: form.contact.trim(),
       visibility: form.visibility,
-      authorId: clientId,
+      authorUid: uid,
       status: "new",
       createdAt: serverTimestamp(),
     });
-    setForm({ type: "improve", title: "", body: "", contact: "", visibility: "public" });
+    if (form.contact.trim()) batch.set(ticketContactRef(board.collection, ref.id), { contact: form.contact.trim() });
+    setSaving(true);
+    const ok = await commitWrite(() => batch.commit(), "등록에 실패했습니다. 다시 시도해 주세요.", setError);
+    setSaving(false);
+    if (!ok) return;
+    setForm(emptyForm);
+    setCustomType("");
   };
 
-  const updateStatus = (id, status) => {
-    if (!isAdmin) return;
-    updateDoc(doc(db, "feedbacks", id), { status });
+  const updateStatus = (item, status) => {
+    if (!canModerate || status === (item.status || "new")) return;
+    const statusHistory = withStatusChange(item, status, auditActor(authUser), new Date());
+    commitWrite(
+      () => updatePost(board.collection, item, { status, statusHistory }, "post.status", authUser, ["status"]),
+      "상태를 바꾸지 못했습니다. 다시 시도해 주세요.",
+      setListError
+    );
   };
 
-  const removeItem = (id) => {
-    if (!isAdmin) return;
-    deleteDoc(doc(db, "feedbacks", id));
+  // voters is a set of uids: arrayUnion never adds the same member twice
+  const toggleVote = (item) => {
+    if (!board.votes || !canComment || !authUser) return;
+    commitWrite(
+      () =>
+        updateDoc(doc(db, board.collection, item.id), {
+          voters: hasVoted(item, authUser.uid) ? arrayRemove(authUser.uid) : arrayUnion(authUser.uid),
+        }),
+      "추천을 반영하지 못했습니다. 다시 시도해 주세요.",
+      setListError
+    );
   };
 
-  const saveReply = (id, reply) => {
-    if (!isAdmin) return;
-    const trimmed = (reply || "").trim();
-    updateDoc(doc(db, "feedbacks", id), {
-      reply: trimmed,
-      repliedAt: trimmed ? serverTimestamp() : null,
-      status: trimmed ? "done" : "progress",
+  const triage = async (item, patch) => {
+    if (!canModerate) return false;
+    return commitWrite(
+      () => updatePost(board.collection, item, patch, "post.triage", authUser),
+      "변경 내용을 저장하지 못했습니다. 다시 시도해 주세요.",
+      setListError
+    );
+  };
+
+  // only after an admin confirmed it, with its auditLog entry
+  const handOver = (item, claimUid) => {
+    if (!canSeePrivate || item.authorUid) return;
+    commitWrite(
+      () =>
+        updatePost(board.collection, item, { authorUid: claimUid }, "post.claim", authUser, ["authorUid", "authorId"]),
+      "작성자를 연결하지 못했습니다. 다시 시도해 주세요.",
+      setListError
+    );
+  };
+
+  const removeItem = (item) => {
+    if (!canDelete) return;
+    commitWrite(
+      () => deletePost(board.collection, item, authUser),
+      "삭제하지 못했습니다. 다시 시도해 주세요.",
+      setListError
+    );
+  };
+
+  // author edits are the author's own business, so they skip the audit log
+  const saveEdit = async () => {
+    const item = items.find((x) => x.id === editing?.id);
+    if (!item || !canAuthorEdit(item, uid, nowMs) || !editing.title.trim() || !editing.body.trim()) return;
+    const batch = writeBatch(db);
+    batch.update(doc(db, board.collection, item.id), {
+      type: editing.type,
+      title: editing.title.trim(),
+      body: editing.body.trim(),
+      visibility: editing.visibility,
+      editedAt: serverTimestamp(),
     });
+    // the author cannot read the stored contact back, so a blank field leaves it as is
+    if (editing.contact.trim()) batch.set(ticketContactRef(board.collection, item.id), { contact: editing.contact.trim() });
+    const ok = await commitWrite(
+      () => batch.commit(),
+      "수정하지 못했습니다. 수정 가능 시간이 지났을 수 있습니다.",
+      setListError
+    );
+    if (ok) setEditing(null);
   };
 
-  const typeLabel = (type) => {
-    if (type === "bug") return "오류/잘못된 점";
-    if (type === "other") return "기타";
-    return "개선";
+  // withdrawing moves the ticket to the trash like a moderator delete
+  const withdraw = (item) => {
+    if (!canAuthorEdit(item, uid, nowMs)) return;
+    commitWrite(
+      () =>
+        updateDoc(doc(db, board.collection, item.id), {
+          deletedAt: serverTimestamp(),
+          deletedBy: auditActor(authUser),
+        }),
+      "철회하지 못했습니다. 철회 가능 시간이 지났을 수 있습니다.",
+      setListError
+    );
   };
 
-  const statusLabel = (status) => {
-    if (status === "progress") return "진행중";
-    if (status === "done") return "완료";
-    return "접수";
+  const smallSelect = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    outline: "none",
+    fontSize: 13,
+    background: "var(--input-bg)",
+    color: "var(--text)",
+  };
+  const smallButton = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+  const chip = {
+    padding: "2px 8px",
+    borderRadius: 999,
+    border: "1px solid var(--soft-border)",
+    background: "var(--soft-bg)",
+    fontSize: 12,
   };
 
   return (
     <div style={{ display: "grid", gap: 12 }}>
-      <Card title="개선점/오류 제보">
-        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10 }}>
-          사용 중 문제점이나 개선 아이디어가 있으면 문의/피드백에 남겨주세요.
-        </div>
+      <Card title={board.formTitle}>
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10 }}>{board.intro}</div>
         <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
-          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-            <div style={{ fontSize: 12, opacity: 0.8 }}>유형</div>
-            <select
-              value={form.type}
-              onChange={(e) => setForm((p) => ({ ...p, type: e.target.value }))}
-              style={{
-                padding: "10px 12px",
-                borderRadius: 10,
-                border: "1px solid var(--input-border)",
-                outline: "none",
-                fontSize: 14,
-                background: "var(--input-bg)",
-                color: "var(--text)",
-              }}
-            >
-              <option value="improve">개선</option>
-              <option value="bug">오류/잘못된 점</option>
-              <option value="other">기타</option>
-            </select>
-          </div>
+          <Select
+            label="유형"
+            value={form.type}
+            onChange={(v) => setForm((p) => ({ ...p, type: v }))}
+            options={Object.entries(board.categories).map(([value, label]) => ({
+              value,
+              label: board.customCategory && value === "other" ? `${label}(직접 입력)` : label,
+            }))}
+          />
           <TextField
             label="연락처(선택)"
             value={form.contact}
@@ -795,6 +1425,12 @@ function FeedbackPage({ s }) {
           />
         </div>
 
+        {board.customCategory && form.type === "other" ? (
+          <div style={{ marginTop: 12 }}>
+            <TextField label="기타 유형" value={customType} onChange={setCustomType} placeholder="예: 이벤트/시설/상점" />
+          </div>
+        ) : null}
+
         <div style={{ display: "grid", gridTemplateColumns: "1fr", gap: 12, marginTop: 12 }}>
           <Select
             label={"공개 설정"}
@@ -809,18 +1445,19 @@ function FeedbackPage({ s }) {
             label="제목"
             value={form.title}
             onChange={(v) => setForm((p) => ({ ...p, title: v }))}
-            placeholder="예: 재료 시세 입력이 불편해요"
+            placeholder={board.titlePlaceholder}
           />
           <TextArea
             label="내용"
             value={form.body}
             onChange={(v) => setForm((p) => ({ ...p, body: v }))}
-            placeholder="어떤 문제가 있었는지, 개선 아이디어를 자세히 적어주세요."
+            placeholder={board.bodyPlaceholder}
             rows={5}
           />
         </div>
 
-        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end", gap: 10 }}>
+        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end", gap: 10, alignItems: "center" }}>
+          {error ? <span style={{ fontSize: 12, color: "#c0392b" }}>{error}</span> : null}
           <button
             onClick={submit}
             disabled={!canSubmit}
@@ -835,140 +1472,388 @@ function FeedbackPage({ s }) {
               fontSize: 13,
             }}
           >
-            제보 등록
+            {saving ? "등록 중..." : board.submitLabel}
           </button>
         </div>
       </Card>
 
-      <Card title="문의 관리">
-        {items.length === 0 ? (
-          <div style={{ fontSize: 13, opacity: 0.8 }}>등록된 문의가 없습니다.</div>
-        ) : (
-          <div style={{ display: "grid", gap: 12 }}>
-            {items.map((item) => (
-              <div
-                key={item.id}
-                style={{
-                  border: "1px solid var(--soft-border)",
-                  borderRadius: 12,
-                  padding: 12,
-                  background: "var(--panel-bg)",
-                  display: "grid",
-                  gap: 8,
-                }}
-              >
-                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
-                  <div style={{ fontWeight: 900 }}>
-                    [{typeLabel(item.type)}] {item.title}
-                  </div>
-                  <div style={{ fontSize: 12, opacity: 0.75 }}>
-                    {item.createdAt?.toDate ? item.createdAt.toDate().toLocaleString("ko-KR") : "-"}
-                  </div>
-                </div>
-                <div style={{ fontSize: 13, lineHeight: 1.5 }}>{item.body}</div>
-                {item.contact ? (
-                  <div style={{ fontSize: 12, opacity: 0.8 }}>연락처: {item.contact}</div>
-                ) : null}
-                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                  <div style={{ fontSize: 12, opacity: 0.7 }}>
-                    공개: {item.visibility === "private" ? "비공개" : "공개"}
-                  </div>
-                  {item.reply ? (
-                    <div style={{ fontSize: 12, fontWeight: 700, color: "var(--accent)" }}>관리자 답변 완료</div>
-                  ) : null}
+      <Card title={board.listTitle}>
+        {listError ? <div style={{ fontSize: 12, color: "#c0392b", marginBottom: 10 }}>{listError}</div> : null}
+        {handovers.length ? (
+          <div
+            style={{
+              border: "1px solid var(--border)",
+              borderRadius: 12,
+              padding: 12,
+              marginBottom: 12,
+              fontSize: 12,
+            }}
+          >
+            <div style={{ fontWeight: 900, marginBottom: 4 }}>작성자 연결 요청</div>
+            <div style={{ opacity: 0.75, marginBottom: 8 }}>
+              예전 글의 브라우저 ID는 공개 글에 노출되어 있어 누구나 요청할 수 있습니다. 본인임을 확인한 뒤에만 연결하세요.
+            </div>
+            {handovers.map(({ ticket, claims }) => (
+              <div key={ticket.id} style={{ padding: "6px 0", borderTop: "1px solid var(--border)" }}>
+                <div style={{ fontWeight: 700 }}>
+                  {ticket.title || "(제목 없음)"}
+                  <span style={{ fontWeight: 400, opacity: 0.75 }}>
+                    {` · ${ticket.visibility === "private" ? "비공개" : "공개"} · ${ticket.authorId}`}
+                  </span>
                 </div>
-                {item.reply ? (
-                  <div style={{ padding: 10, borderRadius: 10, background: "var(--soft-bg)", border: "1px solid var(--soft-border)", fontSize: 13 }}>
-                    <div style={{ fontWeight: 900, marginBottom: 4 }}>관리자 답변</div>
-                    <div style={{ whiteSpace: "pre-wrap" }}>{item.reply}</div>
-                  </div>
+                {claims.length > 1 ? (
+                  <div style={{ color: "#c0392b" }}>{`${claims.length}개 계정이 같은 글을 요청했습니다.`}</div>
                 ) : null}
-                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                  <div style={{ fontSize: 12, opacity: 0.8 }}>상태</div>
-                  {isAdmin ? (
-                    <select
-                      value={item.status || "new"}
-                      onChange={(e) => updateStatus(item.id, e.target.value)}
-                      style={{
-                        padding: "8px 10px",
-                        borderRadius: 10,
-                        border: "1px solid var(--input-border)",
-                        outline: "none",
-                        fontSize: 13,
-                        background: "var(--input-bg)",
-                        color: "var(--text)",
-                      }}
-                    >
-                      <option value="new">접수</option>
-                      <option value="progress">진행중</option>
-                      <option value="done">완료</option>
-                    </select>
-                  ) : (
-                    <div style={{ fontSize: 12, opacity: 0.7 }}>{statusLabel(item.status)}</div>
-                  )}
-                  {isAdmin ? (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 4 }}>
+                  {claims.map((claim) => (
                     <button
-                      onClick={() => removeItem(item.id)}
-                      style={{
-                        padding: "8px 10px",
-                        borderRadius: 10,
-                        border: "1px solid var(--input-border)",
-                        background: "var(--panel-bg)",
-                        color: "var(--text)",
-                        cursor: "pointer",
-                        fontSize: 12,
-                        fontWeight: 700,
-                      }}
+                      key={claim.uid}
+                      onClick={() => setConfirm({ kind: "handover", item: ticket, uid: claim.uid })}
+                      style={smallButton}
                     >
-                      삭제
+                      {`${memberName[claim.uid] || claim.uid}에게 연결`}
+                      {claim.at?.toDate ? ` · ${claim.at.toDate().toLocaleString("ko-KR")}` : ""}
                     </button>
-                  ) : null}
+                  ))}
                 </div>
-                {isAdmin ? (
-                  <div style={{ marginTop: 6, display: "grid", gap: 8 }}>
-                    <TextArea
-                      label="관리자 답변"
-                      value={replyDrafts[item.id] ?? ""}
-                      onChange={(v) => setReplyDrafts((p) => ({ ...p, [item.id]: v }))}
-                      placeholder="답변을 입력하세요"
-                      rows={3}
-                    />
-                    <div style={{ display: "flex", justifyContent: "flex-end" }}>
-                      <button
-                        onClick={() => {
-                          saveReply(item.id, replyDrafts[item.id] ?? "");
-                        }}
-                        style={{
-                          padding: "8px 10px",
-                          borderRadius: 10,
-                          border: "1px solid var(--input-border)",
-                          background: "var(--accent)",
-                          color: "var(--accent-text)",
-                          cursor: "pointer",
-                          fontSize: 12,
-                          fontWeight: 900,
-                        }}
+              </div>
+            ))}
+          </div>
+        ) : null}
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12, marginBottom: 12 }}>
+          <Select
+            label="상태"
+            value={filter.status}
+            onChange={(v) => setFilter((p) => ({ ...p, status: v }))}
+            options={[{ value: "all", label: "전체" }, ...Object.entries(TICKET_STATUSES).map(([value, label]) => ({ value, label }))]}
+          />
+          <Select
+            label="유형"
+            value={filter.type}
+            onChange={(v) => setFilter((p) => ({ ...p, type: String(v) }))}
+            options={[{ value: "", label: "전체" }, ...types.map((x) => ({ value: x, label: categoryLabel(board, x) }))]}
+          />
+          <Select
+            label="라벨"
+            value={filter.label}
+            onChange={(v) => setFilter((p) => ({ ...p, label: String(v) }))}
+            options={[{ value: "", label: "전체" }, ...labels.map((l) => ({ value: l, label: l }))]}
+          />
+          <Select
+            label="담당자"
+            value={filter.assignee}
+            onChange={(v) => setFilter((p) => ({ ...p, assignee: String(v) }))}
+            options={[
+              { value: "", label: "전체" },
+              ...(authUser ? [{ value: authUser.uid, label: "내 담당" }] : []),
+              ...(members || [])
+                .filter((m) => m.id !== authUser?.uid)
+                .map((m) => ({ value: m.id, label: memberName[m.id] })),
+            ]}
+          />
+          <Select
+            label="정렬"
+            value={filter.sort}
+            onChange={(v) => setFilter((p) => ({ ...p, sort: v }))}
+            options={Object.entries(TICKET_SORTS)
+              .filter(([value]) => board.votes || value !== "votes")
+              .map(([value, label]) => ({ value, label }))}
+          />
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>작성자</div>
+            <ToggleButton
+              isOn={filter.mine}
+              onClick={() => setFilter((p) => ({ ...p, mine: !p.mine }))}
+              labelOn="내 글만"
+              labelOff="전체 글"
+            />
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>{items.length === 0 ? board.emptyText : "조건에 맞는 글이 없습니다."}</div>
+        ) : (
+          <div style={{ display: "grid", gap: 12 }}>
+            {rows.map((item) => {
+              const assignees = item.assignees || [];
+              const open = !!openIds[item.id];
+              return (
+                <div
+                  key={item.id}
+                  style={{
+                    border: "1px solid var(--soft-border)",
+                    borderRadius: 12,
+                    padding: 12,
+                    background: "var(--panel-bg)",
+                    display: "grid",
+                    gap: 8,
+                  }}
+                >
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                    <div style={{ fontWeight: 900 }}>
+                      [{categoryLabel(board, item.type)}] {item.title}
+                    </div>
+                    <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                      {board.votes ? (
+                        <button
+                          onClick={() => toggleVote(item)}
+                          disabled={!canComment || !authUser}
+                          title={canComment ? "추천" : "승인된 멤버만 추천할 수 있습니다."}
+                          style={{
+                            ...chip,
+                            fontWeight: 900,
+                            cursor: canComment && authUser ? "pointer" : "not-allowed",
+                            background: hasVoted(item, authUser?.uid) ? "var(--accent)" : "var(--soft-bg)",
+                            color: hasVoted(item, authUser?.uid) ? "var(--accent-text)" : "var(--text)",
+                          }}
+                        >
+                          {`▲ ${voteCount(item)}`}
+                        </button>
+                      ) : null}
+                      <div style={{ fontSize: 12, opacity: 0.75 }}>{formatAuditValue(item.createdAt)}</div>
+                    </div>
+                  </div>
+                  {editing?.id === item.id ? (
+                    <div style={{ display: "grid", gap: 8 }}>
+                      <TextField
+                        label="제목"
+                        value={editing.title}
+                        onChange={(v) => setEditing((p) => ({ ...p, title: v }))}
+                      />
+                      <TextArea
+                        label="내용"
+                        value={editing.body}
+                        onChange={(v) => setEditing((p) => ({ ...p, body: v }))}
+                        rows={4}
+                      />
+                      <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 8 }}>
+                        <TextField
+                          label="연락처 변경(선택)"
+                          value={editing.contact}
+                          onChange={(v) => setEditing((p) => ({ ...p, contact: v }))}
+                          placeholder="바꿀 때만 입력"
+                        />
+                        <Select
+                          label={"공개 설정"}
+                          value={editing.visibility}
+                          onChange={(v) => setEditing((p) => ({ ...p, visibility: v }))}
+                          options={[
+                            { value: "public", label: "공개" },
+                            { value: "private", label: "비공개(관리자만)" },
+                          ]}
+                        />
+                      </div>
+                      <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                        <div style={{ fontSize: 12, opacity: 0.7 }}>
+                          {`작성 후 ${AUTHOR_EDIT_WINDOW_MS / 60000}분 안에만 수정/철회할 수 있습니다.`}
+                        </div>
+                        <div style={{ display: "flex", gap: 6 }}>
+                          <button onClick={() => setEditing(null)} style={smallButton}>
+                            취소
+                          </button>
+                          <button
+                            onClick={saveEdit}
+                            disabled={!editing.title.trim() || !editing.body.trim()}
+                            style={{ ...smallButton, background: "var(--accent)", color: "var(--accent-text)", fontWeight: 900 }}
+                          >
+                            저장
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ) : (
+                    <div style={{ fontSize: 13, lineHeight: 1.5, whiteSpace: "pre-wrap" }}>
+                      {item.body}
+                      {item.editedAt ? <span style={{ marginLeft: 6, fontSize: 12, opacity: 0.6 }}>(수정됨)</span> : null}
+                    </div>
+                  )}
+                  {canSeePrivate ? <TicketContact board={board} ticket={item} /> : null}
+                  <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+                    <span style={{ opacity: 0.7 }}>공개: {item.visibility === "private" ? "비공개" : "공개"}</span>
+                    <span style={{ ...chip, fontWeight: 700 }}>{`우선순위 ${TICKET_PRIORITIES[priorityOf(item)]}`}</span>
+                    {(item.labels || []).map((l) => (
+                      <span key={l} style={chip}>
+                        #{l}
+                      </span>
+                    ))}
+                    {assignees.length ? (
+                      <span style={{ opacity: 0.8 }}>
+                        담당: {assignees.map((uid) => memberName[uid] || uid).join(", ")}
+                      </span>
+                    ) : null}
+                  </div>
+
+                  <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                    <div style={{ fontSize: 12, opacity: 0.8 }}>상태</div>
+                    {canModerate ? (
+                      <select value={item.status || "new"} onChange={(e) => updateStatus(item, e.target.value)} style={smallSelect}>
+                        {Object.entries(TICKET_STATUSES).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <div style={{ fontSize: 12, opacity: 0.7 }}>{statusLabel(item.status)}</div>
+                    )}
+                    {canModerate ? (
+                      <select
+                        value={priorityOf(item)}
+                        onChange={(e) => triage(item, { priority: e.target.value })}
+                        style={smallSelect}
                       >
-                        답변 저장
+                        {Object.entries(TICKET_PRIORITIES).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {`우선순위: ${label}`}
+                          </option>
+                        ))}
+                      </select>
+                    ) : null}
+                    <button onClick={() => setOpenIds((p) => ({ ...p, [item.id]: !p[item.id] }))} style={smallButton}>
+                      {open ? "댓글 닫기" : "댓글/기록 보기"}
+                    </button>
+                    {canAuthorEdit(item, uid, nowMs) && editing?.id !== item.id ? (
+                      <>
+                        <button
+                          onClick={() =>
+                            setEditing({
+                              id: item.id,
+                              type: item.type || "other",
+                              title: item.title || "",
+                              body: item.body || "",
+                              contact: "",
+                              visibility: item.visibility || "public",
+                            })
+                          }
+                          style={smallButton}
+                        >
+                          수정
+                        </button>
+                        <button onClick={() => setConfirm({ kind: "withdraw", item })} style={smallButton}>
+                          철회
+                        </button>
+                      </>
+                    ) : null}
+                    {canDelete ? (
+                      <button onClick={() => setConfirm({ kind: "delete", item })} style={smallButton}>
+                        삭제
                       </button>
-                    </div>
+                    ) : null}
                   </div>
-                ) : null}
-              </div>
-            ))}
+
+                  {canModerate ? (
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, alignItems: "end" }}>
+                      <div style={{ display: "grid", gap: 6 }}>
+                        <Select
+                          label="담당자 추가"
+                          value=""
+                          onChange={(uid) => uid && triage(item, { assignees: [...assignees, String(uid)] })}
+                          options={[
+                            { value: "", label: "선택" },
+                            ...(members || [])
+                              .filter((m) => !assignees.includes(m.id))
+                              .map((m) => ({ value: m.id, label: memberName[m.id] })),
+                          ]}
+                        />
+                        {assignees.length ? (
+                          <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                            {assignees.map((uid) => (
+                              <button
+                                key={uid}
+                                onClick={() => triage(item, { assignees: assignees.filter((x) => x !== uid) })}
+                                style={{ ...chip, cursor: "pointer", color: "var(--text)" }}
+                              >
+                                {`${memberName[uid] || uid} ×`}
+                              </button>
+                            ))}
+                          </div>
+                        ) : null}
+                      </div>
+                      <div style={{ display: "flex", gap: 8, alignItems: "end" }}>
+                        <div style={{ flex: 1 }}>
+                          <TextField
+                            label="라벨 (쉼표로 구분)"
+                            value={labelDrafts[item.id] ?? (item.labels || []).join(", ")}
+                            onChange={(v) => setLabelDrafts((p) => ({ ...p, [item.id]: v }))}
+                            placeholder="예: 상점, 급함"
+                          />
+                        </div>
+                        <button
+                          onClick={async () => {
+                            // a failed save keeps the draft for another try
+                            if (!(await triage(item, { labels: parseLabels(labelDrafts[item.id] ?? "") }))) return;
+                            setLabelDrafts((p) => {
+                              const { [item.id]: _saved, ...rest } = p;
+                              return rest;
+                            });
+                          }}
+                          disabled={!(item.id in labelDrafts)}
+                          style={{ ...smallButton, opacity: item.id in labelDrafts ? 1 : 0.5 }}
+                        >
+                          저장
+                        </button>
+                      </div>
+                    </div>
+                  ) : null}
+
+                  {open ? (
+                    <TicketComments
+                      board={board}
+                      ticket={item}
+                      canComment={canComment}
+                      canModerate={canModerate}
+                      authUser={authUser}
+                    />
+                  ) : item.reply ? (
+                    <div style={{ fontSize: 12, fontWeight: 700, color: "var(--accent)" }}>관리자 답변 완료</div>
+                  ) : null}
+                </div>
+              );
+            })}
           </div>
         )}
       </Card>
+
+      {confirm ? (
+        <ConfirmDialog
+          title={{ withdraw: "글 철회", delete: "글 삭제", handover: "작성자 연결" }[confirm.kind]}
+          message={
+            {
+              withdraw: `"${confirm.item.title || "(제목 없음)"}"을(를) 철회합니다. 게시판에서 사라지며 되돌리려면 관리자에게 문의해야 합니다.`,
+              delete: `"${confirm.item.title || "(제목 없음)"}"을(를) 휴지통으로 옮깁니다. 보관 기간 안에는 관리자가 복구할 수 있습니다.`,
+              handover: `"${confirm.item.title || "(제목 없음)"}"의 작성자를 ${memberName[confirm.uid] || confirm.uid}(으)로 연결합니다. 연결하면 그 계정이 글을 읽고 수정할 수 있으며, 감사 로그에 남습니다.`,
+            }[confirm.kind]
+          }
+          confirmLabel={{ withdraw: "철회", delete: "삭제", handover: "연결" }[confirm.kind]}
+          onConfirm={() => {
+            if (confirm.kind === "withdraw") withdraw(confirm.item);
+            else if (confirm.kind === "handover") handOver(confirm.item, confirm.uid);
+            else removeItem(confirm.item);
+            setConfirm(null);
+          }}
+          onCancel={() => setConfirm(null)}
+        />
+      ) : null}
     </div>
   );
 }
 
 
 
+
+const POTIONS = [
+  { key: "p100", label: "스태미나 포션 100", stamina: 100 },
+  { key: "p300", label: "스태미나 포션 300", stamina: 300 },
+  { key: "p500", label: "스태미나 포션 500", stamina: 500 },
+  { key: "p700", label: "스태미나 포션 700", stamina: 700 },
+  { key: "p1000", label: "스태미나 포션 1000", stamina: 1000 },
+];
+
 function PotionPage({
   s,
   setS,
   feeRate,
+  rules,
   priceUpdatedAt,
   potionUpdatedAt,
   potionUpdatedBy,
@@ -976,18 +1861,9 @@ function PotionPage({
   potionPriceSaving,
   potionPriceError,
   authUser,
+  priceLayers,
 }) {
-  const potions = [
-    { key: "p100", label: "스태미나 포션 100", stamina: 100 },
-    { key: "p300", label: "스태미나 포션 300", stamina: 300 },
-    { key: "p500", label: "스태미나 포션 500", stamina: 500 },
-    { key: "p700", label: "스태미나 포션 700", stamina: 700 },
-    { key: "p1000", label: "스태미나 포션 1000", stamina: 1000 },
-  ];
-
-  const shardsPerDig = SAGE_SHARDS_BY_ENH[s.sageEnhLevel] ?? 0;
-  const gemRule = gemExpertRule(s.gemExpertLevel);
-  const flameRule = flamingPickRule(s.flamingPickLevel);
+  const { shardsPerDig, gem: gemRule, flame: flameRule } = skillEffects(s, rules);
 
   const ev = useMemo(() => {
     return miningEVBreakdown({
@@ -999,6 +1875,7 @@ function PotionPage({
       gemDropCount: gemRule.count,
       gemGrossPrice: toNum(s.gemGrossPrice, 0),
       flamingIngotProb: flameRule.prob,
+      flamingIngotCount: flameRule.ingots,
       sellFeeRate: feeRate,
     });
   }, [
@@ -1010,15 +1887,16 @@ function PotionPage({
     gemRule.count,
     s.gemGrossPrice,
     flameRule.prob,
+    flameRule.ingots,
     feeRate,
   ]);
 
-  const rows = potions.map((p) => {
-    const price = toNum(s.potionPrices?.[p.key] ?? 0);
-    const perStamina = price > 0 ? price / p.stamina : 0;
-    const netProfit = ev.totalPerStamina * p.stamina - price;
-    return { ...p, price, perStamina, netProfit };
-  });
+  const rows = useMemo(() => {
+    return POTIONS.map((p) => {
+      const price = toNum(s.potionPrices?.[p.key] ?? 0);
+      return { ...p, price, ...potionProfit({ price, stamina: p.stamina, totalPerStamina: ev.totalPerStamina }) };
+    });
+  }, [s.potionPrices, ev.totalPerStamina]);
 
   const ranked = rows.filter((r) => r.price > 0).sort((a, b) => b.netProfit - a.netProfit);
   const best = ranked[0];
@@ -1027,27 +1905,69 @@ function PotionPage({
   const lastUpdatedAt = potionUpdatedAt ?? priceUpdatedAt;
   const lastUpdatedBy = potionUpdatedBy;
 
+  // Monte Carlo: spread of one potion's worth of digging
+  const [simPotionKey, setSimPotionKey] = useState("p1000");
+  const [simRuns, setSimRuns] = useState("2000");
+  const [simSeed, setSimSeed] = useState(1);
+  const simPotion = POTIONS.find((p) => p.key === simPotionKey) || POTIONS[POTIONS.length - 1];
+  const simCost = toNum(s.potionPrices?.[simPotion.key] ?? 0);
+  const simStamina = simPotion.stamina;
+  const sim = useMemo(() => {
+    return simulateSessions({
+      runs: Math.min(20000, Math.max(100, toNum(simRuns, 2000))),
+      seed: simSeed,
+      cost: simCost,
+      stamina: simStamina,
+      staminaPerDig: ev.staminaPerDig,
+      shardsPerDig,
+      shardsPerIngot: ev.shardsPerIngot,
+      ingotNet: ev.ingotNet,
+      gemNet: ev.gemNet,
+      gemDropProb: gemRule.prob,
+      gemDropCount: gemRule.count,
+      flamingIngotProb: flameRule.prob,
+      flamingIngotCount: flameRule.ingots,
+    });
+  }, [simRuns, simSeed, simCost, simStamina, ev, shardsPerDig, gemRule.prob, gemRule.count, flameRule.prob, flameRule.ingots]);
+  const simMaxBin = Math.max(1, ...sim.histogram.map((b) => b.count));
+
+  // daily potion purchases within budget and play time
+  const potionPlan = s.potionPlan || {};
+  const setPotionPlan = (patch) => setS((p) => ({ ...p, potionPlan: { ...p.potionPlan, ...patch } }));
+  const playMinutes = toNum(potionPlan.playMinutes, 0);
+  const digsPerMinute = toNum(potionPlan.digsPerMinute, 0);
+  const maxStamina = playMinutes > 0 && digsPerMinute > 0 ? playMinutes * digsPerMinute * ev.staminaPerDig : Infinity;
+  // branch-and-bound search, so only rerun when its inputs change
+  const purchasePlan = useMemo(() => {
+    const plan = s.potionPlan || {};
+    return planPotionPurchases({
+      potions: rows.map((r) => {
+        const limit = String(plan.limits?.[r.key] ?? "").trim();
+        return { key: r.key, stamina: r.stamina, price: r.price, limit: limit ? toNum(limit, 0) : Infinity };
+      }),
+      evPerStamina: ev.totalPerStamina,
+      budget: toNum(plan.budget, 0),
+      regen: toNum(plan.regen, 0),
+      maxStamina,
+    });
+  }, [rows, ev.totalPerStamina, s.potionPlan, maxStamina]);
+  const potionLabel = (key) => POTIONS.find((p) => p.key === key)?.label || key;
+
   return (
     <div style={{ display: "grid", gap: 12 }}>
       <Card title="스태미나 포션 효율 계산">
         <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 8 }}>
           수수료를 고려하지 않고, 광부 효율 결과(스태미나 1당 기대가치)로 순수익을 계산합니다.
         </div>
+        <PriceLayerBar layers={priceLayers} />
         <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
-          {potions.map((p) => (
-            <Field
+          {POTIONS.map((p) => (
+            <PriceField
               key={p.key}
               label={p.label}
-              value={s.potionPrices?.[p.key] ?? ""}
-              onChange={(v) =>
-                setS((prev) => ({
-                  ...prev,
-                  potionPrices: { ...prev.potionPrices, [p.key]: v },
-                }))
-              }
+              paths={[`potionPrices.${p.key}`]}
+              layers={priceLayers}
               placeholder="예: 14000"
-              min={0}
-              suffix="원"
             />
           ))}
         </div>
@@ -1121,119 +2041,535 @@ function PotionPage({
           </table>
         </div>
       </Card>
-    </div>
-  );
-}
-function ProfilePage({
-  s,
-  setS,
-  feeRate,
-  priceUpdatedAt,
-  priceUpdatedBy,
-  authUser,
-  userDoc,
-  onSaveNickname,
-  onSaveCommonPrices,
-  commonPriceSaving,
-  commonPriceError,
-  onSaveMaterialPrices,
-  materialPriceSaving,
-  materialPriceError,
-  nicknameSaving,
-  nicknameError,
-}) {
-  const [nickname, setNickname] = useState(
-    () => userDoc?.nickname ?? authUser?.displayName ?? ""
-  );
-  const sageOptions = useMemo(() => {
-    const values = Object.keys(SAGE_SHARDS_BY_ENH).map(Number).sort((a, b) => a - b);
-    return values.map((v) => ({ value: v, label: `${v}강 (조각 ${SAGE_SHARDS_BY_ENH[v]}개)` }));
-  }, []);
-
-  const gemOptions = [
-    { value: 0, label: "0레벨 (스킬 없음)" },
-    { value: 1, label: "1레벨 (3% 확률, 1개)" },
-    { value: 2, label: "2레벨 (7% 확률, 1개)" },
-    { value: 3, label: "3레벨 (10% 확률, 2개)" },
-  ];
-
-  const flameOptions = [
-    { value: 0, label: "0레벨 (스킬 없음)" },
-    ...Array.from({ length: 9 }, (_, i) => {
-      const lv = i + 1;
-      return { value: lv, label: `${lv}레벨 (${lv}% 확률, 주괴 1개 추가)` };
-    }),
-    { value: 10, label: "10레벨 (15% 확률, 주괴 1개 추가)" },
-  ];
-
-
-  const shardsPerDig = SAGE_SHARDS_BY_ENH[s.sageEnhLevel] ?? 0;
-  const gemRule = gemExpertRule(s.gemExpertLevel);
-  const flameRule = flamingPickRule(s.flamingPickLevel);
-
-  const materialKeysForUI = [
-    "ingot",
-    "diamond",
-    "gold",
-    "iron",
-    "lapis",
-    "amethyst",
-    "copper",
-    "redstone",
-    "stone",
-    "deepCobble",
-  ];
-
-  const materialLabels = {
-    ingot: "주괴",
-    diamond: "다이아몬드",
-    gold: "금",
-    iron: "철",
-    lapis: "청금석",
-    amethyst: "자수정",
-    copper: "구리",
-    redstone: "레드스톤",
-    stone: "조약돌",
-    deepCobble: "심층 조약돌",
-  };
 
-  return (
-    <div style={{ display: "grid", gap: 12 }}>
-      <Card title="내 정보 입력">
+      <Card title="포션 구매 계획 (예산/시간 기준)">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 8, lineHeight: 1.5 }}>
+          하루 예산과 플레이 시간 안에서 순수익이 가장 큰 포션 조합을 찾습니다. 스태미나 1당 기대가치 {fmt(ev.totalPerStamina)}원 기준.
+          <br />
+          플레이 시간이나 분당 채굴 횟수를 비워두면 시간 제한 없이 계산합니다.
+        </div>
         <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
-          <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "flex-end" }}>
-            <TextField
-              label="온라인 표시 이름"
-              value={nickname}
-              onChange={(v) => setNickname(v)}
-              placeholder="예: 미래24"
+          <Field label="하루 예산" value={potionPlan.budget} onChange={(v) => setPotionPlan({ budget: v })} placeholder="예: 300000" min={0} suffix="원" />
+          <Field label="하루 자연 회복 스태미나" value={potionPlan.regen} onChange={(v) => setPotionPlan({ regen: v })} placeholder="예: 480" min={0} />
+          <Field label="하루 플레이 시간" value={potionPlan.playMinutes} onChange={(v) => setPotionPlan({ playMinutes: v })} placeholder="예: 60" min={0} suffix="분" />
+          <Field label="분당 채굴 횟수" value={potionPlan.digsPerMinute} onChange={(v) => setPotionPlan({ digsPerMinute: v })} placeholder="예: 20" min={0} suffix="회" />
+          {POTIONS.map((p) => (
+            <Field
+              key={p.key}
+              label={`${p.label} 하루 구매 한도`}
+              value={potionPlan.limits?.[p.key] ?? ""}
+              onChange={(v) => setPotionPlan({ limits: { ...potionPlan.limits, [p.key]: v } })}
+              placeholder="제한 없음"
+              min={0}
+              suffix="개"
             />
-            <button
-              onClick={() => onSaveNickname(nickname)}
-              disabled={!authUser || nicknameSaving}
-              style={{
-                padding: "10px 14px",
-                borderRadius: 10,
-                border: "1px solid var(--input-border)",
-                background: "var(--accent)",
-                color: "var(--accent-text)",
-                cursor: !authUser || nicknameSaving ? "not-allowed" : "pointer",
-                fontWeight: 900,
-                fontSize: 12,
-                opacity: !authUser || nicknameSaving ? 0.6 : 1,
-                whiteSpace: "nowrap",
-              }}
-              title={authUser ? "온라인 표시 이름 저장" : "로그인 후 설정할 수 있습니다."}
-            >
-              {nicknameSaving ? "저장 중..." : "저장"}
-            </button>
+          ))}
+        </div>
+        <div style={{ marginTop: 12, padding: 12, borderRadius: 12, background: "var(--soft-bg)", border: "1px solid var(--soft-border)" }}>
+          <div style={{ display: "grid", gap: 4, fontSize: 13, marginBottom: 8 }}>
+            {purchasePlan.purchases.length === 0 ? (
+              <div style={{ opacity: 0.8 }}>예산 안에서 이득이 나는 포션이 없습니다.</div>
+            ) : (
+              purchasePlan.purchases.map((x) => (
+                <div key={x.key}>
+                  <b>{potionLabel(x.key)}</b> {fmt(x.count)}개 · {fmt(x.cost)}원 · 순수익 {fmt(x.profit)}원
+                </div>
+              ))
+            )}
           </div>
-          {nicknameError ? (
-            <div style={{ gridColumn: "1 / -1", fontSize: 12, color: "#c0392b" }}>{nicknameError}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 6, fontSize: 13 }}>
+            <div>하루 구매 비용</div>
+            <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(purchasePlan.spend)}원</div>
+            <div>하루 사용 스태미나 (자연 회복 + 포션)</div>
+            <div style={{ textAlign: "right", fontWeight: 900 }}>
+              {fmt(purchasePlan.regenStamina)} + {fmt(purchasePlan.potionStamina)}
+              {Number.isFinite(maxStamina) ? ` / ${fmt(maxStamina)}` : ""}
+            </div>
+            <div>예상 순수익 (하루)</div>
+            <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(purchasePlan.profitPerDay)}원</div>
+            <div>예상 순수익 (일주일)</div>
+            <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(purchasePlan.profitPerWeek)}원</div>
+          </div>
+          {!purchasePlan.exact ? (
+            <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
+              조합이 많아 탐색을 중간에 멈췄습니다. 구매 한도를 넣으면 정확한 최적 조합을 구할 수 있습니다.
+            </div>
           ) : null}
-          <Select
-            label={"테마"}
-            value={["light", "dark", "purple"].includes(s.themeMode) ? s.themeMode : "light"}
+        </div>
+      </Card>
+
+      <Card title="세션 변동성 시뮬레이션">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 8 }}>
+          포션 1개 분량의 스태미나를 여러 번 캐는 상황을 무작위로 돌려 결과가 얼마나 흔들리는지 보여줍니다.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
+          <Select
+            label="포션"
+            value={simPotion.key}
+            onChange={(v) => setSimPotionKey(v)}
+            options={POTIONS.map((p) => ({ value: p.key, label: p.label }))}
+          />
+          <Field
+            label="시뮬레이션 횟수"
+            value={simRuns}
+            onChange={(v) => setSimRuns(v)}
+            placeholder="예: 2000"
+            min={100}
+            max={20000}
+            suffix="회"
+          />
+        </div>
+
+        <div style={{ marginTop: 12, padding: 12, borderRadius: 12, background: "var(--soft-bg)", border: "1px solid var(--soft-border)" }}>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 10, fontSize: 13 }}>
+            <div>평균 실수령</div><div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(sim.mean)}원</div>
+            <div>하위 10% (P10)</div><div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(sim.p10)}원</div>
+            <div>중앙값 (P50)</div><div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(sim.p50)}원</div>
+            <div>상위 10% (P90)</div><div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(sim.p90)}원</div>
+            <div>포션 가격</div><div style={{ textAlign: "right", fontWeight: 900 }}>{simCost > 0 ? `${fmt(simCost)}원` : "-"}</div>
+            <div>손해 볼 확률</div>
+            <div style={{ textAlign: "right", fontWeight: 900, color: sim.lossProb >= 0.5 ? "#e74c3c" : undefined }}>
+              {simCost > 0 ? `${(sim.lossProb * 100).toFixed(1)}%` : "-"}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12, display: "flex", alignItems: "flex-end", gap: 2, height: 120 }}>
+          {sim.histogram.map((b, idx) => (
+            <div
+              key={idx}
+              title={`${fmt(b.from)}원 ~ ${fmt(b.to)}원: ${b.count}회`}
+              style={{
+                flex: 1,
+                height: `${(b.count / simMaxBin) * 100}%`,
+                minHeight: b.count > 0 ? 2 : 0,
+                borderRadius: "4px 4px 0 0",
+                background: simCost > 0 && b.to <= simCost ? "#e74c3c" : "var(--accent)",
+                opacity: 0.85,
+              }}
+            />
+          ))}
+        </div>
+        <div style={{ marginTop: 4, display: "flex", justifyContent: "space-between", fontSize: 11, opacity: 0.7 }}>
+          <span>{fmt(sim.min)}원</span>
+          <span>{fmt(sim.max)}원</span>
+        </div>
+
+        <div style={{ marginTop: 10, display: "flex", justifyContent: "flex-end" }}>
+          <button
+            onClick={() => setSimSeed((v) => v + 1)}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 10,
+              border: "1px solid var(--input-border)",
+              background: "var(--panel-bg)",
+              color: "var(--text)",
+              cursor: "pointer",
+              fontWeight: 800,
+              fontSize: 12,
+            }}
+          >
+            다시 돌리기
+          </button>
+        </div>
+      </Card>
+    </div>
+  );
+}
+function RulesEditor({ rules, updatedAt, updatedBy, onSave, saving, error }) {
+  const [draft, setDraft] = useState(() => rulesToDraft(rules));
+  const [validationErrors, setValidationErrors] = useState([]);
+
+  const tables = [
+    {
+      key: "sage",
+      title: "세이지 곡괭이 강화 (강화 단계 → 조각 수)",
+      columns: [{ key: "shards", label: "조각/회", suffix: "개" }],
+      blank: { level: "", shards: "" },
+    },
+    {
+      key: "gem",
+      title: "보석 전문가 (레벨 → 확률/개수)",
+      columns: [
+        { key: "probPct", label: "확률", suffix: "%" },
+        { key: "count", label: "개수", suffix: "개" },
+      ],
+      blank: { level: "", probPct: "", count: "" },
+    },
+    {
+      key: "flame",
+      title: "불붙은 곡괭이 (레벨 → 확률/주괴)",
+      columns: [
+        { key: "probPct", label: "확률", suffix: "%" },
+        { key: "ingots", label: "주괴", suffix: "개" },
+      ],
+      blank: { level: "", probPct: "", ingots: "1" },
+    },
+  ];
+
+  const smallButton = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+
+  const updateRow = (tableKey, idx, field, value) =>
+    setDraft((d) => ({
+      ...d,
+      [tableKey]: d[tableKey].map((r, i) => (i === idx ? { ...r, [field]: value } : r)),
+    }));
+
+  const save = () => {
+    const { rules: next, errors } = draftToRules(draft);
+    setValidationErrors(errors);
+    if (!next) return;
+    onSave(next);
+  };
+
+  return (
+    <Card title="스킬 규칙 테이블 (관리자)">
+      <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+        {`현재 적용 버전: ${rules.version ? `v${rules.version}` : "기본값(내장)"}`}
+        {updatedAt ? ` · ${updatedAt.toLocaleString("ko-KR")}` : ""}
+        {updatedBy ? ` (${updatedBy.name || updatedBy.email || "알 수 없음"})` : ""}
+        <br />
+        저장하면 새 버전으로 게시되고 모든 계산기에 바로 반영됩니다.
+      </div>
+      <div style={{ display: "grid", gap: 12 }}>
+        {tables.map((t) => (
+          <div key={t.key} style={{ padding: 10, borderRadius: 10, border: "1px solid var(--soft-border)", background: "var(--panel-bg)" }}>
+            <div style={{ fontWeight: 900, fontSize: 13, marginBottom: 8 }}>{t.title}</div>
+            <div style={{ display: "grid", gap: 8 }}>
+              {draft[t.key].map((row, idx) => (
+                <div
+                  key={idx}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: `repeat(${t.columns.length + 1}, 1fr) auto`,
+                    gap: 8,
+                    alignItems: "end",
+                  }}
+                >
+                  <Field label="레벨" value={row.level} onChange={(v) => updateRow(t.key, idx, "level", v)} min={0} />
+                  {t.columns.map((c) => (
+                    <Field
+                      key={c.key}
+                      label={c.label}
+                      value={row[c.key]}
+                      onChange={(v) => updateRow(t.key, idx, c.key, v)}
+                      min={0}
+                      suffix={c.suffix}
+                    />
+                  ))}
+                  <button
+                    onClick={() => setDraft((d) => ({ ...d, [t.key]: d[t.key].filter((_, i) => i !== idx) }))}
+                    style={smallButton}
+                  >
+                    삭제
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div style={{ marginTop: 8 }}>
+              <button onClick={() => setDraft((d) => ({ ...d, [t.key]: [...d[t.key], { ...t.blank }] }))} style={smallButton}>
+                레벨 추가
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {validationErrors.length ? (
+        <div style={{ marginTop: 10, fontSize: 12, color: "#c0392b", lineHeight: 1.5 }}>
+          {validationErrors.map((e) => (
+            <div key={e}>{e}</div>
+          ))}
+        </div>
+      ) : null}
+      <div style={{ marginTop: 10, display: "flex", justifyContent: "flex-end", gap: 10, alignItems: "center" }}>
+        {error ? <span style={{ fontSize: 12, color: "#c0392b" }}>{error}</span> : null}
+        <button onClick={() => setDraft(rulesToDraft(DEFAULT_RULES))} style={smallButton}>
+          기본값 불러오기
+        </button>
+        <button onClick={() => setDraft(rulesToDraft(rules))} style={smallButton}>
+          되돌리기
+        </button>
+        <button
+          onClick={save}
+          disabled={saving}
+          style={{
+            ...smallButton,
+            background: "var(--accent)",
+            color: "var(--accent-text)",
+            cursor: saving ? "not-allowed" : "pointer",
+            fontWeight: 900,
+            opacity: saving ? 0.6 : 1,
+          }}
+        >
+          {saving ? "저장 중..." : "새 버전으로 저장"}
+        </button>
+      </div>
+    </Card>
+  );
+}
+
+function MaterialCatalogEditor({ materials, updatedAt, updatedBy, onSave, saving, error }) {
+  const [draft, setDraft] = useState(() => materialsToDraft(materials));
+  const [validationErrors, setValidationErrors] = useState([]);
+  const builtIn = new Set(DEFAULT_MATERIALS.map((m) => m.id));
+  const modeLabels = { owned: "직접 수급(0)", buy: "구매", opportunity: "포기한 판매 수익" };
+
+  const smallButton = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+
+  const updateRow = (idx, field, value) =>
+    setDraft((d) => d.map((r, i) => (i === idx ? { ...r, [field]: value } : r)));
+
+  const save = () => {
+    const { materials: next, errors } = draftToMaterials(draft);
+    setValidationErrors(errors);
+    if (!next) return;
+    onSave(next);
+  };
+
+  return (
+    <Card title="재료 카탈로그 (관리자)">
+      <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+        {updatedAt ? `마지막 수정: ${updatedAt.toLocaleString("ko-KR")}` : "현재 기본 재료 목록 사용 중"}
+        {updatedBy ? ` (${updatedBy.name || updatedBy.email || "알 수 없음"})` : ""}
+        <br />
+        추가한 재료는 재료 시세, 레시피 편집, 시세 기록에 바로 나타납니다. 기본 재료는 삭제할 수 없습니다.
+      </div>
+      <div style={{ display: "grid", gap: 8 }}>
+        {draft.map((row, idx) => (
+          <div
+            key={idx}
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(5, 1fr) auto",
+              gap: 8,
+              alignItems: "end",
+              padding: 10,
+              borderRadius: 10,
+              border: "1px solid var(--soft-border)",
+              background: "var(--panel-bg)",
+            }}
+          >
+            {builtIn.has(row.id) ? (
+              <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>ID</div>
+                <div style={{ padding: "10px 0", fontSize: 14, fontWeight: 700 }}>{row.id}</div>
+              </div>
+            ) : (
+              <TextField label="ID" value={row.id} onChange={(v) => updateRow(idx, "id", v)} placeholder="예: emerald" />
+            )}
+            <TextField label="이름" value={row.label} onChange={(v) => updateRow(idx, "label", v)} placeholder="예: 에메랄드" />
+            <Select
+              label="단위"
+              value={row.unit}
+              onChange={(v) => updateRow(idx, "unit", String(v))}
+              options={Object.entries(MATERIAL_UNITS).map(([value, label]) => ({ value, label }))}
+            />
+            <Field label="묶음 크기" value={row.stackSize} onChange={(v) => updateRow(idx, "stackSize", v)} min={1} suffix="개" />
+            <Select
+              label="기본 수급 방식"
+              value={row.defaultMode}
+              onChange={(v) => updateRow(idx, "defaultMode", String(v))}
+              options={MATERIAL_MODES.map((value) => ({ value, label: modeLabels[value] }))}
+            />
+            <button
+              onClick={() => setDraft((d) => d.filter((_, i) => i !== idx))}
+              disabled={builtIn.has(row.id)}
+              style={{ ...smallButton, opacity: builtIn.has(row.id) ? 0.4 : 1, cursor: builtIn.has(row.id) ? "not-allowed" : "pointer" }}
+            >
+              삭제
+            </button>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <button
+          onClick={() => setDraft((d) => [...d, { id: "", label: "", unit: "item", stackSize: "64", defaultMode: "owned" }])}
+          style={smallButton}
+        >
+          재료 추가
+        </button>
+      </div>
+      {validationErrors.length ? (
+        <div style={{ marginTop: 10, fontSize: 12, color: "#c0392b", lineHeight: 1.5 }}>
+          {validationErrors.map((e) => (
+            <div key={e}>{e}</div>
+          ))}
+        </div>
+      ) : null}
+      <div style={{ marginTop: 10, display: "flex", justifyContent: "flex-end", gap: 10, alignItems: "center" }}>
+        {error ? <span style={{ fontSize: 12, color: "#c0392b" }}>{error}</span> : null}
+        <button onClick={() => setDraft(materialsToDraft(materials))} style={smallButton}>
+          되돌리기
+        </button>
+        <button
+          onClick={save}
+          disabled={saving}
+          style={{
+            ...smallButton,
+            background: "var(--accent)",
+            color: "var(--accent-text)",
+            cursor: saving ? "not-allowed" : "pointer",
+            fontWeight: 900,
+            opacity: saving ? 0.6 : 1,
+          }}
+        >
+          {saving ? "저장 중..." : "재료 목록 저장"}
+        </button>
+      </div>
+    </Card>
+  );
+}
+
+function ProfilePage({
+  s,
+  setS,
+  feeRate,
+  rules,
+  priceUpdatedAt,
+  priceUpdatedBy,
+  authUser,
+  userDoc,
+  onSaveNickname,
+  onSaveCommonPrices,
+  commonPriceSaving,
+  commonPriceError,
+  onSaveMaterialPrices,
+  materialPriceSaving,
+  materialPriceError,
+  nicknameSaving,
+  nicknameError,
+  rulesUpdatedAt,
+  rulesUpdatedBy,
+  onSaveRules,
+  rulesSaving,
+  rulesError,
+  materials,
+  materialsUpdatedAt,
+  materialsUpdatedBy,
+  onSaveMaterials,
+  materialsSaving,
+  materialsError,
+  isAdmin,
+  priceLayers,
+}) {
+  const [nickname, setNickname] = useState(
+    () => userDoc?.nickname ?? authUser?.displayName ?? ""
+  );
+  const pct = (prob) => +(prob * 100).toFixed(2);
+  const sageOptions = ruleLevels(rules.sageShardsByEnh).map((v) => ({
+    value: v,
+    label: `${v}강 (조각 ${rules.sageShardsByEnh[v]}개)`,
+  }));
+
+  const gemOptions = [
+    { value: 0, label: "0레벨 (스킬 없음)" },
+    ...ruleLevels(rules.gemExpert).map((lv) => ({
+      value: lv,
+      label: `${lv}레벨 (${pct(rules.gemExpert[lv].prob)}% 확률, ${rules.gemExpert[lv].count}개)`,
+    })),
+  ];
+
+  const flameOptions = [
+    { value: 0, label: "0레벨 (스킬 없음)" },
+    ...ruleLevels(rules.flamingPick).map((lv) => ({
+      value: lv,
+      label: `${lv}레벨 (${pct(rules.flamingPick[lv].prob)}% 확률, 주괴 ${rules.flamingPick[lv].ingots}개)`,
+    })),
+  ];
+
+  const { shardsPerDig, gem: gemRule, flame: flameRule } = skillEffects(s, rules);
+
+  const upgradeRows = useMemo(() => {
+    return rankUpgrades({
+      levels: {
+        sageEnhLevel: s.sageEnhLevel,
+        gemExpertLevel: s.gemExpertLevel,
+        flamingPickLevel: s.flamingPickLevel,
+      },
+      market: {
+        staminaPerDig: toNum(s.staminaPerDig, 10),
+        shardsPerIngot: toNum(s.shardsPerIngot, 16),
+        ingotGrossPrice: toNum(s.ingotGrossPrice, 0),
+        gemGrossPrice: toNum(s.gemGrossPrice, 0),
+        sellFeeRate: feeRate,
+      },
+      costs: {
+        sage: toNum(s.upgradeCosts?.sage, 0),
+        gem: toNum(s.upgradeCosts?.gem, 0),
+        flame: toNum(s.upgradeCosts?.flame, 0),
+      },
+      dailyStamina: toNum(s.dailyStamina, 0),
+      rules,
+    });
+  }, [
+    rules,
+    s.sageEnhLevel,
+    s.gemExpertLevel,
+    s.flamingPickLevel,
+    s.staminaPerDig,
+    s.shardsPerIngot,
+    s.ingotGrossPrice,
+    s.gemGrossPrice,
+    s.upgradeCosts,
+    s.dailyStamina,
+    feeRate,
+  ]);
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card title="내 정보 입력">
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
+          <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "flex-end" }}>
+            <TextField
+              label="온라인 표시 이름"
+              value={nickname}
+              onChange={(v) => setNickname(v)}
+              placeholder="예: 미래24"
+            />
+            <button
+              onClick={() => onSaveNickname(nickname)}
+              disabled={!authUser || nicknameSaving}
+              style={{
+                padding: "10px 14px",
+                borderRadius: 10,
+                border: "1px solid var(--input-border)",
+                background: "var(--accent)",
+                color: "var(--accent-text)",
+                cursor: !authUser || nicknameSaving ? "not-allowed" : "pointer",
+                fontWeight: 900,
+                fontSize: 12,
+                opacity: !authUser || nicknameSaving ? 0.6 : 1,
+                whiteSpace: "nowrap",
+              }}
+              title={authUser ? "온라인 표시 이름 저장" : "로그인 후 설정할 수 있습니다."}
+            >
+              {nicknameSaving ? "저장 중..." : "저장"}
+            </button>
+          </div>
+          {nicknameError ? (
+            <div style={{ gridColumn: "1 / -1", fontSize: 12, color: "#c0392b" }}>{nicknameError}</div>
+          ) : null}
+          <Select
+            label={"테마"}
+            value={["light", "dark", "purple"].includes(s.themeMode) ? s.themeMode : "light"}
             onChange={(v) => setS((p) => ({ ...p, themeMode: v }))}
             options={[
               { value: "light", label: "라이트 모드" },
@@ -1285,7 +2621,7 @@ function ProfilePage({
               보석: <b>{fmt(gemRule.prob * 100)}%</b>, <b>{fmt(gemRule.count)}</b>개
             </div>
             <div>
-              불붙은(추가): <b>{fmt(flameRule.prob * 100)}%</b> 확률, <b>주괴 1개</b>
+              불붙은(추가): <b>{fmt(flameRule.prob * 100)}%</b> 확률, <b>주괴 {fmt(flameRule.ingots)}개</b>
             </div>
             <div>
               판매 수수료: <b>{fmt(toNum(s.feePct))}%</b>
@@ -1294,7 +2630,95 @@ function ProfilePage({
         </div>
       </Card>
 
+      {isAdmin ? (
+        <RulesEditor
+          key={rules.version}
+          rules={rules}
+          updatedAt={rulesUpdatedAt}
+          updatedBy={rulesUpdatedBy}
+          onSave={onSaveRules}
+          saving={rulesSaving}
+          error={rulesError}
+        />
+      ) : null}
+
+      {isAdmin ? (
+        <MaterialCatalogEditor
+          key={materialsUpdatedAt ? materialsUpdatedAt.getTime() : "default"}
+          materials={materials}
+          updatedAt={materialsUpdatedAt}
+          updatedBy={materialsUpdatedBy}
+          onSave={onSaveMaterials}
+          saving={materialsSaving}
+          error={materialsError}
+        />
+      ) : null}
+
+      <Card title="업그레이드 효율 (다음 단계 비교)">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 8, lineHeight: 1.5 }}>
+          다음 강화/스킬 레벨의 비용을 입력하면, 스태미나 1당 기대가치 증가분으로 비용을 회수하는 데 필요한 스태미나와 일수를 계산합니다.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
+          {upgradeRows.map((r) => (
+            <Field
+              key={r.key}
+              label={`${r.label} ${r.from ?? 0} → ${r.to} 비용`}
+              value={s.upgradeCosts?.[r.key] ?? ""}
+              onChange={(v) => setS((p) => ({ ...p, upgradeCosts: { ...p.upgradeCosts, [r.key]: v } }))}
+              placeholder="예: 500000"
+              min={0}
+              suffix="원"
+            />
+          ))}
+          <Field
+            label="하루 사용 스태미나"
+            value={s.dailyStamina}
+            onChange={(v) => setS((p) => ({ ...p, dailyStamina: v }))}
+            placeholder="예: 1000"
+            min={0}
+          />
+        </div>
+
+        <div style={{ marginTop: 12, overflowX: "auto" }}>
+          {upgradeRows.length === 0 ? (
+            <div style={{ fontSize: 13, opacity: 0.8 }}>모든 강화/스킬이 최고 단계입니다.</div>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "left", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>순위</th>
+                  <th style={{ textAlign: "left", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>업그레이드</th>
+                  <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>스태미나 1당 증가</th>
+                  <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>회수 스태미나</th>
+                  <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>회수 기간</th>
+                </tr>
+              </thead>
+              <tbody>
+                {upgradeRows.map((r, idx) => (
+                  <tr key={r.key}>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", fontWeight: 900 }}>{idx + 1}</td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", fontWeight: 900 }}>
+                      {`${r.label} ${r.from ?? 0} → ${r.to}`}
+                    </td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
+                      {`${r.gainPerStamina.toFixed(1)}원`}
+                    </td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
+                      {r.paybackStamina != null ? fmt(r.paybackStamina) : "-"}
+                    </td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
+                      {r.paybackDays != null ? `${r.paybackDays.toFixed(1)}일` : "-"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </Card>
+
       <Card title="시세 입력 (공통)">
+        <PriceLayerBar layers={priceLayers} />
         <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12 }}>
           <Field
             label="판매 수수료(%)"
@@ -1305,28 +2729,13 @@ function ProfilePage({
             max={50}
             suffix="%"
           />
-          <Field
+          <PriceField
             label="주괴 시장가(원)"
-            value={s.ingotGrossPrice}
-            onChange={(v) =>
-              setS((p) => ({
-                ...p,
-                ingotGrossPrice: v,
-                prices: { ...p.prices, ingot: { market: v } },
-              }))
-            }
+            paths={["ingotGrossPrice", "prices.ingot.market"]}
+            layers={priceLayers}
             placeholder="예: 6000"
-            min={0}
-            suffix="원"
-          />
-          <Field
-            label="보석 시장가(원)"
-            value={s.gemGrossPrice}
-            onChange={(v) => setS((p) => ({ ...p, gemGrossPrice: v }))}
-            placeholder="예: 12000"
-            min={0}
-            suffix="원"
           />
+          <PriceField label="보석 시장가(원)" paths={["gemGrossPrice"]} layers={priceLayers} placeholder="예: 12000" />
         </div>
 
         <div style={{ marginTop: 12, fontSize: 13, opacity: 0.9, lineHeight: 1.5 }}>
@@ -1390,24 +2799,17 @@ function ProfilePage({
         </div>
 
         <div style={{ marginTop: 10, display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 10 }}>
-          {materialKeysForUI.map((key) => {
-            const label = materialLabels[key] || key;
-            const market = s.prices[key]?.market ?? "";
-            const mode = s.modes[key] || "owned";
+          {materials.map((m) => {
+            const key = m.id;
+            const label = materialName(m);
+            const mode = s.modes[key] || m.defaultMode;
             return (
               <div key={key} style={{ display: "grid", gap: 8, padding: 10, borderRadius: 10, border: "1px solid var(--soft-border)", background: "var(--panel-bg)" }}>
-                <Field
+                <PriceField
                   label={`${label} 시장가(개당)`}
-                  value={market}
-                  onChange={(v) =>
-                    setS((p) => ({
-                      ...p,
-                      prices: { ...p.prices, [key]: { market: v } },
-                    }))
-                  }
+                  paths={[`prices.${key}.market`]}
+                  layers={priceLayers}
                   placeholder="예: 1000"
-                  min={0}
-                  suffix="원"
                 />
                 <Select
                   label={`${label} 수급 방식`}
@@ -1454,21 +2856,20 @@ function ProfilePage({
  * Root App
  * ==========
  */
-function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profiles, setProfiles }) {
-  const [form, setForm] = useState({
-    type: "improve",
-    title: "",
-    body: "",
-    contact: "",
-    visibility: "public",
-  });
-  const [customType, setCustomType] = useState("");
-
-  const [items, setItems] = useState([]);
-  const [replyDrafts, setReplyDrafts] = useState({});
-  const isAdmin = s.adminMode === true;
-  const canSubmit = form.title.trim() && form.body.trim();
-  const [clientId] = useState(() => getClientId());
+function VillageSuggestionPage({
+  isAdmin,
+  canAnswer,
+  canComment,
+  members,
+  memberRanks,
+  nowMs,
+  onlineUsers,
+  authUser,
+  showProfiles,
+  profiles,
+  setProfiles,
+  onQueueWrite,
+}) {
   const [profileForm, setProfileForm] = useState({
     nickname: "",
     mcNickname: "",
@@ -1476,7 +2877,6 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
     age: "",
     mbti: "",
     job: "",
-    rank: "",
     likes: "",
     dislikes: "",
   });
@@ -1484,18 +2884,6 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
   const [profileSaving, setProfileSaving] = useState(false);
   const [profileError, setProfileError] = useState("");
 
-  useEffect(() => {
-    const q = query(collection(db, "villageSuggestions"), orderBy("createdAt", "desc"));
-    const unsub = onSnapshot(q, (snap) => {
-      const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      const visible = isAdmin
-        ? rows
-        : rows.filter((r) => r.visibility !== "private" || r.authorId === clientId);
-      setItems(visible);
-    });
-    return () => unsub();
-  }, [isAdmin, clientId]);
-
   useEffect(() => {
     if (!authUser || profileTouched) return;
     const mine = profiles.find((p) => p.uid === authUser.uid);
@@ -1507,7 +2895,6 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
         age: "",
         mbti: "",
         job: "",
-        rank: "",
         likes: "",
         dislikes: "",
       });
@@ -1520,71 +2907,11 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
       age: mine.age || "",
       mbti: mine.mbti || "",
       job: mine.job || "",
-      rank: mine.rank || "",
       likes: mine.likes || "",
       dislikes: mine.dislikes || "",
     });
   }, [authUser, profiles, profileTouched]);
 
-  useEffect(() => {
-    setReplyDrafts((prev) => {
-      let changed = false;
-      const next = { ...prev };
-      items.forEach((item) => {
-        if (!(item.id in next)) {
-          next[item.id] = item.reply || "";
-          changed = true;
-        }
-      });
-      return changed ? next : prev;
-    });
-  }, [items]);
-
-  const submit = () => {
-    if (!canSubmit) return;
-    const finalType = form.type === "other" ? customType.trim() || "기타" : form.type;
-    addDoc(collection(db, "villageSuggestions"), {
-      type: finalType,
-      title: form.title.trim(),
-      body: form.body.trim(),
-      contact: form.contact.trim(),
-      visibility: form.visibility,
-      authorId: clientId,
-      status: "new",
-      createdAt: serverTimestamp(),
-    });
-    setForm({ type: "improve", title: "", body: "", contact: "", visibility: "public" });
-    setCustomType("");
-  };
-
-  const updateStatus = (id, status) => {
-    if (!isAdmin) return;
-    updateDoc(doc(db, "villageSuggestions", id), { status });
-  };
-
-  const removeItem = (id) => {
-    if (!isAdmin) return;
-    deleteDoc(doc(db, "villageSuggestions", id));
-  };
-
-  const saveReply = (id, reply) => {
-    if (!isAdmin) return;
-    const trimmed = (reply || "").trim();
-    updateDoc(doc(db, "villageSuggestions", id), {
-      reply: trimmed,
-      repliedAt: trimmed ? serverTimestamp() : null,
-      status: trimmed ? "done" : "progress",
-    });
-  };
-
-  const typeLabel = (type) => (type ? String(type) : "기타");
-
-  const statusLabel = (status) => {
-    if (status === "progress") return "진행중";
-    if (status === "done") return "완료";
-    return "접수";
-  };
-
   const handleProfileChange = (key, value) => {
     setProfileTouched(true);
     setProfileForm((p) => ({ ...p, [key]: value }));
@@ -1599,7 +2926,7 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
     if (!authUser) return;
     setProfileSaving(true);
     setProfileError("");
-    const payload = {
+    const fields = {
       uid: authUser.uid,
       nickname: profileForm.nickname.trim(),
       mcNickname: profileForm.mcNickname.trim(),
@@ -1607,12 +2934,12 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
       age: profileForm.age.trim(),
       mbti: profileForm.mbti.trim(),
       job: profileForm.job.trim(),
-      rank: profileForm.rank || "",
       likes: profileForm.likes.trim(),
       dislikes: profileForm.dislikes.trim(),
-      updatedAt: serverTimestamp(),
     };
-    if (!existingProfile?.createdAt) {
+    const isNew = !existingProfile?.createdAt;
+    const payload = { ...fields, updatedAt: serverTimestamp() };
+    if (isNew) {
       payload.createdAt = serverTimestamp();
     }
     try {
@@ -1636,24 +2963,10 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
       setProfileTouched(false);
     } catch (err) {
       if (err?.code === "resource-exhausted") {
-        try {
-          localStorage.setItem(
-            `pendingProfile:${authUser.uid}`,
-            JSON.stringify({ payload, ts: Date.now() })
-          );
-        } catch {
-          // ignore localStorage failures
-        }
+        onQueueWrite("profile", "profile", { fields, isNew });
         setProfileError("저장량이 잠시 초과되었습니다. 로컬에 임시 저장했고 자동 재시도합니다.");
       } else if (err?.message === "timeout") {
-        try {
-          localStorage.setItem(
-            `pendingProfile:${authUser.uid}`,
-            JSON.stringify({ payload, ts: Date.now() })
-          );
-        } catch {
-          // ignore localStorage failures
-        }
+        onQueueWrite("profile", "profile", { fields, isNew });
         setProfileError("저장이 지연되고 있습니다. 로컬에 임시 저장했고 자동 재시도합니다.");
       } else {
         setProfileError("프로필 저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
@@ -1680,7 +2993,6 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
         age: "",
         mbti: "",
         job: "",
-        rank: "",
         likes: "",
         dislikes: "",
       });
@@ -1704,7 +3016,6 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
       age: "",
       mbti: "",
       job: "",
-      rank: "",
       likes: "",
       dislikes: "",
     });
@@ -1712,110 +3023,18 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
   };
 
   const sortedProfiles = useMemo(() => {
-    const order = new Map(RANK_ORDER.map((rank, idx) => [rank, idx]));
     return [...profiles].sort((a, b) => {
-      const ra = order.has(a.rank) ? order.get(a.rank) : RANK_ORDER.length;
-      const rb = order.has(b.rank) ? order.get(b.rank) : RANK_ORDER.length;
+      const ra = rankIndex(memberRanks?.[a.uid]);
+      const rb = rankIndex(memberRanks?.[b.uid]);
       if (ra !== rb) return ra - rb;
       const an = a.nickname || a.mcNickname || "";
       const bn = b.nickname || b.mcNickname || "";
       return an.localeCompare(bn);
     });
-  }, [profiles]);
+  }, [profiles, memberRanks]);
 
   return (
     <div style={{ display: "grid", gap: 12 }}>
-      {!showProfiles ? (
-        <Card title={"마을 건의함"}>
-          <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10 }}>
-            {"마을 관련 건의/문의는 여기에 남겨주세요."}
-          </div>
-          <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
-            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-              <div style={{ fontSize: 12, opacity: 0.8 }}>유형</div>
-              <select
-                value={form.type}
-                onChange={(e) => setForm((p) => ({ ...p, type: e.target.value }))}
-                style={{
-                  padding: "10px 12px",
-                  borderRadius: 10,
-                  border: "1px solid var(--input-border)",
-                  outline: "none",
-                  fontSize: 14,
-                  background: "var(--input-bg)",
-                  color: "var(--text)",
-                }}
-              >
-                <option value="improve">개선</option>
-                <option value="bug">오류/잘못된 점</option>
-                <option value="other">기타(직접 입력)</option>
-              </select>
-            </div>
-            <TextField
-              label="연락처(선택)"
-              value={form.contact}
-              onChange={(v) => setForm((p) => ({ ...p, contact: v }))}
-              placeholder="이메일/디스코드 등"
-            />
-          </div>
-
-          {form.type === "other" ? (
-            <div style={{ marginTop: 12 }}>
-              <TextField
-                label="기타 유형"
-                value={customType}
-                onChange={(v) => setCustomType(v)}
-                placeholder="예: 이벤트/시설/상점"
-              />
-            </div>
-          ) : null}
-
-          <div style={{ display: "grid", gridTemplateColumns: "1fr", gap: 12, marginTop: 12 }}>
-            <Select
-              label={"공개 설정"}
-              value={form.visibility}
-              onChange={(v) => setForm((p) => ({ ...p, visibility: v }))}
-              options={[
-                { value: "public", label: "공개" },
-                { value: "private", label: "비공개(관리자만)" },
-              ]}
-            />
-            <TextField
-              label="제목"
-              value={form.title}
-              onChange={(v) => setForm((p) => ({ ...p, title: v }))}
-              placeholder="예: 마을 상점에 아이템 추가 요청"
-            />
-            <TextArea
-              label="내용"
-              value={form.body}
-              onChange={(v) => setForm((p) => ({ ...p, body: v }))}
-              placeholder="건의 내용을 자세히 적어주세요."
-              rows={5}
-            />
-          </div>
-
-          <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end", gap: 10 }}>
-            <button
-              onClick={submit}
-              disabled={!canSubmit}
-              style={{
-                padding: "10px 14px",
-                borderRadius: 10,
-                border: "1px solid var(--input-border)",
-                background: canSubmit ? "var(--accent)" : "var(--panel-bg)",
-                color: canSubmit ? "var(--accent-text)" : "var(--muted)",
-                cursor: canSubmit ? "pointer" : "not-allowed",
-                fontWeight: 900,
-                fontSize: 13,
-              }}
-            >
-              등록
-            </button>
-          </div>
-        </Card>
-      ) : null}
-
       {showProfiles ? (
         <Card title="마을원 프로필">
           <div style={{ display: "grid", gap: 12 }}>
@@ -1839,7 +3058,9 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
                       {p.nickname || p.mcNickname || "이름 없음"}
                       {p.mcNickname ? ` (${p.mcNickname})` : ""}
                     </div>
-                    {p.rank ? <div style={{ fontSize: 12, opacity: 0.85 }}>직급: {p.rank}</div> : null}
+                    {memberRanks?.[p.uid] ? (
+                      <div style={{ fontSize: 12, opacity: 0.85 }}>직급: {memberRanks[p.uid]}</div>
+                    ) : null}
                     <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 6, fontSize: 12 }}>
                       <div>생일: {p.birthday || "-"}</div>
                       <div>나이: {p.age || "-"}</div>
@@ -1896,19 +3117,13 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
                 onChange={(v) => handleProfileChange("job", v)}
                 placeholder="예: 건축가"
               />
-              <Select
-                label="직급"
-                value={profileForm.rank}
-                onChange={(v) => handleProfileChange("rank", v)}
-                options={[
-                  { value: "이장", label: "이장" },
-                  { value: "부이장", label: "부이장" },
-                  { value: "주민대표", label: "주민대표" },
-                  { value: "거주민", label: "거주민" },
-                  { value: "입주자", label: "입주자" },
-                  { value: "알바", label: "알바" },
-                ]}
-              />
+              <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>직급</div>
+                <div style={{ padding: "10px 0", fontSize: 14, fontWeight: 700 }}>
+                  {(authUser && memberRanks?.[authUser.uid]) || "직급 없음"}
+                  <span style={{ marginLeft: 6, fontSize: 12, fontWeight: 400, opacity: 0.7 }}>(이장/부이장이 지정)</span>
+                </div>
+              </div>
               <div style={{ gridColumn: "1 / -1" }}>
                 <TextArea
                   label="좋아하는 것"
@@ -1992,133 +3207,16 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
 
       {!showProfiles ? (
         <>
-          <Card title={"건의 관리"}>
-            {items.length === 0 ? (
-              <div style={{ fontSize: 13, opacity: 0.8 }}>등록된 건의가 없습니다.</div>
-            ) : (
-              <div style={{ display: "grid", gap: 12 }}>
-                {items.map((item) => (
-                  <div
-                    key={item.id}
-                    style={{
-                      border: "1px solid var(--soft-border)",
-                      borderRadius: 12,
-                      padding: 12,
-                      background: "var(--panel-bg)",
-                      display: "grid",
-                      gap: 8,
-                    }}
-                  >
-                    <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
-                      <div style={{ fontWeight: 900 }}>
-                        [{typeLabel(item.type)}] {item.title}
-                      </div>
-                      <div style={{ fontSize: 12, opacity: 0.75 }}>
-                        {item.createdAt?.toDate ? item.createdAt.toDate().toLocaleString("ko-KR") : "-"}
-                      </div>
-                    </div>
-                    <div style={{ fontSize: 13, lineHeight: 1.5 }}>{item.body}</div>
-                    {item.contact ? (
-                      <div style={{ fontSize: 12, opacity: 0.8 }}>연락처: {item.contact}</div>
-                    ) : null}
-                    <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                      <div style={{ fontSize: 12, opacity: 0.7 }}>
-                        공개: {item.visibility === "private" ? "비공개" : "공개"}
-                      </div>
-                      {item.reply ? (
-                        <div style={{ fontSize: 12, fontWeight: 700, color: "var(--accent)" }}>
-                          관리자 답변 완료
-                        </div>
-                      ) : null}
-                    </div>
-                    {item.reply ? (
-                      <div
-                        style={{
-                          padding: 10,
-                          borderRadius: 10,
-                          background: "var(--soft-bg)",
-                          border: "1px solid var(--soft-border)",
-                          fontSize: 13,
-                        }}
-                      >
-                        <div style={{ fontWeight: 900, marginBottom: 4 }}>관리자 답변</div>
-                        <div style={{ whiteSpace: "pre-wrap" }}>{item.reply}</div>
-                      </div>
-                    ) : null}
-                    <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                      <div style={{ fontSize: 12, opacity: 0.8 }}>상태</div>
-                      {isAdmin ? (
-                        <select
-                          value={item.status || "new"}
-                          onChange={(e) => updateStatus(item.id, e.target.value)}
-                          style={{
-                            padding: "8px 10px",
-                            borderRadius: 10,
-                            border: "1px solid var(--input-border)",
-                            outline: "none",
-                            fontSize: 13,
-                            background: "var(--input-bg)",
-                            color: "var(--text)",
-                          }}
-                        >
-                          <option value="new">접수</option>
-                          <option value="progress">진행중</option>
-                          <option value="done">완료</option>
-                        </select>
-                      ) : (
-                        <div style={{ fontSize: 12, opacity: 0.7 }}>{statusLabel(item.status)}</div>
-                      )}
-                      {isAdmin ? (
-                        <button
-                          onClick={() => removeItem(item.id)}
-                          style={{
-                            padding: "8px 10px",
-                            borderRadius: 10,
-                            border: "1px solid var(--input-border)",
-                            background: "var(--panel-bg)",
-                            color: "var(--text)",
-                            cursor: "pointer",
-                            fontSize: 12,
-                            fontWeight: 700,
-                          }}
-                        >
-                          삭제
-                        </button>
-                      ) : null}
-                    </div>
-                    {isAdmin ? (
-                      <div style={{ marginTop: 6, display: "grid", gap: 8 }}>
-                        <TextArea
-                          label="관리자 답변"
-                          value={replyDrafts[item.id] ?? ""}
-                          onChange={(v) => setReplyDrafts((p) => ({ ...p, [item.id]: v }))}
-                          placeholder="답변을 입력하세요"
-                          rows={3}
-                        />
-                        <div style={{ display: "flex", justifyContent: "flex-end" }}>
-                          <button
-                            onClick={() => saveReply(item.id, replyDrafts[item.id] ?? "")}
-                            style={{
-                              padding: "8px 10px",
-                              borderRadius: 10,
-                              border: "1px solid var(--input-border)",
-                              background: "var(--accent)",
-                              color: "var(--accent-text)",
-                              cursor: "pointer",
-                              fontSize: 12,
-                              fontWeight: 900,
-                            }}
-                          >
-                            답변 저장
-                          </button>
-                        </div>
-                      </div>
-                    ) : null}
-                  </div>
-                ))}
-              </div>
-            )}
-          </Card>
+          <TicketBoard
+            board={TICKET_BOARDS.villageSuggestions}
+            canModerate={canAnswer}
+            canDelete={isAdmin}
+            canSeePrivate={isAdmin}
+            canComment={canComment}
+            authUser={authUser}
+            members={members}
+            nowMs={nowMs}
+          />
 
           <Card title={"현재 접속 중"}>
             <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 8 }}>
@@ -2153,19 +3251,144 @@ function VillageSuggestionPage({ s, onlineUsers, authUser, showProfiles, profile
 }
 
 
-function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSharedPrices, priceSaving, priceSaveError, authUser }) {
+// recipe ingredients with quantities cast to numbers (editor keeps strings)
+function recipeQty(recipe) {
+  return Object.fromEntries(Object.entries(recipe?.ingredients || {}).map(([k, q]) => [k, toNum(q, 0)]));
+}
+
+function RecipeEditor({ recipes, materials, onChange, onReset }) {
+  const smallButton = {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+  const materialOptions = materials.map((m) => ({ value: m.id, label: materialName(m) }));
+  // other recipes' outputs can be used as intermediate ingredients
+  const ingredientOptions = (r) => [
+    ...materialOptions,
+    ...recipes.filter((x) => x.id !== r.id).map((x) => ({ value: x.id, label: `[제작] ${x.name || "이름 없음"}` })),
+  ];
+
+  const updateRecipe = (id, patch) => onChange(recipes.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  const addRecipe = () => {
+    const id = `r_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    onChange([...recipes, { id, name: "새 레시피", ingredients: { ingot: 1 } }]);
+  };
+
+  const addIngredient = (r) => {
+    const next = materials.map((m) => m.id).find((k) => !(k in (r.ingredients || {})));
+    if (!next) return;
+    updateRecipe(r.id, { ingredients: { ...r.ingredients, [next]: 1 } });
+  };
+
+  // swap an ingredient's material while keeping its position and quantity
+  const renameIngredient = (r, from, to) => {
+    if (from === to || to in r.ingredients) return;
+    const ingredients = Object.fromEntries(Object.entries(r.ingredients).map(([k, q]) => [k === from ? to : k, q]));
+    updateRecipe(r.id, { ingredients });
+  };
+
+  // drop the recipe and any use of it as an ingredient
+  const removeRecipe = (id) =>
+    onChange(
+      recipes
+        .filter((x) => x.id !== id)
+        .map((x) => {
+          if (!(id in (x.ingredients || {}))) return x;
+          const { [id]: _removed, ...rest } = x.ingredients;
+          return { ...x, ingredients: rest };
+        })
+    );
+
+  const removeIngredient = (r, key) => {
+    const { [key]: _removed, ...rest } = r.ingredients;
+    updateRecipe(r.id, { ingredients: rest });
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      {recipes.map((r) => (
+        <div key={r.id} style={{ padding: 10, borderRadius: 10, border: "1px solid var(--soft-border)", background: "var(--panel-bg)", display: "grid", gap: 8 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 8, alignItems: "end" }}>
+            <TextField label="레시피 이름" value={r.name} onChange={(v) => updateRecipe(r.id, { name: v })} placeholder="예: 상급 라이프스톤" />
+            <button onClick={() => removeRecipe(r.id)} style={smallButton}>
+              레시피 삭제
+            </button>
+          </div>
+          {Object.entries(r.ingredients || {}).map(([key, qty]) => (
+            <div key={key} style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto", gap: 8, alignItems: "end" }}>
+              <Select label="재료" value={key} onChange={(v) => renameIngredient(r, key, String(v))} options={ingredientOptions(r)} />
+              <Field
+                label="수량"
+                value={qty}
+                onChange={(v) => updateRecipe(r.id, { ingredients: { ...r.ingredients, [key]: v } })}
+                min={0}
+                suffix="개"
+              />
+              <button onClick={() => removeIngredient(r, key)} style={smallButton}>
+                삭제
+              </button>
+            </div>
+          ))}
+          <div>
+            <button onClick={() => addIngredient(r)} style={smallButton}>
+              재료 추가
+            </button>
+          </div>
+        </div>
+      ))}
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+        <button onClick={onReset} style={smallButton}>
+          기본 레시피로 되돌리기
+        </button>
+        <button onClick={addRecipe} style={{ ...smallButton, background: "var(--accent)", color: "var(--accent-text)", fontWeight: 900 }}>
+          레시피 추가
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const PRODUCT_MODE_LABELS = {
+  auto: "자동(최저 비용)",
+  craft: "직접 제작",
+  buy: "구매",
+  opportunity: "포기한 판매 수익",
+  owned: "직접 수급(0)",
+};
+
+const NODE_MODE_LABELS = { craft: "제작", buy: "구매", opportunity: "판매 포기", owned: "보유" };
+
+function IngotPage({
+  s,
+  setS,
+  feeRate,
+  rules,
+  materials,
+  priceUpdatedAt,
+  priceUpdatedBy,
+  onSaveSharedPrices,
+  priceSaving,
+  priceSaveError,
+  authUser,
+  priceLayers,
+}) {
   const materialLabels = {
-    ingot: "주괴",
-    stone: "조약돌",
-    deepCobble: "심층 조약돌",
-    redstone: "레드스톤",
-    copper: "구리",
-    diamond: "다이아몬드 블럭",
-    iron: "철",
-    lapis: "청금석",
-    gold: "금 블럭",
-    amethyst: "자수정",
+    ...materialNames(materials),
+    ...Object.fromEntries(s.recipes.map((r) => [r.id, r.name || "이름 없음"])),
   };
+  // recipes that other recipes use as an ingredient
+  const intermediates = s.recipes.filter((r) =>
+    s.recipes.some((x) => x.id !== r.id && r.id in (x.ingredients || {}))
+  );
+
+  const stackSizes = Object.fromEntries(materials.map((m) => [m.id, m.stackSize]));
 
   const formatBuySummary = (list) => {
     const items = (list || []).filter((x) => (x.qty || 0) > 0);
@@ -2173,28 +3396,47 @@ function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSha
     return items
       .map((x) => {
         const name = materialLabels[x.key] ?? x.key;
-        return `${name} ${x.qty}?`;
+        const stack = stackSizes[x.key];
+        const sets = stack && x.qty >= stack ? ` (${Math.floor(x.qty / stack)}세트 ${x.qty % stack}개)` : "";
+        return `${name} ${x.qty}개${sets}`;
       })
       .join(", ");
   };
 
-  const formatSellSummary = (recipe) => {
-    const items = Object.entries(recipe || {})
-      .map(([k, qty]) => ({ key: k, qty: qty || 0, mode: s.modes[k] || "owned" }))
-      .filter((x) => x.qty > 0 && x.mode !== "buy");
-    if (items.length === 0) return "?? ??";
+  const formatSellSummary = (tree) => {
+    const items = (tree || []).filter((x) => x.qty > 0 && x.mode !== "buy");
+    if (items.length === 0) return "판매할 재료 없음";
     return items
       .map((x) => {
         const name = materialLabels[x.key] ?? x.key;
-        return `${name} ${x.qty}?`;
+        return `${name} ${x.qty}개`;
       })
       .join(", ");
   };
 
+  // chosen path of one recipe, one line per node
+  const renderCraftTree = (nodes, depth = 0) =>
+    (nodes || []).map((n, idx) => (
+      <React.Fragment key={`${depth}-${idx}-${n.key}`}>
+        <div style={{ paddingLeft: depth * 16, display: "flex", justifyContent: "space-between", gap: 10 }}>
+          <span>
+            {depth > 0 ? "└ " : ""}
+            {materialLabels[n.key] ?? n.key} {fmt(n.qty)}개 · {NODE_MODE_LABELS[n.mode] || n.mode}
+            {n.kind === "product" ? (
+              <span style={{ marginLeft: 6, fontSize: 11, opacity: 0.7 }}>
+                {n.options.craft != null ? `제작 ${fmt(n.options.craft)}원 / ` : "제작 불가(순환) / "}
+                {`구매 ${fmt(n.options.buy)}원`}
+              </span>
+            ) : null}
+          </span>
+          <span style={{ fontWeight: 900 }}>{fmt(n.cost)}원</span>
+        </div>
+        {n.kind === "product" ? renderCraftTree(n.children, depth + 1) : null}
+      </React.Fragment>
+    ));
+
   // gem expert rule by level
-  const shardsPerDig = SAGE_SHARDS_BY_ENH[s.sageEnhLevel] ?? 0;
-  const gemRule = gemExpertRule(s.gemExpertLevel);
-  const flameRule = flamingPickRule(s.flamingPickLevel);
+  const { shardsPerDig, gem: gemRule, flame: flameRule } = skillEffects(s, rules);
 
   const ev = useMemo(() => {
     return miningEVBreakdown({
@@ -2206,6 +3448,7 @@ function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSha
       gemDropCount: gemRule.count,
       gemGrossPrice: toNum(s.gemGrossPrice, 0),
       flamingIngotProb: flameRule.prob,
+      flamingIngotCount: flameRule.ingots,
       sellFeeRate: feeRate,
     });
   }, [
@@ -2217,91 +3460,52 @@ function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSha
     gemRule.count,
     s.gemGrossPrice,
     flameRule.prob,
+    flameRule.ingots,
     feeRate,
   ]);
 
   // gem expert rule by level
   const compare = useMemo(() => {
-    const sellIndivNet = (recipe) => {
-      return sum(
-        Object.entries(recipe).map(([k, qty]) => {
-          const mode = s.modes[k] || "owned";
-          if (mode === "buy") return 0;
-          const market = toNum(s.prices[k]?.market ?? 0);
-          return (qty || 0) * netSell(market, feeRate);
-        })
-      );
-    };
-
-    const craft = (productGrossPrice, recipe) => {
-      const costs = Object.entries(recipe).map(([k, qty]) => {
-        const mode = s.modes[k] || "owned";
-        const market = toNum(s.prices[k]?.market ?? 0);
-        const unitCost = unitCostByMode({ mode, marketPrice: market });
-        return { key: k, qty: qty || 0, unitCost, mode, market };
-      });
-      const buyList = costs.filter((c) => c.mode === "buy").map((c) => ({ key: c.key, qty: c.qty || 0 }));
-      return { ...craftProfit({ productGrossSellPrice: toNum(productGrossPrice), feeRate, costs }), costs, buyList };
-    };
-
-    const ability = craft(s.abilityGrossSell, s.recipes.ability);
-    const abilitySellIndiv = sellIndivNet(s.recipes.ability);
-
-    const low = craft(s.lifeGrossSell.low, s.recipes.low);
-    const lowSellIndiv = sellIndivNet(s.recipes.low);
-
-    const mid = craft(s.lifeGrossSell.mid, s.recipes.mid);
-    const midSellIndiv = sellIndivNet(s.recipes.mid);
-
-    const high = craft(s.lifeGrossSell.high, s.recipes.high);
-    const highSellIndiv = sellIndivNet(s.recipes.high);
-
-    const deltaByRounded = (profit, sellIndivNet) => Math.round(profit) - Math.round(sellIndivNet);
-
-    return {
-      ability: {
-        ...ability,
-        sellIndivNet: abilitySellIndiv,
-        deltaRevenueVsIndiv: deltaByRounded(ability.profit, abilitySellIndiv),
-      },
-      low: {
-        ...low,
-        sellIndivNet: lowSellIndiv,
-        deltaRevenueVsIndiv: deltaByRounded(low.profit, lowSellIndiv),
-      },
-      mid: {
-        ...mid,
-        sellIndivNet: midSellIndiv,
-        deltaRevenueVsIndiv: deltaByRounded(mid.profit, midSellIndiv),
-      },
-      high: {
-        ...high,
-        sellIndivNet: highSellIndiv,
-        deltaRevenueVsIndiv: deltaByRounded(high.profit, highSellIndiv),
-      },
-    };
-  }, [s.prices, s.modes, s.recipes, s.abilityGrossSell, s.lifeGrossSell, feeRate]);
-
-  // gem expert rule by level 토글: 화면을 복잡하게 만들지 않기 위해 여기만 둠
-  const [detailOpen, setDetailOpen] = useState(false);
-
-  const explain = (x) => {
-    const buySpend = sum(
-      (x.costs || [])
-        .filter((c) => c.mode === "buy")
-        .map((c) => (c.qty || 0) * Math.max(0, c.market || 0))
+    const marketPrices = Object.fromEntries(
+      Object.entries(s.prices).map(([k, v]) => [k, toNum(v?.market ?? 0)])
     );
-
-    const foregone = sum(
-      (x.costs || [])
-        .filter((c) => c.mode === "opportunity")
-        .map((c) => (c.qty || 0) * netSell(Math.max(0, c.market || 0), feeRate))
+    const recipes = Object.fromEntries(s.recipes.map((r) => [r.id, recipeQty(r)]));
+    const productPrices = Object.fromEntries(s.recipes.map((r) => [r.id, toNum(s.recipeSellPrices?.[r.id] ?? 0)]));
+    return Object.fromEntries(
+      s.recipes.map((r) => [
+        r.id,
+        compareRecipe({
+          recipe: recipes[r.id],
+          recipeId: r.id,
+          productGrossSellPrice: productPrices[r.id],
+          marketPrices,
+          modes: materialModes(materials, s.modes),
+          feeRate,
+          recipes,
+          productPrices,
+          productModes: s.productModes || {},
+        }),
+      ])
     );
+  }, [s.prices, s.modes, s.recipes, s.recipeSellPrices, s.productModes, materials, feeRate]);
+  const plan = useMemo(() => {
+    const recipes = Object.fromEntries(s.recipes.map((r) => [r.id, recipeQty(r)]));
+    return planProduction({
+      inventory: Object.fromEntries(Object.entries(s.inventory || {}).map(([k, q]) => [k, toNum(q, 0)])),
+      recipes,
+      marketPrices: Object.fromEntries(Object.entries(s.prices).map(([k, v]) => [k, toNum(v?.market ?? 0)])),
+      productPrices: Object.fromEntries(s.recipes.map((r) => [r.id, toNum(s.recipeSellPrices?.[r.id] ?? 0)])),
+      modes: materialModes(materials, s.modes),
+      feeRate,
+      maxPerRecipe: Math.max(0, Math.floor(toNum(s.plannerMaxPerRecipe, 64))),
+    });
+  }, [s.inventory, s.recipes, s.prices, s.recipeSellPrices, s.modes, s.plannerMaxPerRecipe, materials, feeRate]);
+  const [recipeEditorOpen, setRecipeEditorOpen] = useState(false);
 
-    const ownedQty = sum((x.costs || []).filter((c) => c.mode === "owned").map((c) => c.qty || 0));
+  // gem expert rule by level 토글: 화면을 복잡하게 만들지 않기 위해 여기만 둠
+  const [detailOpen, setDetailOpen] = useState(false);
 
-    return { buySpend, foregone, ownedQty };
-  };
+  const explain = (x) => explainCosts(x.costs, feeRate);
 
   return (
     <div style={{ display: "grid", gap: 12 }}>
@@ -2323,28 +3527,17 @@ function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSha
         </div>
       </Card>
 
-      <Card title="가공 비교: 재료 그대로 판매 vs 어빌/라이프스톤">
+      <Card title="가공 비교: 재료 그대로 판매 vs 제작">
+        <PriceLayerBar layers={priceLayers} />
         <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12 }}>
-          <Field
-            label="어빌리티 스톤 판매가(시장가)"
-            value={s.abilityGrossSell}
-            onChange={(v) => setS((p) => ({ ...p, abilityGrossSell: v }))}
-          />
-          <Field
-            label="하급 라이프스톤 판매가(시장가)"
-            value={s.lifeGrossSell.low}
-            onChange={(v) => setS((p) => ({ ...p, lifeGrossSell: { ...p.lifeGrossSell, low: v } }))}
-          />
-          <Field
-            label="중급 라이프스톤 판매가(시장가)"
-            value={s.lifeGrossSell.mid}
-            onChange={(v) => setS((p) => ({ ...p, lifeGrossSell: { ...p.lifeGrossSell, mid: v } }))}
-          />
-          <Field
-            label="상급 라이프스톤 판매가(시장가)"
-            value={s.lifeGrossSell.high}
-            onChange={(v) => setS((p) => ({ ...p, lifeGrossSell: { ...p.lifeGrossSell, high: v } }))}
-          />
+          {s.recipes.map((r) => (
+            <PriceField
+              key={r.id}
+              label={`${r.name || "이름 없음"} 판매가(시장가)`}
+              paths={[`recipeSellPrices.${r.id}`]}
+              layers={priceLayers}
+            />
+          ))}
         </div>
         <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
           {"최근 시세 업데이트: "}
@@ -2367,124 +3560,1599 @@ function IngotPage({ s, setS, feeRate, priceUpdatedAt, priceUpdatedBy, onSaveSha
               fontSize: 12,
               opacity: !authUser || priceSaving ? 0.6 : 1,
             }}
-            title={authUser ? "가공 시세 저장" : "로그인 후 저장할 수 있습니다."}
+            title={authUser ? "가공 시세 저장" : "로그인 후 저장할 수 있습니다."}
+          >
+            {priceSaving ? "저장 중..." : "가공 시세 저장"}
+          </button>
+        </div>
+
+        <div style={{ marginTop: 10, fontSize: 13, opacity: 0.9, lineHeight: 1.5 }}>
+          표의 의미:
+          <br />- <b>재료 그대로 판매 실수령</b>: 같은 재료를 그냥 팔았을 때(기준선)
+          <br />- <b>제작 판매 실수령</b>: 결과물을 만들어 팔았을 때
+          <br />- <b>제작 순이익</b>: 선택한 수급 방식(직접수급/구매/포기한 판매수익)에 따른 “현재 내 상황 기준” 결과
+        </div>
+
+        <div style={{ marginTop: 12, overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: "left", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>항목</th>
+                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>제작 판매 실수령</th>
+                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>사용된 재료 가치(선택 기준)</th>
+                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>제작 순이익</th>
+                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>
+                  재료 그대로 판매 실수령(구매 제외)
+                </th>
+                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>추천</th>
+              </tr>
+            </thead>
+            <tbody>
+              {s.recipes.map((row) => {
+                const x = compare[row.id];
+                return (
+                  <tr key={row.id}>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", fontWeight: 900 }}>{row.name}</td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>{fmt(x.revenue)}</td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
+                      {fmt(x.totalCost)}
+                      {formatBuySummary(x.buyList) ? (
+                        <span style={{ marginLeft: 8, fontSize: 11, opacity: 0.75 }}>
+                          &rarr; {formatBuySummary(x.buyList)}
+                        </span>
+                      ) : null}
+                    </td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right", fontWeight: 900 }}>{fmt(x.profit)}</td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
+                      {fmt(x.sellIndivNet)}
+                      <span style={{ marginLeft: 8, fontSize: 11, opacity: 0.75 }}>
+                        &rarr; {formatSellSummary(x.tree)}
+                      </span>
+                    </td>
+                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right", fontWeight: 900 }}>
+                      {x.profit - x.sellIndivNet >= 0 ? "제작 이득" : "재료 판매 이득"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end" }}>
+          <ToggleButton
+            isOn={detailOpen}
+            onClick={() => setDetailOpen((v) => !v)}
+            labelOn="자세히보기 닫기"
+            labelOff="자세히보기(포기한 판매 수익)"
+          />
+        </div>
+
+        {detailOpen ? (
+          <div style={{ marginTop: 12, display: "grid", gap: 10 }}>
+            {s.recipes.map((row) => {
+              const x = compare[row.id];
+              const ex = explain(x);
+              return (
+                <div key={row.id} style={{ padding: 12, borderRadius: 12, border: "1px solid var(--soft-border)", background: "var(--panel-bg)" }}>
+                  <div style={{ fontWeight: 900, marginBottom: 6 }}>{row.name} {"상세 계산(수급 기준)"}</div>
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 10, fontSize: 13 }}>
+                    <div>{"구매 비용(시장가)"}</div>
+                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.buySpend)}{"원"}</div>
+                    <div>{"포기한 판매 수익(수수료 반영)"}</div>
+                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.foregone)}{"원"}</div>
+                    <div>{"보유 재료 수량"}</div>
+                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.ownedQty)}{"개"}</div>
+                  </div>
+                  {x.tree.some((n) => n.kind === "product") ? (
+                    <div style={{ marginTop: 10, display: "grid", gap: 4, fontSize: 12 }}>
+                      <div style={{ fontWeight: 900 }}>{"제작 경로(선택된 방식)"}</div>
+                      {renderCraftTree(x.tree)}
+                    </div>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        ) : null}
+
+      </Card>
+
+      {intermediates.length ? (
+        <Card title="중간 제작품 수급 방식">
+          <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+            다른 레시피의 재료로 쓰이는 제작품입니다. 자동은 직접 제작과 구매(판매가 기준) 중 더 싼 쪽을 고릅니다.
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 10 }}>
+            {intermediates.map((r) => (
+              <Select
+                key={r.id}
+                label={r.name || "이름 없음"}
+                value={s.productModes?.[r.id] || "auto"}
+                onChange={(v) => setS((p) => ({ ...p, productModes: { ...p.productModes, [r.id]: String(v) } }))}
+                options={Object.entries(PRODUCT_MODE_LABELS).map(([value, label]) => ({ value, label }))}
+              />
+            ))}
+          </div>
+        </Card>
+      ) : null}
+
+      <Card title="생산 계획 (보유 재고 기준)">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+          보유 재고를 입력하면 제작과 판매를 조합해 순수익이 가장 큰 계획을 찾습니다.
+          <br />
+          남는 재고는 모두 시장가로 판매(수수료 반영)하고, 수급 방식이 “구매”인 재료만 모자랄 때 시장가로 삽니다.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10 }}>
+          {[
+            ...materials.map((m) => ({ key: m.id, label: materialName(m) })),
+            ...s.recipes.map((r) => ({ key: r.id, label: `[제작] ${r.name || "이름 없음"}` })),
+          ].map((x) => (
+            <Field
+              key={x.key}
+              label={x.label}
+              value={s.inventory?.[x.key] ?? ""}
+              onChange={(v) => setS((p) => ({ ...p, inventory: { ...p.inventory, [x.key]: v } }))}
+              min={0}
+              suffix="개"
+            />
+          ))}
+        </div>
+        <div style={{ marginTop: 10, display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10, alignItems: "end" }}>
+          <Field
+            label="레시피별 최대 제작 수"
+            value={s.plannerMaxPerRecipe}
+            onChange={(v) => setS((p) => ({ ...p, plannerMaxPerRecipe: v }))}
+            min={0}
+            suffix="개"
+          />
+          <div>
+            <button
+              onClick={() => setS((p) => ({ ...p, inventory: {} }))}
+              style={{
+                padding: "8px 10px",
+                borderRadius: 10,
+                border: "1px solid var(--input-border)",
+                background: "var(--panel-bg)",
+                color: "var(--text)",
+                cursor: "pointer",
+                fontSize: 12,
+                fontWeight: 700,
+              }}
+            >
+              재고 비우기
+            </button>
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12, padding: 12, borderRadius: 12, background: "var(--soft-bg)", border: "1px solid var(--soft-border)", display: "grid", gap: 6, fontSize: 13 }}>
+          {plan.crafts.length === 0 && plan.sells.length === 0 ? (
+            <div style={{ opacity: 0.8 }}>재고를 입력하면 계획이 표시됩니다.</div>
+          ) : null}
+          {plan.crafts.map((c) => (
+            <div key={`craft-${c.id}`}>
+              <b>제작</b> {materialLabels[c.id] ?? c.id} {fmt(c.count)}개
+            </div>
+          ))}
+          {plan.buys.map((b) => (
+            <div key={`buy-${b.key}`}>
+              <b>구매</b> {materialLabels[b.key] ?? b.key} {fmt(b.qty)}개
+            </div>
+          ))}
+          {plan.sells.map((x) => (
+            <div key={`sell-${x.key}`}>
+              <b>판매</b> {materialLabels[x.key] ?? x.key} {fmt(x.qty)}개 ({fmt(x.net)}원)
+            </div>
+          ))}
+          {plan.crafts.length || plan.sells.length ? (
+            <div style={{ marginTop: 6, display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 6 }}>
+              <div>판매 실수령</div>
+              <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(plan.revenue)}원</div>
+              <div>구매 비용</div>
+              <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(plan.buySpend)}원</div>
+              <div>계획 순수익</div>
+              <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(plan.profit)}원</div>
+              <div>전부 그대로 판매 대비</div>
+              <div style={{ textAlign: "right", fontWeight: 900 }}>
+                {plan.gain >= 0 ? "+" : ""}
+                {fmt(plan.gain)}원
+              </div>
+            </div>
+          ) : null}
+          {!plan.exact ? (
+            <div style={{ fontSize: 12, opacity: 0.75 }}>
+              조합이 많아 탐색을 중간에 멈췄습니다. 최대 제작 수를 줄이면 정확한 최적 계획을 구할 수 있습니다.
+            </div>
+          ) : null}
+        </div>
+      </Card>
+
+      <Card title="레시피 편집">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+          레시피는 이 브라우저에만 저장됩니다. 결과물 판매가는 위 표에서 입력하고 “가공 시세 저장”으로 공유합니다.
+        </div>
+        <div style={{ display: "flex", justifyContent: "flex-end" }}>
+          <ToggleButton
+            isOn={recipeEditorOpen}
+            onClick={() => setRecipeEditorOpen((v) => !v)}
+            labelOn="레시피 편집 닫기"
+            labelOff={`레시피 편집 (${s.recipes.length}개)`}
+          />
+        </div>
+        {recipeEditorOpen ? (
+          <div style={{ marginTop: 12 }}>
+            <RecipeEditor
+              recipes={s.recipes}
+              materials={materials}
+              onChange={(recipes) => setS((p) => ({ ...p, recipes }))}
+              onReset={() => setS((p) => ({ ...p, recipes: DEFAULT_RECIPES }))}
+            />
+          </div>
+        ) : null}
+      </Card>
+    </div>
+  );
+}
+
+const PRICE_HISTORY_SECTIONS = {
+  common: "주괴/보석",
+  process: "가공품",
+  material: "재료",
+  potion: "포션",
+};
+
+// legacy shared fields for the built-in recipes (before recipeSellPrices)
+const LEGACY_RECIPE_PRICE_FIELDS = {
+  ability: "abilityGrossSell",
+  low: "lifeGrossSell.low",
+  mid: "lifeGrossSell.mid",
+  high: "lifeGrossSell.high",
+};
+
+function priceSeriesOptions(recipes, materials) {
+  return [
+    { value: "ingotGrossPrice", label: "[주괴] 주괴 시장가" },
+    { value: "gemGrossPrice", label: "[보석] 보석 시장가" },
+    ...materials
+      .filter((m) => m.id !== "ingot")
+      .map((m) => ({ value: `prices.${m.id}.market`, label: `[재료] ${materialName(m)}` })),
+    ...POTIONS.map((p) => ({ value: `potionPrices.${p.key}`, label: `[포션] ${p.label}` })),
+    ...(recipes || []).map((r) => ({ value: `recipeSellPrices.${r.id}`, label: `[가공품] ${r.name || r.id}` })),
+  ];
+}
+
+// shared/prices field path -> display label
+function priceFieldLabels(recipes, materials) {
+  return Object.fromEntries(priceSeriesOptions(recipes, materials).map((o) => [o.value, o.label]));
+}
+
+// someone saved the same fields since this user's edits started; pick per field what to keep
+function PriceConflictDialog({ conflict, recipes, materials, onResolve, onCancel }) {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflict.conflicts.map((c) => [c.field, "mine"]))
+  );
+  const labels = priceFieldLabels(recipes, materials);
+  const choiceOptions = Object.entries(CONFLICT_CHOICES).map(([value, label]) => ({ value, label }));
+  return (
+    <ConfirmDialog
+      title={`공유 시세 충돌 (${PRICE_HISTORY_SECTIONS[conflict.section]})`}
+      message={
+        "편집을 시작한 뒤 다른 멤버가 같은 항목을 저장했습니다. 항목마다 남길 값을 골라주세요.\n" +
+        "둘 다 유지: 공유 값은 그대로 두고, 내 값은 개인 값으로 남깁니다."
+      }
+      confirmLabel="선택대로 저장"
+      onConfirm={() => onResolve(choices)}
+      onCancel={onCancel}
+    >
+      <div style={{ display: "grid", gap: 10, maxHeight: 320, overflowY: "auto" }}>
+        {conflict.conflicts.map((c) => (
+          <div key={c.field} style={{ display: "grid", gap: 4 }}>
+            <div style={{ fontSize: 12, fontWeight: 700 }}>{labels[c.field] || c.field}</div>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>
+              {`기존 ${c.base ?? "-"} → 공유 ${c.theirs ?? "-"} / 내 값 ${c.mine ?? "-"}`}
+            </div>
+            <Select
+              label=""
+              value={choices[c.field]}
+              onChange={(v) => setChoices((prev) => ({ ...prev, [c.field]: String(v) }))}
+              options={choiceOptions}
+            />
+          </div>
+        ))}
+      </div>
+    </ConfirmDialog>
+  );
+}
+
+// prices far from their recent median need a reason before they are shared (src/priceChecks.js)
+function PriceOutlierDialog({ check, recipes, materials, onConfirm, onCancel }) {
+  const [reason, setReason] = useState("");
+  const labels = priceFieldLabels(recipes, materials);
+  return (
+    <ConfirmDialog
+      title="시세 확인"
+      message={
+        "최근 시세와 크게 다른 값이 있습니다. 입력이 맞다면 사유를 적어주세요.\n" +
+        "사유와 함께 저장되며 관리자 검토 목록에 올라갑니다."
+      }
+      confirmLabel="사유와 함께 저장"
+      onConfirm={() => onConfirm(reason.trim())}
+      onCancel={onCancel}
+      disabled={!reason.trim()}
+    >
+      <div style={{ display: "grid", gap: 4, fontSize: 12, marginBottom: 10 }}>
+        {check.outliers.map((o) => (
+          <div key={o.field}>
+            {labels[o.field] || o.field}: <b>{fmt(o.value)}원</b>
+            <span style={{ opacity: 0.75 }}>{` (최근 중앙값 ${fmt(o.median)}원)`}</span>
+          </div>
+        ))}
+      </div>
+      <TextArea label="사유" value={reason} onChange={setReason} placeholder="예: 업데이트로 드롭률 변경" rows={3} />
+    </ConfirmDialog>
+  );
+}
+
+// open priceReviews for admins: accept the save, or put the previous values back
+function PriceReviewCard({ labels, authUser }) {
+  const [reviews, setReviews] = useState([]);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const q = query(collection(db, "priceReviews"), where("status", "==", "open"));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        const rows = snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) }));
+        setReviews(rows.sort((a, b) => (toMillis(b.at) || 0) - (toMillis(a.at) || 0)));
+      },
+      () => {
+        setReviews([]);
+      }
+    );
+    return () => unsub();
+  }, []);
+
+  const settle = (review, status) =>
+    updatePost(
+      "priceReviews",
+      review,
+      { status, reviewedBy: auditActor(authUser), reviewedAt: serverTimestamp() },
+      "prices.review",
+      authUser,
+      ["status"]
+    );
+
+  const run = async (review, work) => {
+    setBusy(review.id);
+    setError("");
+    try {
+      await work();
+    } catch (err) {
+      setError(
+        err?.code === "price-conflict"
+          ? "그 사이 다른 값으로 바뀌어 되돌리지 않았습니다. 정상 확인으로 닫거나 시세를 직접 고쳐주세요."
+          : "처리에 실패했습니다. 잠시 후 다시 시도해 주세요."
+      );
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const accept = (review) => run(review, () => settle(review, "accepted"));
+
+  // a normal save of the old values, refused if the flagged values were changed again since
+  const revert = (review) =>
+    run(review, async () => {
+      const outliers = review.outliers || [];
+      await writeSharedPrices({
+        section: review.section,
+        values: nestPaths(Object.fromEntries(outliers.map((o) => [o.field, o.old ?? ""]))),
+        base: { values: Object.fromEntries(outliers.map((o) => [o.field, o.value])) },
+        by: auditActor(authUser),
+      });
+      await settle(review, "reverted");
+    });
+
+  return (
+    <Card title={`시세 ${REVIEW_STATUSES.open} (${reviews.length})`}>
+      {error ? <div style={{ fontSize: 12, color: "#c0392b", marginBottom: 8 }}>{error}</div> : null}
+      {reviews.length === 0 ? (
+        <div style={{ fontSize: 13, opacity: 0.8 }}>검토할 시세가 없습니다.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 10 }}>
+          {reviews.map((r) => (
+            <div
+              key={r.id}
+              style={{
+                border: "1px solid var(--soft-border)",
+                borderRadius: 12,
+                padding: 10,
+                background: "var(--panel-bg)",
+                display: "grid",
+                gap: 6,
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                <div style={{ fontWeight: 900, fontSize: 13 }}>
+                  [{PRICE_HISTORY_SECTIONS[r.section] || r.section}] {r.by?.name || r.by?.email || "알 수 없음"}
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.75 }}>
+                  {r.at?.toDate ? r.at.toDate().toLocaleString("ko-KR") : "-"}
+                </div>
+              </div>
+              <div style={{ fontSize: 12 }}>사유: {r.reason}</div>
+              <div style={{ display: "grid", gap: 2, fontSize: 12 }}>
+                {(r.outliers || []).map((o) => (
+                  <div key={o.field}>
+                    {labels[o.field] || o.field}: {o.old ?? "-"} → <b>{fmt(o.value)}</b>
+                    <span style={{ opacity: 0.75 }}>{` (최근 중앙값 ${fmt(o.median)})`}</span>
+                  </div>
+                ))}
+              </div>
+              <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                <button onClick={() => accept(r)} disabled={busy === r.id} style={layerButton}>
+                  {REVIEW_STATUSES.accepted}
+                </button>
+                <button onClick={() => revert(r)} disabled={busy === r.id} style={layerButton}>
+                  {"이전 값으로 되돌리기"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function toDateTimeInput(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// members report observed prices; shared/prices follows their weighted median (src/priceReports.js)
+function PriceReportCard({ options, reports, stats, held, authUser, nowMs, onQueueWrite }) {
+  const [form, setForm] = useState(() => ({
+    field: options[0]?.value || "",
+    price: "",
+    observedAt: toDateTimeInput(new Date()),
+    note: "",
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const price = parsePrice(form.price);
+  const observedMs = new Date(form.observedAt).getTime();
+  const canSubmit = !saving && !!form.field && price != null && !Number.isNaN(price) && Number.isFinite(observedMs);
+  const st = stats[form.field];
+  const heldOutlier = (held || []).find((o) => o.field === form.field);
+  const fieldReports = reports
+    .filter((r) => r.field === form.field)
+    .slice(0, 10);
+
+  const submit = async () => {
+    if (observedMs > Date.now() + 5 * 60 * 1000) {
+      setError("아직 오지 않은 시각은 입력할 수 없습니다.");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    const note = form.note.trim().slice(0, MAX_NOTE_LENGTH);
+    const payload = {
+      id: doc(collection(db, "priceReports")).id,
+      field: form.field,
+      price,
+      observedAtMs: observedMs,
+      ...(note ? { note } : {}),
+      by: auditActor(authUser),
+    };
+    try {
+      await Promise.race([
+        OUTBOX_KINDS.priceReport.run({ payload }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+      ]);
+      setForm((p) => ({ ...p, price: "", note: "" }));
+    } catch (err) {
+      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
+        onQueueWrite("priceReport", `priceReport:${payload.id}`, payload);
+        setForm((p) => ({ ...p, price: "", note: "" }));
+        setError("저장이 지연되고 있습니다. 로컬에 임시 저장했고 자동 재시도합니다.");
+      } else {
+        setError("제보 저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card title="시세 제보">
+      <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+        {`거래소에서 본 가격을 제보해 주세요. 최근 3일간 ${MIN_REPORTS}명 이상이 제보한 항목은 `}
+        {"최근 제보일수록 크게 반영한 중앙값이 공유 시세가 됩니다. 멤버마다 가장 최근 제보 하나만 집계합니다."}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 12 }}>
+        <Select label="항목" value={form.field} onChange={(v) => setForm((p) => ({ ...p, field: String(v) }))} options={options} />
+        <Field
+          label="가격"
+          value={form.price}
+          onChange={(v) => setForm((p) => ({ ...p, price: v }))}
+          placeholder="예: 2900"
+          min={0}
+          suffix="원"
+        />
+        <TextField
+          label="본 시각"
+          type="datetime-local"
+          value={form.observedAt}
+          onChange={(v) => setForm((p) => ({ ...p, observedAt: v }))}
+        />
+        <TextField
+          label="메모(선택, 스크린샷 위치 등)"
+          value={form.note}
+          onChange={(v) => setForm((p) => ({ ...p, note: v }))}
+          placeholder="예: 거래소 3페이지, 14:20 스크린샷"
+        />
+      </div>
+      <div style={{ marginTop: 10, display: "flex", justifyContent: "flex-end", gap: 10, alignItems: "center" }}>
+        {error ? <span style={{ fontSize: 12, color: "#c0392b" }}>{error}</span> : null}
+        {form.price && Number.isNaN(price) ? (
+          <span style={{ fontSize: 12, color: "#c0392b" }}>{"숫자만 입력할 수 있습니다."}</span>
+        ) : null}
+        <button
+          onClick={submit}
+          disabled={!canSubmit}
+          style={{
+            padding: "8px 12px",
+            borderRadius: 10,
+            border: "1px solid var(--input-border)",
+            background: "var(--panel-bg)",
+            color: "var(--text)",
+            cursor: canSubmit ? "pointer" : "not-allowed",
+            fontWeight: 800,
+            fontSize: 12,
+            opacity: canSubmit ? 1 : 0.6,
+          }}
+        >
+          {saving ? "저장 중..." : "제보하기"}
+        </button>
+      </div>
+      <div style={{ marginTop: 12, fontSize: 12, opacity: 0.8 }}>
+        {st
+          ? `최근 제보 ${st.count}명 · 가중 중앙값 ${fmt(st.median)}원 · 범위 ${fmt(st.min)}~${fmt(st.max)}원`
+          : "최근 제보가 없습니다."}
+      </div>
+      {heldOutlier ? (
+        <div style={{ marginTop: 4, fontSize: 12, color: "#c0392b" }}>
+          {`중앙값 ${fmt(heldOutlier.value)}원이 최근 시세(${fmt(heldOutlier.median)}원)와 크게 달라 자동 반영하지 않았습니다. `}
+          {"사유를 적어 직접 저장하면 관리자 검토로 넘어갑니다."}
+        </div>
+      ) : null}
+      {fieldReports.length ? (
+        <div style={{ marginTop: 6, display: "grid", gap: 2, fontSize: 12 }}>
+          {fieldReports.map((r) => (
+            <div key={r.id}>
+              <b>{fmt(r.price)}원</b>
+              {` · ${r.by?.name || r.by?.email || "알 수 없음"}`}
+              {` · ${toMillis(r.observedAt) ? new Date(toMillis(r.observedAt)).toLocaleString("ko-KR") : "-"}`}
+              {toMillis(r.observedAt) && nowMs - toMillis(r.observedAt) > REPORT_WINDOW_MS ? " (집계 제외)" : ""}
+              {r.note ? <span style={{ opacity: 0.75 }}>{` · ${r.note}`}</span> : null}
+              {r.by?.uid === authUser?.uid ? (
+                <button
+                  onClick={() => deleteDoc(doc(db, "priceReports", r.id)).catch(() => setError("삭제에 실패했습니다."))}
+                  style={{
+                    marginLeft: 6,
+                    padding: "1px 6px",
+                    borderRadius: 6,
+                    border: "1px solid var(--input-border)",
+                    background: "transparent",
+                    color: "var(--text)",
+                    cursor: "pointer",
+                    fontSize: 11,
+                  }}
+                >
+                  {"삭제"}
+                </button>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </Card>
+  );
+}
+
+function PriceHistoryPage({
+  recipes,
+  materials,
+  isAdmin,
+  authUser,
+  canReport,
+  reports,
+  reportStats,
+  reportHeld,
+  nowMs,
+  onQueueWrite,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [field, setField] = useState("ingotGrossPrice");
+  const seriesOptions = priceSeriesOptions(recipes, materials);
+  const legacyFieldFor = (f) => LEGACY_RECIPE_PRICE_FIELDS[f.replace(/^recipeSellPrices\./, "")];
+  const fieldLabel = (f) => {
+    const legacy = Object.entries(LEGACY_RECIPE_PRICE_FIELDS).find(([, v]) => v === f)?.[0];
+    const key = legacy ? `recipeSellPrices.${legacy}` : f;
+    return seriesOptions.find((o) => o.value === key)?.label || f;
+  };
+
+  useEffect(() => {
+    const q = query(collection(db, "priceHistory"), orderBy("at", "desc"), limit(500));
+    const unsub = onSnapshot(q, (snap) => {
+      setEntries(snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })));
+    });
+    return () => unsub();
+  }, []);
+
+  const legacyField = field.startsWith("recipeSellPrices.") ? legacyFieldFor(field) : null;
+  const points = useMemo(
+    () => historySeries(entries, legacyField ? [field, legacyField] : field),
+    [entries, field, legacyField]
+  );
+  const last = points[points.length - 1];
+  const prev = points[points.length - 2];
+  const showValue = (v) => (v === null || v === undefined || v === "" ? "-" : String(v));
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      {isAdmin ? <PriceReviewCard labels={priceFieldLabels(recipes, materials)} authUser={authUser} /> : null}
+      {canReport ? (
+        <PriceReportCard
+          options={seriesOptions}
+          reports={reports}
+          stats={reportStats}
+          held={reportHeld}
+          authUser={authUser}
+          nowMs={nowMs}
+          onQueueWrite={onQueueWrite}
+        />
+      ) : null}
+      <Card title="시세 추이">
+        <Select label="항목" value={field} onChange={(v) => setField(String(v))} options={seriesOptions} />
+        <div style={{ marginTop: 8, fontSize: 12, opacity: 0.75 }}>
+          {last ? `최근 ${fmt(last.value)}원` : "-"}
+          {last && prev && prev.value > 0 ? ` (직전 대비 ${(((last.value - prev.value) / prev.value) * 100).toFixed(1)}%)` : ""}
+          {` · 기록 ${points.length}건`}
+        </div>
+        <div style={{ marginTop: 10 }}>
+          <LineChart points={points} />
+        </div>
+      </Card>
+
+      <Card title="저장 기록">
+        {entries.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>저장 기록이 없습니다.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 10 }}>
+            {entries.map((e) => (
+              <div
+                key={e.id}
+                style={{
+                  border: "1px solid var(--soft-border)",
+                  borderRadius: 12,
+                  padding: 10,
+                  background: "var(--panel-bg)",
+                  display: "grid",
+                  gap: 6,
+                }}
+              >
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                  <div style={{ fontWeight: 900, fontSize: 13 }}>
+                    [{PRICE_HISTORY_SECTIONS[e.section] || e.section}] {e.by?.name || e.by?.email || "알 수 없음"}
+                  </div>
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    {e.at?.toDate ? e.at.toDate().toLocaleString("ko-KR") : "-"}
+                  </div>
+                </div>
+                {e.review ? (
+                  <div style={{ fontSize: 12, color: "#e67e22", fontWeight: 700 }}>
+                    {`검토 요청 · 사유: ${e.review.reason}`}
+                  </div>
+                ) : null}
+                <div style={{ display: "grid", gap: 2, fontSize: 12 }}>
+                  {(e.changes || []).map((c) => (
+                    <div key={c.field}>
+                      {fieldLabel(c.field)}: {showValue(c.old)} → <b>{showValue(c.new)}</b>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+
+function MemberConsolePage({ users, nowMs, onAction }) {
+  const [text, setText] = useState("");
+  const [status, setStatus] = useState("all");
+  const [selected, setSelected] = useState({});
+  const [pending, setPending] = useState(null); // { action, uids }
+  const [suspendUntil, setSuspendUntil] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const rows = useMemo(() => {
+    const list = filterMembers(users, { text, status }, nowMs);
+    return list.sort((a, b) => (toMillis(b.lastLoginAt) || 0) - (toMillis(a.lastLoginAt) || 0));
+  }, [users, text, status, nowMs]);
+  const counts = useMemo(() => {
+    const out = { all: users.length };
+    users.forEach((u) => {
+      const st = effectiveStatus(u, nowMs);
+      out[st] = (out[st] || 0) + 1;
+    });
+    return out;
+  }, [users, nowMs]);
+
+  const selectedRows = rows.filter((u) => selected[u.id]);
+  const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+  const displayName = (u) => u.nickname || u.name || u.email || u.id;
+  const fmtTime = (at) => {
+    const ms = toMillis(at);
+    return ms ? new Date(ms).toLocaleString("ko-KR") : "-";
+  };
+  const byLabel = (by) => (typeof by === "string" ? by : by?.name || by?.email || "-");
+
+  const ask = (action, list) => {
+    const uids = list.filter((u) => canApplyMemberAction(action, u, nowMs)).map((u) => u.id);
+    if (uids.length === 0) return;
+    setError("");
+    setSuspendUntil("");
+    setPending({ action, uids });
+  };
+
+  const confirm = async () => {
+    if (!pending) return;
+    let until = null;
+    if (pending.action === "suspend") {
+      // suspension lasts through the chosen day
+      until = suspendUntil ? new Date(`${suspendUntil}T23:59:59`) : null;
+      if (!until || Number.isNaN(until.getTime()) || until.getTime() <= nowMs) {
+        setError("정지 종료일은 오늘 이후 날짜여야 합니다.");
+        return;
+      }
+    }
+    setBusy(true);
+    setError("");
+    try {
+      await onAction(pending.uids, pending.action, { until });
+      setSelected({});
+      setPending(null);
+    } catch {
+      setError("처리에 실패했습니다. 일부 멤버는 이미 처리되었을 수 있으니 목록을 확인한 뒤 다시 시도해 주세요.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const smallButton = {
+    padding: "6px 8px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+  const cell = { padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", verticalAlign: "top" };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card title="멤버 관리">
+        <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 12 }}>
+          <TextField label="검색" value={text} onChange={setText} placeholder="이름, 닉네임, 이메일" />
+          <Select
+            label="상태"
+            value={status}
+            onChange={(v) => {
+              setStatus(String(v));
+              setSelected({});
+            }}
+            options={[
+              { value: "all", label: `전체 (${counts.all || 0})` },
+              ...Object.entries(MEMBER_STATUS_LABELS).map(([value, label]) => ({
+                value,
+                label: `${label} (${counts[value] || 0})`,
+              })),
+            ]}
+          />
+        </div>
+
+        <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+          <span style={{ fontSize: 12, opacity: 0.8 }}>{`선택 ${selectedRows.length}명`}</span>
+          {Object.entries(MEMBER_ACTIONS).map(([action, a]) => {
+            const n = selectedRows.filter((u) => canApplyMemberAction(action, u, nowMs)).length;
+            return (
+              <button
+                key={action}
+                onClick={() => ask(action, selectedRows)}
+                disabled={n === 0}
+                style={{ ...smallButton, opacity: n === 0 ? 0.4 : 1, cursor: n === 0 ? "not-allowed" : "pointer" }}
+              >
+                {`${a.label}${n ? ` (${n})` : ""}`}
+              </button>
+            );
+          })}
+        </div>
+
+        <div style={{ marginTop: 12, overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={{ ...cell, textAlign: "left" }}>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() =>
+                      setSelected(allSelected ? {} : Object.fromEntries(rows.map((u) => [u.id, true])))
+                    }
+                  />
+                </th>
+                <th style={{ ...cell, textAlign: "left" }}>멤버</th>
+                <th style={{ ...cell, textAlign: "left" }}>상태</th>
+                <th style={{ ...cell, textAlign: "left" }}>최근 로그인</th>
+                <th style={{ ...cell, textAlign: "left" }}>처리 기록</th>
+                <th style={{ ...cell, textAlign: "right" }}>작업</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((u) => {
+                const st = effectiveStatus(u, nowMs);
+                return (
+                  <tr key={u.id}>
+                    <td style={cell}>
+                      <input
+                        type="checkbox"
+                        checked={!!selected[u.id]}
+                        onChange={() => setSelected((p) => ({ ...p, [u.id]: !p[u.id] }))}
+                      />
+                    </td>
+                    <td style={cell}>
+                      <div style={{ fontWeight: 900 }}>{displayName(u)}</div>
+                      <div style={{ opacity: 0.7 }}>{u.email || "-"}</div>
+                      {u.rank ? <div style={{ opacity: 0.7 }}>직급: {u.rank}</div> : null}
+                    </td>
+                    <td style={cell}>
+                      <div style={{ fontWeight: 700 }}>{MEMBER_STATUS_LABELS[st] || st}</div>
+                      {st === "suspended" ? <div style={{ opacity: 0.7 }}>{`~ ${fmtTime(u.suspendedUntil)}`}</div> : null}
+                    </td>
+                    <td style={cell}>{fmtTime(u.lastLoginAt)}</td>
+                    <td style={{ ...cell, opacity: 0.8 }}>
+                      <div>가입: {fmtTime(u.createdAt)}</div>
+                      {u.approvedBy ? <div>{`승인: ${byLabel(u.approvedBy)} (${fmtTime(u.approvedAt)})`}</div> : null}
+                      {u.rejectedBy ? <div>{`거절: ${byLabel(u.rejectedBy)} (${fmtTime(u.rejectedAt)})`}</div> : null}
+                      {u.revokedBy ? <div>{`승인 취소: ${byLabel(u.revokedBy)} (${fmtTime(u.revokedAt)})`}</div> : null}
+                      {st === "suspended" && u.suspendedBy ? <div>{`정지: ${byLabel(u.suspendedBy)}`}</div> : null}
+                    </td>
+                    <td style={{ ...cell, textAlign: "right" }}>
+                      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end", flexWrap: "wrap" }}>
+                        {Object.entries(MEMBER_ACTIONS)
+                          .filter(([action]) => canApplyMemberAction(action, u, nowMs))
+                          .map(([action, a]) => (
+                            <button key={action} onClick={() => ask(action, [u])} style={smallButton}>
+                              {a.label}
+                            </button>
+                          ))}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {rows.length === 0 ? <div style={{ marginTop: 10, fontSize: 13, opacity: 0.8 }}>조건에 맞는 멤버가 없습니다.</div> : null}
+        </div>
+      </Card>
+
+      {pending ? (
+        <ConfirmDialog
+          title={`${MEMBER_ACTIONS[pending.action].label} (${pending.uids.length}명)`}
+          message={`${MEMBER_ACTIONS[pending.action].confirm}\n${pending.uids
+            .map((id) => displayName(users.find((u) => u.id === id) || { id }))
+            .join(", ")}`}
+          confirmLabel={busy ? "처리 중..." : MEMBER_ACTIONS[pending.action].label}
+          disabled={busy}
+          onConfirm={confirm}
+          onCancel={() => setPending(null)}
+        >
+          {pending.action === "suspend" ? (
+            <TextField label="정지 종료일" type="date" value={suspendUntil} onChange={setSuspendUntil} />
+          ) : null}
+          {error ? <div style={{ marginTop: 8, fontSize: 12, color: "#c0392b" }}>{error}</div> : null}
+        </ConfirmDialog>
+      ) : null}
+    </div>
+  );
+}
+
+function AuditLogPage() {
+  const [entries, setEntries] = useState([]);
+  const [pageSize, setPageSize] = useState(200);
+  const [action, setAction] = useState("all");
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const q = query(collection(db, "auditLog"), orderBy("at", "desc"), limit(pageSize));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        setEntries(snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })));
+        setError("");
+      },
+      () => {
+        setError("감사 로그를 불러오지 못했습니다.");
+      }
+    );
+    return () => unsub();
+  }, [pageSize]);
+
+  const rows = useMemo(() => filterAuditEntries(entries, { action, text }), [entries, action, text]);
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card title="감사 로그">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+          가입 승인/정지, 게시글 삭제/답변/상태 변경, 공유 시세 저장 기록입니다. 기록은 수정하거나 지울 수 없습니다.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 2fr", gap: 12 }}>
+          <Select
+            label="작업"
+            value={action}
+            onChange={(v) => setAction(String(v))}
+            options={[
+              { value: "all", label: "전체" },
+              ...Object.entries(AUDIT_ACTIONS).map(([value, label]) => ({ value, label })),
+            ]}
+          />
+          <TextField label="검색" value={text} onChange={setText} placeholder="작업자, 대상 ID, 항목 (예: diamond)" />
+        </div>
+        {error ? <div style={{ marginTop: 10, fontSize: 12, color: "#c0392b" }}>{error}</div> : null}
+      </Card>
+
+      <Card title={`기록 ${rows.length}건`}>
+        {rows.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>조건에 맞는 기록이 없습니다.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 8 }}>
+            {rows.map((e) => {
+              const changes = auditChanges(e);
+              return (
+                <div
+                  key={e.id}
+                  style={{
+                    padding: 10,
+                    borderRadius: 10,
+                    border: "1px solid var(--soft-border)",
+                    background: "var(--panel-bg)",
+                    fontSize: 13,
+                  }}
+                >
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                    <div>
+                      <b>{AUDIT_ACTIONS[e.action] || e.action}</b>
+                      <span style={{ marginLeft: 6, opacity: 0.8 }}>
+                        {`${AUDIT_COLLECTION_LABELS[e.target?.collection] || e.target?.collection || "-"} / ${e.target?.id || "-"}`}
+                      </span>
+                    </div>
+                    <div style={{ fontSize: 12, opacity: 0.75 }}>
+                      {`${e.by?.name || e.by?.email || "알 수 없음"} · ${formatAuditValue(e.at)}`}
+                    </div>
+                  </div>
+                  {changes.length ? (
+                    <div style={{ marginTop: 6, display: "grid", gap: 2, fontSize: 12 }}>
+                      {changes.map((c) => (
+                        <div key={c.field} style={{ wordBreak: "break-all" }}>
+                          <span style={{ opacity: 0.75 }}>{c.field}</span>: {formatAuditValue(c.old)} →{" "}
+                          <b>{e.after == null ? "(삭제됨)" : formatAuditValue(c.new)}</b>
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        )}
+        {entries.length >= pageSize ? (
+          <button
+            onClick={() => setPageSize((n) => n + 200)}
+            style={{
+              marginTop: 10,
+              padding: "8px 10px",
+              borderRadius: 10,
+              border: "1px solid var(--input-border)",
+              background: "var(--panel-bg)",
+              color: "var(--text)",
+              cursor: "pointer",
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+          >
+            {"이전 기록 더 보기"}
+          </button>
+        ) : null}
+      </Card>
+    </div>
+  );
+}
+
+function TrashPage({ authUser, nowMs, retentionDays, onSaveRetention }) {
+  const [deleted, setDeleted] = useState({});
+  const [retentionDraft, setRetentionDraft] = useState(String(retentionDays));
+  const [pending, setPending] = useState(null); // { kind: "restore" | "purge", item }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const unsubs = Object.keys(TRASH_COLLECTIONS).map((name) => {
+      const q = query(collection(db, name), where("deletedAt", "!=", null), orderBy("deletedAt", "desc"));
+      return onSnapshot(q, (snap) => {
+        const rows = snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) }));
+        setDeleted((p) => ({ ...p, [name]: rows }));
+      });
+    });
+    return () => unsubs.forEach((unsub) => unsub());
+  }, []);
+
+  const rows = useMemo(
+    () =>
+      Object.entries(deleted)
+        .flatMap(([name, list]) => list.map((item) => ({ collectionName: name, item })))
+        .sort((a, b) => (toMillis(b.item.deletedAt) || 0) - (toMillis(a.item.deletedAt) || 0)),
+    [deleted]
+  );
+
+  const saveRetention = async () => {
+    const days = Number(retentionDraft.trim());
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+      setError(`보관 기간은 1~${MAX_RETENTION_DAYS}일 사이의 정수여야 합니다.`);
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      await onSaveRetention(days);
+    } catch {
+      setError("보관 기간 저장에 실패했습니다. 다시 시도해 주세요.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirm = async () => {
+    if (!pending) return;
+    const { kind, collectionName, item } = pending;
+    setBusy(true);
+    setError("");
+    try {
+      if (kind === "restore") await restorePost(collectionName, item, authUser);
+      else await purgePosts(collectionName, [item], "post.purge", authUser);
+      setPending(null);
+    } catch {
+      setError("처리에 실패했습니다. 잠시 후 다시 시도해 주세요.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const smallButton = {
+    padding: "6px 8px",
+    borderRadius: 10,
+    border: "1px solid var(--input-border)",
+    background: "var(--panel-bg)",
+    color: "var(--text)",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 700,
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card title="휴지통">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+          삭제된 문의/건의는 보관 기간이 지나면 관리자가 앱을 열 때 영구 삭제됩니다.
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "end", flexWrap: "wrap" }}>
+          <div style={{ width: 200 }}>
+            <Field label="보관 기간" value={retentionDraft} onChange={setRetentionDraft} suffix="일" />
+          </div>
+          <button
+            onClick={saveRetention}
+            disabled={busy || retentionDraft.trim() === String(retentionDays)}
+            style={{
+              ...smallButton,
+              padding: "8px 10px",
+              opacity: busy || retentionDraft.trim() === String(retentionDays) ? 0.5 : 1,
+            }}
           >
-            {priceSaving ? "저장 중..." : "가공 시세 저장"}
+            {"보관 기간 저장"}
           </button>
         </div>
+        {error ? <div style={{ marginTop: 10, fontSize: 12, color: "#c0392b" }}>{error}</div> : null}
+      </Card>
 
-        <div style={{ marginTop: 10, fontSize: 13, opacity: 0.9, lineHeight: 1.5 }}>
-          표의 의미:
-          <br />- <b>재료 그대로 판매 실수령</b>: 같은 재료를 그냥 팔았을 때(기준선)
-          <br />- <b>제작 판매 실수령</b>: 결과물을 만들어 팔았을 때
-          <br />- <b>제작 순이익</b>: 선택한 수급 방식(직접수급/구매/포기한 판매수익)에 따른 “현재 내 상황 기준” 결과
-        </div>
+      <Card title={`삭제된 글 ${rows.length}건`}>
+        {rows.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>휴지통이 비어 있습니다.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 8 }}>
+            {rows.map(({ collectionName, item }) => (
+              <div
+                key={`${collectionName}/${item.id}`}
+                style={{
+                  padding: 10,
+                  borderRadius: 10,
+                  border: "1px solid var(--soft-border)",
+                  background: "var(--panel-bg)",
+                  fontSize: 13,
+                  display: "grid",
+                  gap: 6,
+                }}
+              >
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                  <div>
+                    <span style={{ fontSize: 12, opacity: 0.75, marginRight: 6 }}>{TRASH_COLLECTIONS[collectionName]}</span>
+                    <b>{item.title || "(제목 없음)"}</b>
+                  </div>
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    {`${item.deletedBy?.name || item.deletedBy?.email || "알 수 없음"} · ${formatAuditValue(item.deletedAt)}`}
+                  </div>
+                </div>
+                <div style={{ whiteSpace: "pre-wrap", opacity: 0.85 }}>{item.body}</div>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                  <div style={{ fontSize: 12, opacity: 0.7 }}>
+                    {`${daysUntilPurge(item, nowMs, retentionDays)}일 후 영구 삭제`}
+                  </div>
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button onClick={() => setPending({ kind: "restore", collectionName, item })} style={smallButton}>
+                      {"복구"}
+                    </button>
+                    <button onClick={() => setPending({ kind: "purge", collectionName, item })} style={smallButton}>
+                      {"영구 삭제"}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
 
-        <div style={{ marginTop: 12, overflowX: "auto" }}>
-          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
-            <thead>
-              <tr>
-                <th style={{ textAlign: "left", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>항목</th>
-                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>제작 판매 실수령</th>
-                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>사용된 재료 가치(선택 기준)</th>
-                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>제작 순이익</th>
-                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>
-                  재료 그대로 판매 실수령(구매 제외)
-                </th>
-                <th style={{ textAlign: "right", padding: "8px 6px", borderBottom: "1px solid var(--soft-border)" }}>추천</th>
-              </tr>
-            </thead>
-            <tbody>
-              {[
-                { name: "어빌리티 스톤", key: "ability" },
-                { name: "하급 라이프스톤", key: "low" },
-                { name: "중급 라이프스톤", key: "mid" },
-                { name: "상급 라이프스톤", key: "high" },
-              ].map((row) => {
-                const x = compare[row.key];
-                return (
-                  <tr key={row.key}>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", fontWeight: 900 }}>{row.name}</td>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>{fmt(x.revenue)}</td>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
-                      {fmt(x.totalCost)}
-                      {formatBuySummary(x.buyList) ? (
-                        <span style={{ marginLeft: 8, fontSize: 11, opacity: 0.75 }}>
-                          &rarr; {formatBuySummary(x.buyList)}
-                        </span>
-                      ) : null}
-                    </td>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right", fontWeight: 900 }}>{fmt(x.profit)}</td>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right" }}>
-                      {fmt(x.sellIndivNet)}
-                      <span style={{ marginLeft: 8, fontSize: 11, opacity: 0.75 }}>
-                        &rarr; {formatSellSummary(s.recipes[row.key])}
-                      </span>
-                    </td>
-                    <td style={{ padding: "8px 6px", borderBottom: "1px solid var(--soft-border)", textAlign: "right", fontWeight: 900 }}>
-                      {x.profit - x.sellIndivNet >= 0 ? "제작 이득" : "재료 판매 이득"}
-                    </td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-        </div>
+      {pending ? (
+        <ConfirmDialog
+          title={pending.kind === "restore" ? "글 복구" : "영구 삭제"}
+          message={
+            pending.kind === "restore"
+              ? `"${pending.item.title || "(제목 없음)"}"을(를) 다시 게시판에 표시합니다.`
+              : `"${pending.item.title || "(제목 없음)"}"을(를) 영구 삭제합니다. 되돌릴 수 없습니다.`
+          }
+          confirmLabel={busy ? "처리 중..." : pending.kind === "restore" ? "복구" : "영구 삭제"}
+          disabled={busy}
+          onConfirm={confirm}
+          onCancel={() => setPending(null)}
+        />
+      ) : null}
+    </div>
+  );
+}
 
-        <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end" }}>
-          <ToggleButton
-            isOn={detailOpen}
-            onClick={() => setDetailOpen((v) => !v)}
-            labelOn="자세히보기 닫기"
-            labelOff="자세히보기(포기한 판매 수익)"
-          />
-        </div>
+function RankManagerPage({ members, actor, authUser }) {
+  const [changes, setChanges] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [savingUid, setSavingUid] = useState("");
+  const [error, setError] = useState("");
 
-        {detailOpen ? (
-          <div style={{ marginTop: 12, display: "grid", gap: 10 }}>
-            {[
-              { name: "어빌리티 스톤", key: "ability" },
-              { name: "하급 라이프스톤", key: "low" },
-              { name: "중급 라이프스톤", key: "mid" },
-              { name: "상급 라이프스톤", key: "high" },
-            ].map((row) => {
-              const x = compare[row.key];
-              const ex = explain(x);
+  useEffect(() => {
+    const q = query(collection(db, "rankChanges"), orderBy("at", "desc"), limit(100));
+    const unsub = onSnapshot(q, (snap) => {
+      setChanges(snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })));
+    });
+    return () => unsub();
+  }, []);
+
+  const sortedMembers = useMemo(
+    () =>
+      [...members].sort((a, b) => {
+        const d = rankIndex(a.rank) - rankIndex(b.rank);
+        if (d !== 0) return d;
+        return (a.nickname || a.name || "").localeCompare(b.nickname || b.name || "");
+      }),
+    [members]
+  );
+  const rankOptions = assignableRanks(actor).map((r) => ({ value: r, label: r || "직급 없음" }));
+  const displayName = (u) => u.nickname || u.name || u.email || u.id;
+
+  const saveRank = async (member) => {
+    const from = member.rank || "";
+    const to = drafts[member.id] ?? from;
+    if (to === from) return;
+    if (!canAssignRank(actor, from, to)) {
+      setError("이 직급을 지정할 권한이 없습니다.");
+      return;
+    }
+    setSavingUid(member.id);
+    setError("");
+    const by = { uid: authUser?.uid || "", name: authUser?.displayName || "", email: authUser?.email || "" };
+    const batch = writeBatch(db);
+    batch.update(doc(db, "users", member.id), { rank: to, rankUpdatedAt: serverTimestamp(), rankUpdatedBy: by });
+    batch.update(doc(db, "members", member.id), { rank: to });
+    batch.set(doc(collection(db, "rankChanges")), {
+      uid: member.id,
+      name: displayName(member),
+      from,
+      to,
+      by,
+      at: serverTimestamp(),
+    });
+    try {
+      await Promise.race([
+        batch.commit(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+      ]);
+      setDrafts((p) => {
+        const { [member.id]: _saved, ...rest } = p;
+        return rest;
+      });
+    } catch (err) {
+      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
+        setError("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
+      } else {
+        setError("직급 저장에 실패했습니다. 다시 시도해 주세요.");
+      }
+    } finally {
+      setSavingUid("");
+    }
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card title="직급 관리">
+        <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 10, lineHeight: 1.5 }}>
+          직급에 따라 사용할 수 있는 기능이 정해집니다. 관리자가 아니면 자신보다 낮은 직급만 지정할 수 있습니다.
+          {Object.entries(RANK_CAPABILITIES).map(([cap, min]) => (
+            <div key={cap}>
+              - {CAPABILITY_LABELS[cap]}: {min} 이상
+            </div>
+          ))}
+        </div>
+        {error ? <div style={{ marginBottom: 10, fontSize: 12, color: "#c0392b" }}>{error}</div> : null}
+        {sortedMembers.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>승인된 멤버가 없습니다.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 8 }}>
+            {sortedMembers.map((m) => {
+              const from = m.rank || "";
+              const draft = drafts[m.id] ?? from;
+              const editable =
+                actor.isAdmin || (hasCapability(actor, "assignRanks") && rankIndex(from) > rankIndex(actor.rank));
               return (
-                <div key={row.key} style={{ padding: 12, borderRadius: 12, border: "1px solid var(--soft-border)", background: "var(--panel-bg)" }}>
-                  <div style={{ fontWeight: 900, marginBottom: 6 }}>{row.name} {"상세 계산(수급 기준)"}</div>
-                  <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 10, fontSize: 13 }}>
-                    <div>{"구매 비용(시장가)"}</div>
-                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.buySpend)}{"원"}</div>
-                    <div>{"포기한 판매 수익(수수료 반영)"}</div>
-                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.foregone)}{"원"}</div>
-                    <div>{"보유 재료 수량"}</div>
-                    <div style={{ textAlign: "right", fontWeight: 900 }}>{fmt(ex.ownedQty)}{"개"}</div>
+                <div
+                  key={m.id}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "1fr 1fr auto",
+                    gap: 10,
+                    alignItems: "end",
+                    padding: 10,
+                    borderRadius: 10,
+                    border: "1px solid var(--soft-border)",
+                    background: "var(--panel-bg)",
+                  }}
+                >
+                  <div style={{ fontSize: 13 }}>
+                    <div style={{ fontWeight: 900 }}>{displayName(m)}</div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>{m.email || "-"}</div>
                   </div>
+                  {editable ? (
+                    <Select
+                      label="직급"
+                      value={draft}
+                      onChange={(v) => setDrafts((p) => ({ ...p, [m.id]: String(v) }))}
+                      options={rankOptions}
+                    />
+                  ) : (
+                    <div style={{ fontSize: 13, fontWeight: 700 }}>{from || "직급 없음"}</div>
+                  )}
+                  <button
+                    onClick={() => saveRank(m)}
+                    disabled={!editable || draft === from || savingUid === m.id}
+                    style={{
+                      padding: "8px 10px",
+                      borderRadius: 10,
+                      border: "1px solid var(--input-border)",
+                      background: "var(--accent)",
+                      color: "var(--accent-text)",
+                      cursor: !editable || draft === from ? "not-allowed" : "pointer",
+                      fontSize: 12,
+                      fontWeight: 900,
+                      opacity: !editable || draft === from || savingUid === m.id ? 0.5 : 1,
+                    }}
+                  >
+                    {savingUid === m.id ? "저장 중..." : "저장"}
+                  </button>
                 </div>
               );
             })}
           </div>
-        ) : null}
+        )}
+      </Card>
 
+      <Card title="직급 변경 기록">
+        {changes.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.8 }}>변경 기록이 없습니다.</div>
+        ) : (
+          <div style={{ display: "grid", gap: 6, fontSize: 13 }}>
+            {changes.map((c) => (
+              <div key={c.id} style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                <div>
+                  <b>{c.name || c.uid}</b>: {c.from || "직급 없음"} → <b>{c.to || "직급 없음"}</b>
+                  <span style={{ marginLeft: 6, fontSize: 12, opacity: 0.75 }}>
+                    ({c.by?.name || c.by?.email || "알 수 없음"})
+                  </span>
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.75 }}>
+                  {c.at?.toDate ? c.at.toDate().toLocaleString("ko-KR") : "-"}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </Card>
     </div>
   );
 }
 
-
 /**
  * ==========
  * Root App
  * ==========
  */
 
+// shared/rules and its ruleVersions/{version} copy in one transaction with
+// their auditLog entry. The version follows the stored one, not this tab's,
+// and skips numbers already taken (shared/rules may be missing or unreadable
+// while old versions exist)
+function writeRules(rules, by) {
+  const ref = doc(db, "shared", "rules");
+  return runTransaction(db, async (tx) => {
+    const current = (await tx.get(ref)).data() || {};
+    let version = (Number.isInteger(current.version) && current.version > 0 ? current.version : 0) + 1;
+    while ((await tx.get(doc(db, "ruleVersions", String(version)))).exists()) version += 1;
+    const payload = { version, ...rules, updatedBy: by, updatedAt: serverTimestamp() };
+    tx.set(doc(db, "ruleVersions", String(version)), payload);
+    tx.set(ref, payload);
+    const keys = ["version", ...Object.keys(rules)];
+    logAudit(tx, {
+      action: "rules.save",
+      by,
+      target: { collection: "shared", id: "rules" },
+      before: pickFields(current, keys),
+      after: pickFields(payload, keys),
+    });
+    return version;
+  });
+}
+
+// shared/materials with its auditLog entry
+function writeMaterials(items, by) {
+  const ref = doc(db, "shared", "materials");
+  return runTransaction(db, async (tx) => {
+    const current = (await tx.get(ref)).data() || {};
+    tx.set(ref, { items, updatedBy: by, updatedAt: serverTimestamp() });
+    logAudit(tx, {
+      action: "materials.save",
+      by,
+      target: { collection: "shared", id: "materials" },
+      before: pickFields(current, ["items"]),
+      after: { items },
+    });
+  });
+}
+
+// shared/prices save + immutable priceHistory and auditLog entries, in one transaction that
+// bumps the revision; rejects with a "price-conflict" error instead of overwriting (src/priceSync.js).
+// `review` ({ reason, outliers }) files the save for admin review (src/priceChecks.js).
+// `source: "reports"` marks a publish of the report medians (src/priceReports.js)
+function writeSharedPrices({ section, values, base, skip = [], by, review = null, source = null }) {
+  const ref = doc(db, "shared", "prices");
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.data() || {};
+    const revision = current.revision || 0;
+    const conflicts = findConflicts(values, base, current);
+    if (conflicts.length) throw conflictError(conflicts, revision);
+    const after = mergeForSave(section, values, base, current, skip);
+    const { stamp } = PRICE_SECTIONS[section];
+    tx.set(
+      ref,
+      { ...after, revision: revision + 1, [`updatedAt${stamp}`]: serverTimestamp(), [`updatedBy${stamp}`]: by },
+      { merge: true }
+    );
+    const entry = {
+      ...buildHistoryEntry({ section, before: current, after, by }),
+      ...(source ? { source } : {}),
+    };
+    if (entry.changes.length) {
+      const historyRef = doc(collection(db, "priceHistory"));
+      if (review) {
+        const fields = review.outliers.map((o) => o.field);
+        tx.set(historyRef, { ...entry, review: { reason: review.reason, fields }, at: serverTimestamp() });
+        tx.set(doc(db, "priceReviews", historyRef.id), {
+          section,
+          by,
+          reason: review.reason,
+          outliers: review.outliers,
+          status: "open",
+          at: serverTimestamp(),
+        });
+      } else {
+        tx.set(historyRef, { ...entry, at: serverTimestamp() });
+      }
+      logAudit(tx, {
+        action: source === "reports" ? "prices.publish" : "prices.save",
+        by,
+        target: { collection: "shared", id: "prices" },
+        before: pickPaths(current, entry.fields),
+        after: pickPaths(after, entry.fields),
+      });
+    }
+    return revision + 1;
+  });
+}
+
+// shown as the author of prices published from the report medians
+const REPORT_PUBLISHER_NAME = "시세 제보 집계";
+
+// queued writes by outbox kind (src/outbox.js): how each one runs and how the sync panel names it
+const OUTBOX_KINDS = {
+  nickname: {
+    label: () => "닉네임",
+    run: ({ uid, payload }) =>
+      setDoc(doc(db, "users", uid), { nickname: payload.nickname, nicknameUpdatedAt: serverTimestamp() }, { merge: true }),
+  },
+  profile: {
+    label: () => "마을 프로필",
+    run: ({ uid, payload }) =>
+      setDoc(
+        doc(db, "villageProfiles", uid),
+        { ...payload.fields, updatedAt: serverTimestamp(), ...(payload.isNew ? { createdAt: serverTimestamp() } : {}) },
+        { merge: true }
+      ),
+  },
+  sharedPrices: {
+    label: ({ payload }) => `공유 시세 (${PRICE_HISTORY_SECTIONS[payload.section] || payload.section})`,
+    run: ({ payload }) => writeSharedPrices(payload),
+  },
+  // the id is picked when queued, so a retry never files the same report twice.
+  // An attempt that timed out may still have landed; writing it again would be
+  // an update, which the rules refuse, so an existing report counts as done.
+  priceReport: {
+    label: () => "시세 제보",
+    run: async ({ payload }) => {
+      const { id, observedAtMs, ...fields } = payload;
+      const ref = doc(db, "priceReports", id);
+      if ((await getDoc(ref)).exists()) return;
+      await setDoc(ref, { ...fields, observedAt: new Date(observedAtMs), at: serverTimestamp() });
+    },
+  },
+};
+
+const LEGACY_PRICE_PENDING_KEYS = {
+  pendingCommonPrices: "common",
+  pendingProcessPrices: "process",
+  pendingMaterialPrices: "material",
+  pendingPotionPrices: "potion",
+};
+
+function isLegacyPendingKey(key) {
+  return key.startsWith("pendingNickname:") || key.startsWith("pendingProfile:") || key in LEGACY_PRICE_PENDING_KEYS;
+}
+
+// outbox ops for writes still queued under the per-key localStorage entries used before the outbox
+function legacyPendingOps(nowMs) {
+  return readLegacyPending(isLegacyPendingKey).map(({ key, payload, ts }) => {
+    const at = ts || nowMs;
+    if (key.startsWith("pendingNickname:")) {
+      const uid = key.slice("pendingNickname:".length);
+      return createOp({ kind: "nickname", key: "nickname", uid, payload: { nickname: payload.nickname } }, at);
+    }
+    if (key.startsWith("pendingProfile:")) {
+      const uid = key.slice("pendingProfile:".length);
+      const { updatedAt: _updatedAt, createdAt, ...fields } = payload;
+      return createOp({ kind: "profile", key: "profile", uid, payload: { fields, isNew: createdAt !== undefined } }, at);
+    }
+    const section = LEGACY_PRICE_PENDING_KEYS[key];
+    // entries queued before revisions held the raw document fields and no base
+    const job = payload.values
+      ? payload
+      : {
+          values: sectionValues(payload, section),
+          base: null,
+          by: Object.entries(payload).find(([k]) => k.startsWith("updatedBy"))?.[1] || null,
+        };
+    return createOp({ kind: "sharedPrices", key: `prices:${section}`, uid: job.by?.uid || "", payload: { section, ...job } }, at);
+  });
+}
+
+// "pending sync" strip: every write of this user still in the outbox, with retry / discard
+function OutboxPanel({ ops, nowMs, onRetry, onDiscard }) {
+  const [open, setOpen] = useState(false);
+  const [discarding, setDiscarding] = useState(null);
+  const failed = ops.filter((o) => o.status === "failed").length;
+  const labelOf = (o) => OUTBOX_KINDS[o.kind]?.label(o) || o.kind;
+  return (
+    <div
+      style={{
+        marginBottom: 12,
+        padding: "10px 14px",
+        borderRadius: 12,
+        border: `1px solid ${failed ? "#c0392b" : "#f39c12"}`,
+        background: failed ? "rgba(192, 57, 43, 0.1)" : "rgba(243, 156, 18, 0.12)",
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <span style={{ fontWeight: 900 }}>
+          {`동기화 대기 ${ops.length}건`}
+          {failed ? ` (자동 재시도 중단 ${failed}건)` : ""}
+        </span>
+        <button onClick={() => setOpen((v) => !v)} style={layerButton}>
+          {open ? "접기" : "자세히"}
+        </button>
+      </div>
+      {open ? (
+        <div style={{ marginTop: 8, display: "grid", gap: 6 }}>
+          {ops.map((o) => (
+            <div key={o.id} style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, fontSize: 12 }}>
+              <span style={{ fontWeight: 800 }}>{labelOf(o)}</span>
+              <span style={{ opacity: 0.75 }}>{new Date(o.createdAt).toLocaleString("ko-KR")}</span>
+              <span style={{ opacity: 0.75 }}>{describeOp(o, nowMs)}</span>
+              <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+                <button onClick={() => onRetry(o.id)} style={layerButton}>
+                  {"지금 재시도"}
+                </button>
+                <button onClick={() => setDiscarding(o)} style={layerButton}>
+                  {"버리기"}
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+      {discarding ? (
+        <ConfirmDialog
+          title="저장 대기 항목 버리기"
+          message={`${labelOf(discarding)} 변경 사항을 서버에 저장하지 않고 버립니다.`}
+          confirmLabel="버리기"
+          onConfirm={() => {
+            onDiscard(discarding.id);
+            setDiscarding(null);
+          }}
+          onCancel={() => setDiscarding(null)}
+        />
+      ) : null}
+    </div>
+  );
+}
+
 export default function App() {
   // useLocalStorageState v4->v6 migration fix
   const [s, setS] = useLocalStorageState("miner_eff_v6", defaultState);
-  const [adminModalOpen, setAdminModalOpen] = useState(false);
-  const [adminPass, setAdminPass] = useState("");
-  const [adminError, setAdminError] = useState("");
   const [priceUpdatedAt, setPriceUpdatedAt] = useState(null);
   const [commonUpdatedAt, setCommonUpdatedAt] = useState(null);
   const [commonUpdatedBy, setCommonUpdatedBy] = useState(null);
@@ -2500,12 +5168,33 @@ export default function App() {
   const [materialPriceError, setMaterialPriceError] = useState("");
   const [potionPriceSaving, setPotionPriceSaving] = useState(false);
   const [potionPriceError, setPotionPriceError] = useState("");
+  const [priceConflict, setPriceConflict] = useState(null); // { section, values, base, skip, by, conflicts }
+  const [priceOutliers, setPriceOutliers] = useState(null); // { section, resolved, outliers }
+  const [recentPriceHistory, setRecentPriceHistory] = useState([]);
+  const [priceReports, setPriceReports] = useState([]);
+  const reportPublishingRef = useRef(false);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [rulesUpdatedAt, setRulesUpdatedAt] = useState(null);
+  const [rulesUpdatedBy, setRulesUpdatedBy] = useState(null);
+  const [rulesSaving, setRulesSaving] = useState(false);
+  const [rulesError, setRulesError] = useState("");
+  const [materials, setMaterials] = useState(DEFAULT_MATERIALS);
+  const [materialsUpdatedAt, setMaterialsUpdatedAt] = useState(null);
+  const [materialsUpdatedBy, setMaterialsUpdatedBy] = useState(null);
+  const [materialsSaving, setMaterialsSaving] = useState(false);
+  const [materialsError, setMaterialsError] = useState("");
   const suppressPriceWrite = useRef(false);
   const [authUser, setAuthUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [authError, setAuthError] = useState("");
   const [userDoc, setUserDoc] = useState(null);
-  const [pendingUsers, setPendingUsers] = useState([]);
+  const [adminClaim, setAdminClaim] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [allUsers, setAllUsers] = useState([]);
+  const [trashSettings, setTrashSettings] = useState(null); // null until shared/trash loads
+  const autoPurgeDoneRef = useRef(false);
+  // re-read once a minute so suspensions lapse without a reload
+  const [nowMs, setNowMs] = useState(() => Date.now());
   const [presenceDocs, setPresenceDocs] = useState([]);
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [profiles, setProfiles] = useState([]);
@@ -2515,22 +5204,44 @@ export default function App() {
   const [presencePaused, setPresencePaused] = useState(false);
   const presenceWriteAtRef = useRef(0);
   const presencePauseTimerRef = useRef(null);
-  const retryInFlightRef = useRef(false);
-  const canUseApp = !!authUser && userDoc?.status === "approved";
+  // writes waiting to reach Firestore (src/outbox.js), including any left in the old pending keys
+  const [outbox, setOutbox] = useState(() => legacyPendingOps(Date.now()).reduce(enqueueOp, loadOutbox()));
+  const outboxRef = useRef(outbox);
+  const outboxFlushingRef = useRef(false);
+  // admin rights come from users/{uid}.role or an `admin` custom claim (see firestore.rules)
+  const isAdmin = !!authUser && (userDoc?.role === "admin" || adminClaim);
+  const userStatus = userDoc ? effectiveStatus(userDoc, nowMs) : "";
+  const canUseApp = !!authUser && (userStatus === "approved" || isAdmin);
+  // what this member may do, from the rank leadership assigned on users/{uid}
+  const actor = { rank: canUseApp ? userDoc?.rank || "" : "", isAdmin };
+  const canSavePrices = canUseApp && hasCapability(actor, "savePrices");
+  const myOutbox = authUser ? outbox.filter((o) => o.uid === authUser.uid) : [];
+  const reportStats = useMemo(
+    () => aggregateReports(canUseApp ? priceReports : [], nowMs),
+    [canUseApp, priceReports, nowMs]
+  );
+  // pages calculate with the effective prices; price inputs get the layers (src/priceSync.js)
+  const effectiveState = useMemo(() => ({ ...s, ...effectivePrices(s) }), [s]);
+  const priceLayers = {
+    state: s,
+    setS,
+    editLayer: canSavePrices ? s.priceEditLayer : "personal",
+    canEditCommunity: canSavePrices,
+    reportStats,
+  };
+  const canAnswerSuggestions = canUseApp && hasCapability(actor, "answerSuggestions");
+  const canApproveMembers = canUseApp && hasCapability(actor, "approveMembers");
+  const canAssignRanks = canUseApp && hasCapability(actor, "assignRanks");
   const presenceEnabled = canUseApp && !presencePaused;
   const PRESENCE_MIN_WRITE_GAP_MS = 30000;
   const PRESENCE_WRITE_INTERVAL_MS = 60000;
   const PRESENCE_ONLINE_WINDOW_MS = 5 * 60 * 1000;
   const PRESENCE_PAUSE_MS = 5 * 60 * 1000;
 
-  const pendingNicknameKey = (uid) => `pendingNickname:${uid}`;
-  const pendingProfileKey = (uid) => `pendingProfile:${uid}`;
-    const enqueuePending = (key, payload) => {
-    try {
-      localStorage.setItem(key, JSON.stringify({ payload, ts: Date.now() }));
-    } catch {
-      // ignore localStorage failures
-    }
+  // a newer write for the same `key` replaces the queued one
+  const queueWrite = (kind, key, payload) => {
+    if (!authUser) return;
+    setOutbox((prev) => enqueueOp(prev, createOp({ kind, key, uid: authUser.uid, payload }, Date.now())));
   };
 
   const feeRate = useMemo(() => {
@@ -2604,10 +5315,10 @@ export default function App() {
       ]);
     } catch (err) {
       if (err?.code === "resource-exhausted") {
-        enqueuePending(pendingNicknameKey(authUser.uid), { nickname: trimmed });
+        queueWrite("nickname", "nickname", { nickname: trimmed });
         setNicknameError("저장량/요청 제한을 초과했습니다. 로컬에 임시 저장했고 자동 재시도합니다.");
       } else if (err?.message === "timeout") {
-        enqueuePending(pendingNicknameKey(authUser.uid), { nickname: trimmed });
+        queueWrite("nickname", "nickname", { nickname: trimmed });
         setNicknameError("저장이 지연되고 있습니다. 로컬에 임시 저장했고 자동 재시도합니다.");
       } else {
         setNicknameError("저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
@@ -2628,56 +5339,61 @@ export default function App() {
 
   useEffect(() => {
     if (!authUser) return undefined;
-    const retryPending = async () => {
-      if (retryInFlightRef.current) return;
-      retryInFlightRef.current = true;
-      try {
-        const nickKey = pendingNicknameKey(authUser.uid);
-        const nickRaw = localStorage.getItem(nickKey);
-        if (nickRaw) {
-          const parsed = JSON.parse(nickRaw);
-          const nickname = parsed?.payload?.nickname;
-          if (nickname) {
-            await setDoc(
-              doc(db, "users", authUser.uid),
-              { nickname, nicknameUpdatedAt: serverTimestamp() },
-              { merge: true }
-            );
-            localStorage.removeItem(nickKey);
-            setNicknameError("");
-          }
-        }
+    let cancelled = false;
+    authUser
+      .getIdTokenResult()
+      .then((token) => {
+        if (!cancelled) setAdminClaim(token.claims.admin === true);
+      })
+      .catch(() => {
+        if (!cancelled) setAdminClaim(false);
+      });
+    return () => {
+      cancelled = true;
+      setAdminClaim(false);
+    };
+  }, [authUser]);
 
-        const profileKey = pendingProfileKey(authUser.uid);
-        const profileRaw = localStorage.getItem(profileKey);
-        if (profileRaw) {
-          const parsed = JSON.parse(profileRaw);
-          const payload = parsed?.payload;
-          if (payload) {
-            await setDoc(doc(db, "villageProfiles", authUser.uid), payload, { merge: true });
-            localStorage.removeItem(profileKey);
-          }
-        }
+  useEffect(() => {
+    outboxRef.current = outbox;
+    saveOutbox(outbox);
+    clearLegacyPending(readLegacyPending(isLegacyPendingKey).map((e) => e.key));
+  }, [outbox]);
 
-        for (const key of ["pendingCommonPrices", "pendingProcessPrices", "pendingMaterialPrices", "pendingPotionPrices"]) {
-          const raw = localStorage.getItem(key);
-          if (!raw) continue;
-          const parsed = JSON.parse(raw);
-          const payload = parsed?.payload;
-          if (payload) {
-            await setDoc(doc(db, "shared", "prices"), payload, { merge: true });
-            localStorage.removeItem(key);
+  // sends due outbox writes in queue order; a failure only delays that write
+  useEffect(() => {
+    if (!authUser) return undefined;
+    const flush = async () => {
+      if (outboxFlushingRef.current) return;
+      outboxFlushingRef.current = true;
+      try {
+        setOutbox((prev) => expireOps(prev, Date.now()));
+        for (const op of dueOps(outboxRef.current, authUser.uid, Date.now())) {
+          const kind = OUTBOX_KINDS[op.kind];
+          try {
+            if (!kind) throw Object.assign(new Error("unsupported"), { code: "unsupported" });
+            await Promise.race([
+              kind.run(op),
+              new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+            ]);
+            setOutbox((prev) => removeOp(prev, op.id));
+            if (op.kind === "nickname") setNicknameError("");
+          } catch (err) {
+            if (err?.code === "price-conflict") {
+              setOutbox((prev) => removeOp(prev, op.id));
+              setPriceConflict({ ...op.payload, conflicts: err.conflicts });
+            } else {
+              setOutbox((prev) => failOp(prev, op.id, errorCode(err), Date.now()));
+            }
           }
         }
-      } catch {
-        // keep pending for next retry
       } finally {
-        retryInFlightRef.current = false;
+        outboxFlushingRef.current = false;
       }
     };
 
-    retryPending();
-    const timer = setInterval(retryPending, 30000);
+    flush();
+    const timer = setInterval(flush, 5000);
     return () => clearInterval(timer);
   }, [authUser]);
 
@@ -2833,29 +5549,82 @@ export default function App() {
         setUserDoc({ id: snap.id, ...snap.data() });
       },
       () => {
-        setUserDoc({ uid: authUser.uid, status: "pending" });
+        setUserDoc({ uid: authUser.uid, status: "pending" });
+      }
+    );
+    return () => unsub();
+  }, [authUser]);
+
+  useEffect(() => {
+    const id = setInterval(() => setNowMs(Date.now()), 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  useEffect(() => {
+    if (!canApproveMembers) {
+      setAllUsers([]);
+      return undefined;
+    }
+    const unsub = onSnapshot(
+      collection(db, "users"),
+      (snap) => {
+        setAllUsers(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+      },
+      () => {
+        setAllUsers([]);
       }
     );
     return () => unsub();
-  }, [authUser]);
+  }, [canApproveMembers]);
+
+  // members/{uid} mirrors the public part of users/{uid} (src/members.js).
+  // Each member keeps their own copy current and approvers backfill the rest.
+  const projectedRef = useRef(new Map());
+  useEffect(() => {
+    if (!canUseApp || !authUser) return;
+    const sources = canApproveMembers ? allUsers : userDoc ? [{ ...userDoc, id: authUser.uid }] : [];
+    const current = new Map(members.map((m) => [m.id, m]));
+    sources
+      .filter((u) => ["approved", "suspended"].includes(u.status) || current.has(u.id))
+      .forEach((u) => {
+        const next = memberProjection(u);
+        if (sameProjection(next, current.get(u.id))) return;
+        const key = JSON.stringify({ ...next, suspendedUntil: toMillis(next.suspendedUntil) });
+        if (projectedRef.current.get(u.id) === key) return;
+        projectedRef.current.set(u.id, key);
+        // a refused copy is not retried until the next session, so a failing write cannot loop
+        setDoc(doc(db, "members", u.id), next)
+          .then(() => {
+            projectedRef.current.delete(u.id);
+          })
+          .catch(() => {});
+      });
+  }, [canUseApp, canApproveMembers, allUsers, userDoc, members, authUser]);
+
+  const pendingUsers = useMemo(() => {
+    const rows = allUsers.filter((u) => effectiveStatus(u, nowMs) === "pending");
+    rows.sort((a, b) => (toMillis(b.createdAt) || 0) - (toMillis(a.createdAt) || 0));
+    return rows;
+  }, [allUsers, nowMs]);
 
   useEffect(() => {
-    if (!authUser || !s.adminMode) {
-      setPendingUsers([]);
+    if (!canUseApp) {
+      setMembers([]);
       return undefined;
     }
-    const q = query(collection(db, "users"), where("status", "==", "pending"));
-    const unsub = onSnapshot(q, (snap) => {
-      const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      rows.sort((a, b) => {
-        const ta = a.createdAt?.toDate ? a.createdAt.toDate().getTime() : 0;
-        const tb = b.createdAt?.toDate ? b.createdAt.toDate().getTime() : 0;
-        return tb - ta;
-      });
-      setPendingUsers(rows);
-    });
+    // suspended members whose suspendedUntil has passed are members again
+    const q = query(collection(db, "members"), where("status", "in", ["approved", "suspended"]));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        setMembers(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+      },
+      () => {
+        setMembers([]);
+      }
+    );
     return () => unsub();
-  }, [authUser, s.adminMode]);
+  }, [canUseApp]);
 
   useEffect(() => {
     const q = query(collection(db, "villageProfiles"), orderBy("updatedAt", "desc"));
@@ -2887,144 +5656,293 @@ export default function App() {
       setPotionUpdatedBy(potionBy);
       if (!data) return;
       suppressPriceWrite.current = true;
-      setS((p) => ({
-        ...p,
-        ingotGrossPrice: data.ingotGrossPrice ?? p.ingotGrossPrice,
-        gemGrossPrice: data.gemGrossPrice ?? p.gemGrossPrice,
-        prices: data.prices ?? p.prices,
-        abilityGrossSell: data.abilityGrossSell ?? p.abilityGrossSell,
-        lifeGrossSell: data.lifeGrossSell ?? p.lifeGrossSell,
-        potionPrices: data.potionPrices ?? p.potionPrices,
-      }));
+      // fields with unsaved local edits keep them; see rebasePrices
+      const incoming = Object.fromEntries(
+        Object.entries({
+          ingotGrossPrice: data.ingotGrossPrice,
+          gemGrossPrice: data.gemGrossPrice,
+          prices: data.prices,
+          recipeSellPrices: { ...legacyRecipeSellPrices(data), ...(data.recipeSellPrices || {}) },
+          potionPrices: data.potionPrices,
+        }).filter(([, v]) => v !== undefined)
+      );
+      setS((p) => ({ ...p, ...rebasePrices(p, incoming, data.revision) }));
     });
     return () => unsub();
   }, [setS]);
 
+  useEffect(() => {
+    if (!canUseApp) return undefined;
+    const since = new Date(Date.now() - REPORT_WINDOW_MS);
+    const q = query(collection(db, "priceReports"), where("observedAt", ">", since), orderBy("observedAt", "desc"));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        setPriceReports(snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })));
+      },
+      () => {
+        setPriceReports([]);
+      }
+    );
+    return () => unsub();
+  }, [canUseApp]);
+
+  // medians that pass the price checks against recent saves, and the ones held back
+  const reportPlan = useMemo(
+    () => planPublish(reportStats, s.priceBase?.values, recentPriceHistory),
+    [reportStats, s.priceBase, recentPriceHistory]
+  );
+
+  // members who can save shared prices publish the report medians (src/priceReports.js),
+  // credited to the aggregation rather than to whoever had the app open.
+  // A conflict or failure is left for the next pass (new reports, snapshot or minute).
+  useEffect(() => {
+    if (!canSavePrices || !s.priceBase || !authUser || reportPublishingRef.current) return;
+    const shared = s.priceBase.values;
+    const { targets } = reportPlan;
+    if (!Object.keys(targets).length) return;
+    reportPublishingRef.current = true;
+    const by = { uid: authUser.uid, name: REPORT_PUBLISHER_NAME, email: "" };
+    (async () => {
+      for (const [section, flat] of Object.entries(targets)) {
+        const base = { values: Object.fromEntries(Object.keys(flat).map((f) => [f, shared[f]])) };
+        try {
+          await writeSharedPrices({ section, values: nestPaths(flat), base, by, source: "reports" });
+        } catch {
+          // retried on the next pass
+        }
+      }
+    })().finally(() => {
+      reportPublishingRef.current = false;
+    });
+  }, [canSavePrices, reportPlan, s.priceBase, authUser]);
+
+  // recent saves, for the outlier check on the next one (src/priceChecks.js)
+  useEffect(() => {
+    if (!canSavePrices) return undefined;
+    const q = query(collection(db, "priceHistory"), orderBy("at", "desc"), limit(200));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        setRecentPriceHistory(snap.docs.map((d) => d.data({ serverTimestamps: "estimate" })));
+      },
+      () => {
+        setRecentPriceHistory([]);
+      }
+    );
+    return () => unsub();
+  }, [canSavePrices]);
+
+  useEffect(() => {
+    const ref = doc(db, "shared", "rules");
+    const unsub = onSnapshot(
+      ref,
+      (snap) => {
+        const data = snap.data();
+        setRules(resolveRules(data));
+        setRulesUpdatedAt(data?.updatedAt?.toDate ? data.updatedAt.toDate() : null);
+        setRulesUpdatedBy(data?.updatedBy || null);
+      },
+      () => {
+        setRules(DEFAULT_RULES);
+      }
+    );
+    return () => unsub();
+  }, []);
+
+  useEffect(() => {
+    const ref = doc(db, "shared", "materials");
+    const unsub = onSnapshot(
+      ref,
+      (snap) => {
+        const data = snap.data();
+        setMaterials(resolveMaterials(data));
+        setMaterialsUpdatedAt(data?.updatedAt?.toDate ? data.updatedAt.toDate() : null);
+        setMaterialsUpdatedBy(data?.updatedBy || null);
+      },
+      () => {
+        setMaterials(DEFAULT_MATERIALS);
+      }
+    );
+    return () => unsub();
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return undefined;
+    const unsub = onSnapshot(
+      doc(db, "shared", "trash"),
+      (snap) => {
+        setTrashSettings(snap.exists() ? snap.data() : {});
+      },
+      () => {
+        setTrashSettings({});
+      }
+    );
+    return () => unsub();
+  }, [isAdmin]);
+
+  const trashRetentionDays = resolveRetentionDays(trashSettings);
+
+  // purge posts past the retention period once per session, when an admin is signed in
+  useEffect(() => {
+    if (!isAdmin || !trashSettings || autoPurgeDoneRef.current) return;
+    autoPurgeDoneRef.current = true;
+    const cutoff = new Date(purgeCutoff(Date.now(), trashRetentionDays));
+    Object.keys(TRASH_COLLECTIONS).forEach((name) => {
+      getDocs(query(collection(db, name), where("deletedAt", "<", cutoff)))
+        .then((snap) => purgePosts(name, snap.docs.map((d) => ({ id: d.id, ...d.data() })), "post.expire", authUser))
+        .catch(() => {
+          // try again next session
+        });
+    });
+  }, [isAdmin, trashSettings, trashRetentionDays, authUser]);
+
   const buildUpdater = () => ({
     uid: authUser?.uid || "",
     name: authUser?.displayName || "",
     email: authUser?.email || "",
   });
 
-  const saveCommonPrices = async () => {
-    if (!authUser) {
-      setCommonPriceError("로그인 후 저장할 수 있습니다.");
-      return;
-    }
-    setCommonPriceSaving(true);
-    setCommonPriceError("");
-    const payload = {
-      ingotGrossPrice: s.ingotGrossPrice,
-      gemGrossPrice: s.gemGrossPrice,
-      updatedByCommon: buildUpdater(),
-      updatedAtCommon: serverTimestamp(),
-    };
-    try {
-      await Promise.race([
-        setDoc(doc(db, "shared", "prices"), payload, { merge: true }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
-      ]);
-    } catch (err) {
-      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
-        enqueuePending("pendingCommonPrices", payload);
-        setCommonPriceError("저장 요청이 많아 지연됩니다. 로컬에 임시 저장했고 자동 재시도합니다.");
-      } else {
-        setCommonPriceError("저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
-      }
-    } finally {
-      setCommonPriceSaving(false);
-    }
+  const priceSaveControls = {
+    common: { setSaving: setCommonPriceSaving, setError: setCommonPriceError },
+    process: { setSaving: setProcessPriceSaving, setError: setProcessPriceError },
+    material: { setSaving: setMaterialPriceSaving, setError: setMaterialPriceError },
+    potion: { setSaving: setPotionPriceSaving, setError: setPotionPriceError },
   };
 
-  const saveProcessPrices = async () => {
+  // `resolved` carries the values/base/skip from the merge dialog instead of the current edits;
+  // `review` is the reason given for outliers, after which the checks are not repeated
+  const saveSharedPrices = async (section, resolved = null, review = null) => {
+    const { setSaving, setError } = priceSaveControls[section];
     if (!authUser) {
-      setProcessPriceError("로그인 후 저장할 수 있습니다.");
+      setError("로그인 후 저장할 수 있습니다.");
       return;
     }
-    setProcessPriceSaving(true);
-    setProcessPriceError("");
-    const payload = {
-      abilityGrossSell: s.abilityGrossSell,
-      lifeGrossSell: s.lifeGrossSell,
-      updatedByProcess: buildUpdater(),
-      updatedAtProcess: serverTimestamp(),
+    if (!canSavePrices) {
+      setError(`${RANK_CAPABILITIES.savePrices} 이상만 공유 시세를 저장할 수 있습니다.`);
+      return;
+    }
+    const job = {
+      values: resolved?.values || sectionValues(s, section),
+      base: resolved ? resolved.base : s.priceBase,
+      skip: resolved?.skip || [],
+      by: buildUpdater(),
+      review,
     };
+    if (!review) {
+      const { invalid, outliers } = checkPriceChanges(pendingEdits(job.values, job.base, job.skip), recentPriceHistory);
+      if (invalid.length) {
+        const labels = priceFieldLabels(s.recipes, materials);
+        setError(`숫자가 아닌 시세가 있습니다: ${invalid.map((f) => labels[f] || f).join(", ")}`);
+        return;
+      }
+      if (outliers.length) {
+        setError("");
+        setPriceOutliers({ section, resolved, outliers });
+        return;
+      }
+    }
+    setSaving(true);
+    setError("");
     try {
       await Promise.race([
-        setDoc(doc(db, "shared", "prices"), payload, { merge: true }),
+        writeSharedPrices({ section, ...job }),
         new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
       ]);
     } catch (err) {
-      if (err?.code === "resource-exhausted" || err?.message === "timeout") {
-        enqueuePending("pendingProcessPrices", payload);
-        setProcessPriceError("저장 요청이 많아 지연됩니다. 로컬에 임시 저장했고 자동 재시도합니다.");
+      if (err?.code === "price-conflict") {
+        setPriceConflict({ section, ...job, conflicts: err.conflicts });
+      } else if (err?.code === "resource-exhausted" || err?.message === "timeout") {
+        queueWrite("sharedPrices", `prices:${section}`, { section, ...job });
+        setError("저장 요청이 많아 지연됩니다. 로컬에 임시 저장했고 자동 재시도합니다.");
       } else {
-        setProcessPriceError("저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
+        setError("저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
       }
     } finally {
-      setProcessPriceSaving(false);
+      setSaving(false);
     }
   };
 
-  const saveMaterialPrices = async () => {
-    if (!authUser) {
-      setMaterialPriceError("로그인 후 저장할 수 있습니다.");
-      return;
-    }
-    setMaterialPriceSaving(true);
-    setMaterialPriceError("");
+  const saveCommonPrices = () => saveSharedPrices("common");
+  const saveProcessPrices = () => saveSharedPrices("process");
+  const saveMaterialPrices = () => saveSharedPrices("material");
+  const savePotionPrices = () => saveSharedPrices("potion");
+
+  const confirmPriceOutliers = (reason) => {
+    const { section, resolved, outliers } = priceOutliers;
+    setPriceOutliers(null);
+    saveSharedPrices(section, resolved, { reason, outliers });
+  };
+
+  const resolvePriceConflict = (choices) => {
+    const { section, values, base, conflicts } = priceConflict;
+    setPriceConflict(null);
+    setS((p) => ({ ...p, ...resolutionPatch(p, conflicts, choices) }));
+    saveSharedPrices(section, resolveConflicts(values, base, conflicts, choices));
+  };
+
+  const saveRules = async (nextRules) => {
+    if (!isAdmin) return;
+    setRulesSaving(true);
+    setRulesError("");
     const payload = {
-      prices: s.prices,
-      modes: s.modes,
-      updatedByMaterial: buildUpdater(),
-      updatedAtMaterial: serverTimestamp(),
+      sageShardsByEnh: nextRules.sageShardsByEnh,
+      gemExpert: nextRules.gemExpert,
+      flamingPick: nextRules.flamingPick,
     };
     try {
       await Promise.race([
-        setDoc(doc(db, "shared", "prices"), payload, { merge: true }),
+        writeRules(payload, buildUpdater()),
         new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
       ]);
     } catch (err) {
       if (err?.code === "resource-exhausted" || err?.message === "timeout") {
-        enqueuePending("pendingMaterialPrices", payload);
-        setMaterialPriceError("저장 요청이 많아 지연됩니다. 로컬에 임시 저장했고 자동 재시도합니다.");
+        setRulesError("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
       } else {
-        setMaterialPriceError("저장에 실패했습니다. 잠시 후 다시 시도해 주세요.");
+        setRulesError("규칙 저장에 실패했습니다. 다시 시도해 주세요.");
       }
     } finally {
-      setMaterialPriceSaving(false);
+      setRulesSaving(false);
     }
   };
 
-  const savePotionPrices = async () => {
-    if (!authUser) {
-      setPotionPriceError("로그인 후 저장할 수 있습니다.");
-      return;
-    }
-    setPotionPriceSaving(true);
-    setPotionPriceError("");
-    const payload = {
-      potionPrices: s.potionPrices,
-      updatedByPotion: buildUpdater(),
-      updatedAtPotion: serverTimestamp(),
-    };
+  const saveMaterials = async (nextMaterials) => {
+    if (!isAdmin) return;
+    setMaterialsSaving(true);
+    setMaterialsError("");
     try {
       await Promise.race([
-        setDoc(doc(db, "shared", "prices"), payload, { merge: true }),
+        writeMaterials(nextMaterials, buildUpdater()),
         new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
       ]);
     } catch (err) {
       if (err?.code === "resource-exhausted" || err?.message === "timeout") {
-        enqueuePending("pendingPotionPrices", payload);
-        setPotionPriceError("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
+        setMaterialsError("저장이 지연되고 있습니다. 잠시 후 다시 시도해 주세요.");
       } else {
-        setPotionPriceError("저장에 실패했습니다. 다시 시도해 주세요.");
+        setMaterialsError("재료 목록 저장에 실패했습니다. 다시 시도해 주세요.");
       }
     } finally {
-      setPotionPriceSaving(false);
+      setMaterialsSaving(false);
     }
   };
 
+  const saveTrashRetention = async (days) => {
+    if (!isAdmin) return;
+    const batch = writeBatch(db);
+    batch.set(doc(db, "shared", "trash"), { retentionDays: days, updatedBy: buildUpdater(), updatedAt: serverTimestamp() });
+    logAudit(batch, {
+      action: "trash.settings",
+      by: buildUpdater(),
+      target: { collection: "shared", id: "trash" },
+      before: { retentionDays: trashRetentionDays },
+      after: { retentionDays: days },
+    });
+    await Promise.race([
+      batch.commit(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 8000)),
+    ]);
+  };
+
   const handleLogin = async () => {
     setAuthError("");
     try {
@@ -3042,48 +5960,33 @@ export default function App() {
     }
   };
 
-  const openAdminModal = () => {
-    setAdminModalOpen(true);
-    setAdminPass("");
-    setAdminError("");
-  };
-
-  const closeAdminModal = () => {
-    setAdminModalOpen(false);
-    setAdminPass("");
-    setAdminError("");
-  };
-
-  const loginAdmin = () => {
-    if (adminPass === "0327korea") {
-      setS((p) => ({ ...p, adminMode: true }));
-      closeAdminModal();
-      return;
+  // one batch so a bulk action either lands for everyone or for no one
+  const applyMemberAction = async (uids, action, { until = null } = {}) => {
+    if (!canApproveMembers || uids.length === 0) return;
+    const patch = memberActionPatch(action, { at: serverTimestamp(), by: authUser?.email || "admin", until });
+    if (!patch) return;
+    // one batch per MEMBER_BATCH_SIZE members: each member's writes stay
+    // together, but a failure can leave the earlier batches applied
+    for (let i = 0; i < uids.length; i += MEMBER_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      uids.slice(i, i + MEMBER_BATCH_SIZE).forEach((uid) => {
+        batch.update(doc(db, "users", uid), patch);
+        batch.set(doc(db, "members", uid), memberProjection({ ...allUsers.find((u) => u.id === uid), ...patch }));
+        logAudit(batch, {
+          action: `member.${action}`,
+          by: auditActor(authUser),
+          target: { collection: "users", id: uid },
+          before: pickFields(allUsers.find((u) => u.id === uid), Object.keys(patch)),
+          after: patch,
+        });
+      });
+      await batch.commit();
     }
-    setAdminError("鍮꾨?踰덊샇媛 ?щ컮瑜댁? ?딆뒿?덈떎.");
-  };
-
-  const logoutAdmin = () => {
-    setS((p) => ({ ...p, adminMode: false }));
   };
 
-  const approveUser = (uid) => {
-    if (!s.adminMode) return;
-    updateDoc(doc(db, "users", uid), {
-      status: "approved",
-      approvedAt: serverTimestamp(),
-      approvedBy: authUser?.email || "admin",
-    });
-  };
+  const approveUser = (uid) => applyMemberAction([uid], "approve").catch(() => {});
 
-  const rejectUser = (uid) => {
-    if (!s.adminMode) return;
-    updateDoc(doc(db, "users", uid), {
-      status: "rejected",
-      rejectedAt: serverTimestamp(),
-      rejectedBy: authUser?.email || "admin",
-    });
-  };
+  const rejectUser = (uid) => applyMemberAction([uid], "reject").catch(() => {});
 
   const [introOpen, setIntroOpen] = useState(() => {
     try {
@@ -3104,8 +6007,14 @@ export default function App() {
 
   // gem expert rule by level: keep raw profile values without normalization
   const setActive = (key) => setS((p) => ({ ...p, activeMenu: key }));
-  const isPending = !!authUser && !canUseApp && userDoc?.status !== "rejected";
-  const isRejected = userDoc?.status === "rejected";
+  const isRejected = userStatus === "rejected";
+  const isSuspended = userStatus === "suspended";
+  const isPending = !!authUser && !canUseApp && !isRejected && !isSuspended;
+  const activeMembers = useMemo(() => members.filter((m) => effectiveStatus(m, nowMs) === "approved"), [members, nowMs]);
+  const memberRanks = useMemo(
+    () => Object.fromEntries(activeMembers.map((m) => [m.id, m.rank || ""])),
+    [activeMembers]
+  );
   const uiLocked = !canUseApp;
   const showSidebar = true;
 
@@ -3131,6 +6040,10 @@ export default function App() {
             calendarInfo={calendarInfo}
             onPrevMonth={() => setCalendarMonth((d) => new Date(d.getFullYear(), d.getMonth() - 1, 1))}
             onNextMonth={() => setCalendarMonth((d) => new Date(d.getFullYear(), d.getMonth() + 1, 1))}
+            showRanks={canAssignRanks}
+            showMembers={canApproveMembers}
+            showAudit={isAdmin}
+            showTrash={isAdmin}
           />
         </div>
       ) : null}
@@ -3143,7 +6056,7 @@ export default function App() {
             </Card>
           ) : null}
 
-          {authUser && s.adminMode ? (
+          {canApproveMembers ? (
             <div style={{ marginBottom: 12 }}>
               <Card title={"가입 승인 관리"}>
                 {pendingUsers.length === 0 ? (
@@ -3253,6 +6166,27 @@ export default function App() {
                     {"로그아웃"}
                   </button>
                 </Card>
+              ) : isSuspended ? (
+                <Card title={"이용 정지"}>
+                  <div style={{ fontSize: 13, opacity: 0.8, marginBottom: 10 }}>
+                    {"이용이 정지된 계정입니다."}
+                    {userDoc?.suspendedUntil ? ` (${new Date(toMillis(userDoc.suspendedUntil)).toLocaleString("ko-KR")}까지)` : ""}
+                  </div>
+                  <button
+                    onClick={handleLogout}
+                    style={{
+                      padding: "10px 14px",
+                      borderRadius: 10,
+                      border: "1px solid var(--input-border)",
+                      background: "var(--panel-bg)",
+                      cursor: "pointer",
+                      fontWeight: 900,
+                      fontSize: 13,
+                    }}
+                  >
+                    {"로그아웃"}
+                  </button>
+                </Card>
               ) : isPending ? (
                 <Card title={"승인 대기"}>
                   <div style={{ fontSize: 13, opacity: 0.8, marginBottom: 10 }}>
@@ -3277,22 +6211,6 @@ export default function App() {
                     >
                       {"로그아웃"}
                     </button>
-                    {!s.adminMode ? (
-                      <button
-                        onClick={openAdminModal}
-                        style={{
-                          padding: "10px 14px",
-                          borderRadius: 10,
-                          border: "1px solid var(--input-border)",
-                          background: "var(--panel-bg)",
-                          cursor: "pointer",
-                          fontWeight: 900,
-                          fontSize: 13,
-                        }}
-                      >
-                        {"관리자 로그인"}
-                      </button>
-                    ) : null}
                   </div>
                 </Card>
               ) : null}
@@ -3315,6 +6233,14 @@ export default function App() {
                 {"시세/옵션 변경은 로그인 후 가능합니다. 로그인 해주세요."}
               </div>
             ) : null}
+            {myOutbox.length ? (
+              <OutboxPanel
+                ops={myOutbox}
+                nowMs={nowMs}
+                onRetry={(id) => setOutbox((prev) => retryOp(prev, id, Date.now()))}
+                onDiscard={(id) => setOutbox((prev) => removeOp(prev, id))}
+              />
+            ) : null}
             <div style={{ marginBottom: 14 }}>
               <img
                 src="/banner.png"
@@ -3357,40 +6283,21 @@ export default function App() {
               >
                 {"초기화"}
               </button>
-              {s.adminMode ? (
-                <button
-                  onClick={logoutAdmin}
+              {isAdmin ? (
+                <span
                   style={{
-                    padding: "8px 10px",
-                    borderRadius: 10,
-                    border: "1px solid var(--input-border)",
-                    background: "var(--panel-bg)",
-                    cursor: "pointer",
+                    padding: "6px 10px",
+                    borderRadius: 999,
+                    border: "1px solid var(--accent)",
+                    color: "var(--accent)",
                     fontWeight: 900,
                     fontSize: 12,
                   }}
-                  title="관리자 로그아웃"
-                >
-                  {"관리자 로그아웃"}
-                </button>
-              ) : (
-                <button
-                  onClick={openAdminModal}
-                  style={{
-                    padding: "8px 10px",
-                    borderRadius: 10,
-                    border: "1px solid var(--soft-border)",
-                    background: "var(--panel-bg)",
-                    cursor: "pointer",
-                    fontWeight: 700,
-                    fontSize: 12,
-                    opacity: 0.7,
-                  }}
-                  title="관리자 로그인"
+                  title="관리자 권한이 있는 계정입니다."
                 >
                   {"관리자"}
-                </button>
-              )}
+                </span>
+              ) : null}
               {authUser ? (
                 <button
                   onClick={handleLogout}
@@ -3434,7 +6341,7 @@ export default function App() {
             {s.activeMenu === "profile" ? (
               <ProfilePage
                 key={`${authUser?.uid || "guest"}:${userDoc?.nickname || ""}`}
-                s={s}
+                s={effectiveState}
                 setS={setS}
                 feeRate={feeRate}
                 priceUpdatedAt={commonUpdatedAt}
@@ -3450,13 +6357,28 @@ export default function App() {
                 materialPriceError={materialPriceError}
                 nicknameSaving={nicknameSaving}
                 nicknameError={nicknameError}
+                rules={rules}
+                rulesUpdatedAt={rulesUpdatedAt}
+                rulesUpdatedBy={rulesUpdatedBy}
+                onSaveRules={saveRules}
+                rulesSaving={rulesSaving}
+                rulesError={rulesError}
+                materials={materials}
+                materialsUpdatedAt={materialsUpdatedAt}
+                materialsUpdatedBy={materialsUpdatedBy}
+                onSaveMaterials={saveMaterials}
+                materialsSaving={materialsSaving}
+                materialsError={materialsError}
+                isAdmin={isAdmin}
+                priceLayers={priceLayers}
               />
             ) : null}
             {s.activeMenu === "potion" ? (
               <PotionPage
-                s={s}
+                s={effectiveState}
                 setS={setS}
                 feeRate={feeRate}
+                rules={rules}
                 priceUpdatedAt={priceUpdatedAt}
                 potionUpdatedAt={potionUpdatedAt}
                 potionUpdatedBy={potionUpdatedBy}
@@ -3464,40 +6386,96 @@ export default function App() {
                 potionPriceSaving={potionPriceSaving}
                 potionPriceError={potionPriceError}
                 authUser={authUser}
+                priceLayers={priceLayers}
               />
             ) : null}
             {s.activeMenu === "ingot" ? (
               <IngotPage
-                s={s}
+                s={effectiveState}
                 setS={setS}
                 feeRate={feeRate}
+                rules={rules}
+                materials={materials}
                 priceUpdatedAt={processUpdatedAt}
                 priceUpdatedBy={processUpdatedBy}
                 onSaveSharedPrices={saveProcessPrices}
                 priceSaving={processPriceSaving}
                 priceSaveError={processPriceError}
                 authUser={authUser}
+                priceLayers={priceLayers}
+              />
+            ) : null}
+            {s.activeMenu === "history" ? (
+              <PriceHistoryPage
+                recipes={s.recipes}
+                materials={materials}
+                isAdmin={isAdmin}
+                authUser={authUser}
+                canReport={canUseApp}
+                reports={priceReports}
+                reportStats={reportStats}
+                reportHeld={reportPlan.held}
+                nowMs={nowMs}
+                onQueueWrite={queueWrite}
+              />
+            ) : null}
+            {s.activeMenu === "feedback" ? (
+              <TicketBoard
+                board={TICKET_BOARDS.feedbacks}
+                canModerate={isAdmin}
+                canDelete={isAdmin}
+                canSeePrivate={isAdmin}
+                canComment={canUseApp}
+                authUser={authUser}
+                members={activeMembers}
+                nowMs={nowMs}
+              />
+            ) : null}
+            {s.activeMenu === "ranks" && canAssignRanks ? (
+              <RankManagerPage members={activeMembers} actor={actor} authUser={authUser} />
+            ) : null}
+            {s.activeMenu === "memberAdmin" && canApproveMembers ? (
+              <MemberConsolePage users={allUsers} nowMs={nowMs} onAction={applyMemberAction} />
+            ) : null}
+            {s.activeMenu === "audit" && isAdmin ? <AuditLogPage /> : null}
+            {s.activeMenu === "trash" && isAdmin ? (
+              <TrashPage
+                authUser={authUser}
+                nowMs={nowMs}
+                retentionDays={trashRetentionDays}
+                onSaveRetention={saveTrashRetention}
               />
             ) : null}
-            {s.activeMenu === "feedback" ? <FeedbackPage s={s} /> : null}
             {s.activeMenu === "village" ? (
               <VillageSuggestionPage
-                s={s}
+                isAdmin={isAdmin}
+                canAnswer={canAnswerSuggestions}
+                canComment={canUseApp}
+                members={activeMembers}
+                memberRanks={memberRanks}
+                nowMs={nowMs}
                 onlineUsers={onlineUsers}
                 authUser={authUser}
                 showProfiles={false}
                 profiles={profiles}
                 setProfiles={setProfiles}
+                onQueueWrite={queueWrite}
               />
             ) : null}
             {s.activeMenu === "members" ? (
               <VillageSuggestionPage
-                s={s}
+                isAdmin={isAdmin}
+                canAnswer={canAnswerSuggestions}
+                canComment={canUseApp}
+                members={activeMembers}
+                memberRanks={memberRanks}
+                nowMs={nowMs}
                 onlineUsers={onlineUsers}
                 authUser={authUser}
                 showProfiles
                 profiles={profiles}
                 setProfiles={setProfiles}
+                onQueueWrite={queueWrite}
               />
             ) : null}
           </div>
@@ -3512,79 +6490,6 @@ export default function App() {
 
       
 
-      {adminModalOpen ? (
-        <div
-          style={{
-            position: "fixed",
-            inset: 0,
-            background: "rgba(0, 0, 0, 0.45)",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            padding: 16,
-            zIndex: 9999,
-          }}
-        >
-          <div
-            style={{
-              width: "100%",
-              maxWidth: 420,
-              borderRadius: 14,
-              border: "1px solid var(--border)",
-              background: "var(--panel-bg)",
-              color: "var(--text)",
-              padding: 16,
-            }}
-          >
-            <div style={{ fontWeight: 900, marginBottom: 10 }}>
-              {"관리자 로그인"}
-            </div>
-            <TextField
-              label="비밀번호"
-              value={adminPass}
-              onChange={(v) => setAdminPass(v)}
-              placeholder="비밀번호 입력"
-              type="password"
-            />
-            {adminError ? (
-              <div style={{ marginTop: 8, fontSize: 12, color: "#c0392b" }}>{adminError}</div>
-            ) : null}
-            <div style={{ marginTop: 12, display: "flex", justifyContent: "flex-end", gap: 8 }}>
-              <button
-                onClick={closeAdminModal}
-                style={{
-                  padding: "8px 10px",
-                  borderRadius: 10,
-                  border: "1px solid var(--input-border)",
-                  background: "var(--panel-bg)",
-                  color: "var(--text)",
-                  cursor: "pointer",
-                  fontSize: 12,
-                  fontWeight: 700,
-                }}
-              >
-                {"취소"}
-              </button>
-              <button
-                onClick={loginAdmin}
-                style={{
-                  padding: "8px 10px",
-                  borderRadius: 10,
-                  border: "1px solid var(--input-border)",
-                  background: "var(--accent)",
-                  color: "var(--accent-text)",
-                  cursor: "pointer",
-                  fontSize: 12,
-                  fontWeight: 900,
-                }}
-              >
-                {"로그인"}
-              </button>
-            </div>
-          </div>
-        </div>
-      ) : null}
-
       {introOpen && canUseApp ? (
         <div
           style={{
@@ -3637,6 +6542,24 @@ export default function App() {
           </div>
         </div>
       ) : null}
+      {priceOutliers ? (
+        <PriceOutlierDialog
+          check={priceOutliers}
+          recipes={s.recipes}
+          materials={materials}
+          onConfirm={confirmPriceOutliers}
+          onCancel={() => setPriceOutliers(null)}
+        />
+      ) : null}
+      {priceConflict ? (
+        <PriceConflictDialog
+          conflict={priceConflict}
+          recipes={s.recipes}
+          materials={materials}
+          onResolve={resolvePriceConflict}
+          onCancel={() => setPriceConflict(null)}
+        />
+      ) : null}
     </div>
   );
 }
@@ -0,0 +1,142 @@
+/**
+ * =========
+ * Audit log
+ * =========
+ * Administrative and shared-data writes append an auditLog entry in the same
+ * batch as the change itself:
+ *   { action, by: { uid, name, email }, target: { collection, id }, before, after, at }
+ * `before` / `after` hold only the fields the action touches (null for a
+ * created or deleted document). Entries are never updated or deleted.
+ */
+
+import { toMillis } from "./values";
+
+export const AUDIT_ACTIONS = {
+  "member.approve": "가입 승인",
+  "member.reject": "가입 거절",
+  "member.revoke": "승인 취소",
+  "member.unreject": "거절 취소",
+  "member.suspend": "이용 정지",
+  "member.unsuspend": "정지 해제",
+  "post.delete": "글 삭제",
+  "post.restore": "글 복구",
+  "post.purge": "영구 삭제",
+  "post.expire": "보관 기간 만료 삭제",
+  "post.reply": "답변 저장",
+  "post.status": "상태 변경",
+  "post.triage": "담당/우선순위/라벨 변경",
+  "post.claim": "작성자 연결",
+  "prices.save": "공유 시세 저장",
+  "prices.publish": "시세 제보 반영",
+  "prices.review": "시세 검토",
+  "trash.settings": "휴지통 보관 기간 변경",
+  "rules.save": "채굴 규칙 저장",
+  "materials.save": "재료 목록 저장",
+};
+
+export const AUDIT_COLLECTION_LABELS = {
+  users: "멤버",
+  feedbacks: "문의/피드백",
+  villageSuggestions: "마을 건의함",
+  shared: "공유 데이터",
+  priceReviews: "시세 검토",
+};
+
+// maps only: Timestamps and field value sentinels are kept whole
+function isPlainMap(x) {
+  return x != null && typeof x === "object" && x.constructor === Object;
+}
+
+// Firestore rejects undefined anywhere in a document
+function stripUndefined(x) {
+  if (Array.isArray(x)) return x.map(stripUndefined);
+  if (!isPlainMap(x)) return x;
+  return Object.fromEntries(
+    Object.entries(x)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => [k, stripUndefined(v)])
+  );
+}
+
+// the fields of `doc` named in `keys`, missing ones as null
+export function pickFields(doc, keys) {
+  return Object.fromEntries(keys.map((k) => [k, doc?.[k] ?? null]));
+}
+
+// nested copy of the dot paths of `doc`, e.g. ["prices.diamond.market"]
+export function pickPaths(doc, paths) {
+  const out = {};
+  for (const path of paths) {
+    const parts = path.split(".");
+    let src = doc;
+    for (const p of parts) src = isPlainMap(src) ? src[p] : undefined;
+    let dst = out;
+    parts.slice(0, -1).forEach((p) => {
+      if (!isPlainMap(dst[p])) dst[p] = {};
+      dst = dst[p];
+    });
+    dst[parts[parts.length - 1]] = src ?? null;
+  }
+  return out;
+}
+
+function flatten(obj, prefix = "") {
+  const out = {};
+  if (!isPlainMap(obj)) return out;
+  for (const [k, v] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (isPlainMap(v)) Object.assign(out, flatten(v, path));
+    else out[path] = v;
+  }
+  return out;
+}
+
+export function auditEntry({ action, by, target, before = null, after = null }) {
+  return stripUndefined({
+    action,
+    by,
+    target: { collection: target.collection, id: target.id },
+    before,
+    after,
+  });
+}
+
+export function formatAuditValue(v) {
+  if (v == null || v === "") return "-";
+  // plain numbers are values, not times
+  const ms = typeof v === "number" ? null : toMillis(v);
+  if (ms != null) return new Date(ms).toLocaleString("ko-KR");
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+// [{ field, old, new }] for every field that differs between before and after
+export function auditChanges(entry) {
+  const a = flatten(entry?.before);
+  const b = flatten(entry?.after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return fields
+    .map((field) => ({ field, old: a[field] ?? null, new: b[field] ?? null }))
+    .filter((c) => formatAuditValue(c.old) !== formatAuditValue(c.new));
+}
+
+/**
+ * - action: action key or "all"
+ * - text: matched against actor name/email, target id and changed field names
+ */
+export function filterAuditEntries(entries, { action = "all", text = "" }) {
+  const q = text.trim().toLowerCase();
+  return (entries || []).filter((e) => {
+    if (action !== "all" && e.action !== action) return false;
+    if (!q) return true;
+    const haystack = [
+      e.by?.name,
+      e.by?.email,
+      e.target?.collection,
+      e.target?.id,
+      ...Object.keys(flatten(e.before)),
+      ...Object.keys(flatten(e.after)),
+    ];
+    return haystack.some((v) => String(v || "").toLowerCase().includes(q));
+  });
+}
@@ -0,0 +1,341 @@
+/**
+ * ==================
+ * Calculation engine
+ * ==================
+ * Pure functions only (no React, no Firestore) so pages and tools can share them.
+ * All inputs are numbers; string -> number conversion stays in the UI layer.
+ */
+
+export function clamp01(x) {
+  if (!Number.isFinite(x)) return 0;
+  return Math.max(0, Math.min(1, x));
+}
+
+export function netSell(gross, feeRate) {
+  return gross * (1 - feeRate);
+}
+
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * =====================
+ * Domain rules (skills)
+ * =====================
+ */
+
+// SAGE pick upgrade shards per level
+export const SAGE_SHARDS_BY_ENH = {
+  5: 4,
+  6: 4,
+  7: 4,
+  8: 5,
+  9: 5,
+  10: 5,
+  11: 6,
+  12: 6,
+  13: 7,
+  14: 7,
+  15: 12,
+};
+
+// gem expert rule by level: level -> { prob, count }
+export const GEM_EXPERT_BY_LEVEL = {
+  1: { prob: 0.03, count: 1 },
+  2: { prob: 0.07, count: 1 },
+  3: { prob: 0.10, count: 2 },
+};
+
+// flaming pick rule by level: level -> { prob, ingots }
+// level 1~9: 1~9% / level 10: 15%
+export const FLAMING_PICK_BY_LEVEL = {
+  ...Object.fromEntries(Array.from({ length: 9 }, (_, i) => [i + 1, { prob: (i + 1) / 100, ingots: 1 }])),
+  10: { prob: 0.15, ingots: 1 },
+};
+
+// built-in rule tables, used until (or unless) shared/rules provides a valid version
+export const DEFAULT_RULES = {
+  version: 0,
+  sageShardsByEnh: SAGE_SHARDS_BY_ENH,
+  gemExpert: GEM_EXPERT_BY_LEVEL,
+  flamingPick: FLAMING_PICK_BY_LEVEL,
+};
+
+// sorted numeric levels of a rule table
+export function ruleLevels(table) {
+  return Object.keys(table || {})
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+export function gemExpertRule(level, rules = DEFAULT_RULES) {
+  return rules.gemExpert?.[level] ?? { prob: 0, count: 0 };
+}
+
+// levels above the table use the highest defined level
+export function flamingPickRule(level, rules = DEFAULT_RULES) {
+  if (!Number.isFinite(level) || level <= 0) return { prob: 0, ingots: 1 };
+  const table = rules.flamingPick || {};
+  if (table[level]) return table[level];
+  const levels = ruleLevels(table).filter((lv) => lv <= level);
+  return levels.length ? table[levels[levels.length - 1]] : { prob: 0, ingots: 1 };
+}
+
+// profile levels -> per-dig skill effects
+export function skillEffects({ sageEnhLevel, gemExpertLevel, flamingPickLevel }, rules = DEFAULT_RULES) {
+  return {
+    shardsPerDig: rules.sageShardsByEnh?.[sageEnhLevel] ?? 0,
+    gem: gemExpertRule(gemExpertLevel, rules),
+    flame: flamingPickRule(flamingPickLevel, rules),
+  };
+}
+
+/**
+ * ======================
+ * Expected value function
+ * ======================
+ * - when the flaming pick triggers, the dig yields its level's ingots instead of shards
+ * - gem drops are independent of the flaming pick
+ */
+export function miningEVBreakdown({
+  staminaPerDig,
+  shardsPerDig,
+  shardsPerIngot,
+  ingotGrossPrice,
+  gemDropProb,
+  gemDropCount,
+  gemGrossPrice,
+  flamingIngotProb,
+  flamingIngotCount = 1,
+  sellFeeRate,
+}) {
+  const spd = Math.max(1, staminaPerDig);
+  const spi = Math.max(1, shardsPerIngot);
+
+  const p = clamp01(flamingIngotProb);
+
+  const ingotNet = netSell(Math.max(0, ingotGrossPrice), sellFeeRate);
+  const gemNet = netSell(Math.max(0, gemGrossPrice), sellFeeRate);
+
+  // shards only drop on digs where the flaming pick did not trigger
+  const ingotFromShardsPerDig = ((1 - p) * Math.max(0, shardsPerDig)) / spi;
+  const ingotFromShardsValuePerDig = ingotFromShardsPerDig * ingotNet;
+
+  const ingotFromFlamePerDig = p * Math.max(0, flamingIngotCount);
+  const ingotFromFlameValuePerDig = ingotFromFlamePerDig * ingotNet;
+
+  const gemValuePerDig = clamp01(gemDropProb) * Math.max(0, gemDropCount) * gemNet;
+
+  const totalPerDig = ingotFromShardsValuePerDig + ingotFromFlameValuePerDig + gemValuePerDig;
+  const totalPerStamina = totalPerDig / spd;
+
+  return {
+    pFlame: p,
+    staminaPerDig: spd,
+    shardsPerIngot: spi,
+    ingotNet,
+    gemNet,
+    ingotFromShardsPerDig,
+    ingotFromShardsValuePerDig,
+    ingotFromFlamePerDig,
+    ingotFromFlameValuePerDig,
+    gemValuePerDig,
+    totalPerDig,
+    totalPerStamina,
+  };
+}
+
+/**
+ * ======================
+ * Crafting profit helpers
+ * ======================
+ * - materials only carry one market price
+ * - buying costs the market price (no fee)
+ * - "opportunity" costs nothing here: the foregone sale is already the
+ *   baseline in sellIndividuallyNet (explainCosts only reports it)
+ */
+export function unitCostByMode({ mode, marketPrice }) {
+  if (mode === "buy") return Math.max(0, marketPrice);
+  return 0;
+}
+
+export function craftProfit({ productGrossSellPrice, feeRate, costs }) {
+  const revenue = netSell(Math.max(0, productGrossSellPrice), feeRate);
+  const totalCost = costs.reduce((acc, c) => acc + (c.unitCost || 0) * (c.qty || 0), 0);
+  return { revenue, totalCost, profit: revenue - totalCost };
+}
+
+/**
+ * Multi-step crafting: an ingredient key may be another recipe's id, in which
+ * case it is resolved recursively.
+ * - recipes: { recipeId: { ingredientKey: qty } }
+ * - productPrices: market price of each recipe output
+ * - productModes: per intermediate, "auto" (cheapest of craft/buy), "craft", "buy", "opportunity" or "owned"
+ * A recipe that (indirectly) needs itself can't be crafted; it falls back to buying.
+ */
+export function resolveIngredient({
+  key,
+  qty,
+  marketPrices,
+  modes,
+  feeRate,
+  recipes = {},
+  productPrices = {},
+  productModes = {},
+  path = [],
+}) {
+  const recipe = recipes[key];
+  if (!recipe) {
+    const mode = modes[key] || "owned";
+    const market = marketPrices[key] ?? 0;
+    const unitCost = unitCostByMode({ mode, marketPrice: market });
+    return { key, qty, kind: "material", mode, market, unitCost, cost: unitCost * qty };
+  }
+
+  const market = productPrices[key] ?? 0;
+  const cyclic = path.includes(key);
+  const children = cyclic
+    ? []
+    : Object.entries(recipe).map(([k, q]) =>
+        resolveIngredient({
+          key: k,
+          qty: qty * (q || 0),
+          marketPrices,
+          modes,
+          feeRate,
+          recipes,
+          productPrices,
+          productModes,
+          path: [...path, key],
+        })
+      );
+  const options = {
+    craft: cyclic ? null : sum(children.map((c) => c.cost)),
+    buy: qty * Math.max(0, market),
+    opportunity: 0,
+    owned: 0,
+  };
+
+  let mode = productModes[key] || "auto";
+  if (mode === "auto") {
+    const candidates = [];
+    if (options.craft != null) candidates.push(["craft", options.craft]);
+    if (market > 0) candidates.push(["buy", options.buy]);
+    mode = candidates.length ? candidates.reduce((a, b) => (b[1] < a[1] ? b : a))[0] : "craft";
+  }
+  if (mode === "craft" && options.craft == null) mode = "buy";
+  const cost = options[mode];
+  return {
+    key,
+    qty,
+    kind: "product",
+    mode,
+    market,
+    unitCost: qty > 0 ? cost / qty : 0,
+    cost,
+    cyclic,
+    options,
+    children: mode === "craft" ? children : [],
+  };
+}
+
+// leaves of the chosen path (materials plus intermediates that are bought/owned/sold)
+export function flattenCraftTree(nodes) {
+  const out = [];
+  for (const n of nodes || []) {
+    if (n.kind === "product" && n.mode === "craft") out.push(...flattenCraftTree(n.children));
+    else out.push(n);
+  }
+  return out;
+}
+
+// net revenue of selling the non-bought ingredients as they are (baseline)
+export function sellIndividuallyNet({ recipe, marketPrices, modes, feeRate }) {
+  return sum(
+    Object.entries(recipe || {}).map(([k, qty]) => {
+      const mode = modes[k] || "owned";
+      if (mode === "buy") return 0;
+      return (qty || 0) * netSell(marketPrices[k] ?? 0, feeRate);
+    })
+  );
+}
+
+/**
+ * Craft vs. sell-as-is for one recipe ({ ingredientKey: qty }).
+ * Pass recipes / productPrices / productModes (and the recipe's own id) to
+ * resolve intermediate products; `tree` holds the resolved top-level ingredients.
+ */
+export function compareRecipe({
+  recipe,
+  recipeId,
+  productGrossSellPrice,
+  marketPrices,
+  modes,
+  feeRate,
+  recipes,
+  productPrices,
+  productModes,
+}) {
+  const tree = Object.entries(recipe || {}).map(([k, qty]) =>
+    resolveIngredient({
+      key: k,
+      qty: qty || 0,
+      marketPrices,
+      modes,
+      feeRate,
+      recipes,
+      productPrices,
+      productModes,
+      path: recipeId ? [recipeId] : [],
+    })
+  );
+  const costs = flattenCraftTree(tree);
+  const buyTotals = {};
+  for (const c of costs) {
+    if (c.mode === "buy") buyTotals[c.key] = (buyTotals[c.key] || 0) + (c.qty || 0);
+  }
+  const buyList = Object.entries(buyTotals).map(([key, qty]) => ({ key, qty }));
+  const profit = craftProfit({ productGrossSellPrice, feeRate, costs });
+  const sellIndivNet = sellIndividuallyNet({
+    recipe,
+    marketPrices: { ...marketPrices, ...Object.fromEntries(tree.filter((n) => n.kind === "product").map((n) => [n.key, n.market])) },
+    modes: Object.fromEntries(tree.map((n) => [n.key, n.mode])),
+    feeRate,
+  });
+  return {
+    ...profit,
+    costs,
+    tree,
+    buyList,
+    sellIndivNet,
+    deltaRevenueVsIndiv: Math.round(profit.profit) - Math.round(sellIndivNet),
+  };
+}
+
+// split a recipe's cost into cash spent, foregone sales and owned quantity
+export function explainCosts(costs, feeRate) {
+  const list = costs || [];
+  const buySpend = sum(
+    list.filter((c) => c.mode === "buy").map((c) => (c.qty || 0) * Math.max(0, c.market || 0))
+  );
+  const foregone = sum(
+    list
+      .filter((c) => c.mode === "opportunity")
+      .map((c) => (c.qty || 0) * netSell(Math.max(0, c.market || 0), feeRate))
+  );
+  const ownedQty = sum(list.filter((c) => c.mode === "owned").map((c) => c.qty || 0));
+  return { buySpend, foregone, ownedQty };
+}
+
+/**
+ * ============
+ * Potion value
+ * ============
+ */
+export function potionProfit({ price, stamina, totalPerStamina }) {
+  const perStamina = price > 0 ? price / stamina : 0;
+  const netProfit = totalPerStamina * stamina - price;
+  return { perStamina, netProfit };
+}
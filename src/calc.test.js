@@ -0,0 +1,207 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_RULES,
+  FLAMING_PICK_BY_LEVEL,
+  GEM_EXPERT_BY_LEVEL,
+  SAGE_SHARDS_BY_ENH,
+  compareRecipe,
+  craftProfit,
+  explainCosts,
+  miningEVBreakdown,
+  skillEffects,
+  unitCostByMode,
+} from "./calc";
+
+// 16 shards per ingot at 1600 each: one shard is worth 100
+const BASE = {
+  staminaPerDig: 10,
+  shardsPerIngot: 16,
+  ingotGrossPrice: 1600,
+  gemDropProb: 0,
+  gemDropCount: 0,
+  gemGrossPrice: 10000,
+  flamingIngotProb: 0,
+  sellFeeRate: 0,
+};
+
+function evForLevels(levels, overrides = {}) {
+  const fx = skillEffects({ sageEnhLevel: 0, gemExpertLevel: 0, flamingPickLevel: 0, ...levels }, DEFAULT_RULES);
+  return miningEVBreakdown({
+    ...BASE,
+    shardsPerDig: fx.shardsPerDig,
+    gemDropProb: fx.gem.prob,
+    gemDropCount: fx.gem.count,
+    flamingIngotProb: fx.flame.prob,
+    ...overrides,
+  });
+}
+
+describe("miningEVBreakdown", () => {
+  const sagePerDig = { 5: 400, 6: 400, 7: 400, 8: 500, 9: 500, 10: 500, 11: 600, 12: 600, 13: 700, 14: 700, 15: 1200 };
+
+  it("covers every sage enhancement level", () => {
+    expect(Object.keys(sagePerDig)).toEqual(Object.keys(SAGE_SHARDS_BY_ENH));
+  });
+
+  it.each(Object.entries(sagePerDig))("sage +%s", (enh, perDig) => {
+    const ev = evForLevels({ sageEnhLevel: Number(enh) });
+    expect(ev.totalPerDig).toBeCloseTo(perDig);
+    expect(ev.totalPerStamina).toBeCloseTo(perDig / 10);
+    expect(ev.ingotFromFlamePerDig).toBe(0);
+  });
+
+  const gemPerDig = { 1: 300, 2: 700, 3: 2000 };
+
+  it("covers every gem expert level", () => {
+    expect(Object.keys(gemPerDig)).toEqual(Object.keys(GEM_EXPERT_BY_LEVEL));
+  });
+
+  it.each(Object.entries(gemPerDig))("gem expert %s", (level, perDig) => {
+    const ev = evForLevels({ gemExpertLevel: Number(level) });
+    expect(ev.gemValuePerDig).toBeCloseTo(perDig);
+    expect(ev.totalPerDig).toBeCloseTo(perDig);
+  });
+
+  // 4 shards per dig: (1 - p) * 400 from shards + p * 1600 from the flame
+  const flamePerDig = { 1: 412, 2: 424, 3: 436, 4: 448, 5: 460, 6: 472, 7: 484, 8: 496, 9: 508, 10: 580 };
+
+  it("covers every flaming pick level", () => {
+    expect(Object.keys(flamePerDig)).toEqual(Object.keys(FLAMING_PICK_BY_LEVEL));
+  });
+
+  it.each(Object.entries(flamePerDig))("flaming pick %s", (level, perDig) => {
+    const ev = evForLevels({ sageEnhLevel: 5, flamingPickLevel: Number(level) });
+    expect(ev.pFlame).toBeCloseTo(FLAMING_PICK_BY_LEVEL[level].prob);
+    expect(ev.totalPerDig).toBeCloseTo(perDig);
+  });
+
+  it("applies the sell fee to ingots and gems", () => {
+    const ev = evForLevels({ sageEnhLevel: 15, gemExpertLevel: 3 }, { sellFeeRate: 0.1 });
+    expect(ev.ingotNet).toBeCloseTo(1440);
+    expect(ev.gemNet).toBeCloseTo(9000);
+    expect(ev.totalPerDig).toBeCloseTo(1080 + 1800);
+  });
+
+  it("levels above the flaming pick table use the highest level", () => {
+    expect(evForLevels({ sageEnhLevel: 5, flamingPickLevel: 12 }).totalPerDig).toBeCloseTo(580);
+  });
+
+  it("a flaming pick level can yield several ingots", () => {
+    const rules = { ...DEFAULT_RULES, flamingPick: { 1: { prob: 0.1, ingots: 3 } } };
+    const fx = skillEffects({ sageEnhLevel: 5, gemExpertLevel: 0, flamingPickLevel: 1 }, rules);
+    const ev = miningEVBreakdown({
+      ...BASE,
+      shardsPerDig: fx.shardsPerDig,
+      flamingIngotProb: fx.flame.prob,
+      flamingIngotCount: fx.flame.ingots,
+    });
+    expect(ev.ingotFromFlamePerDig).toBeCloseTo(0.3);
+    // 0.9 * 400 from shards + 0.3 * 1600 from the flame
+    expect(ev.totalPerDig).toBeCloseTo(840);
+  });
+});
+
+describe("unitCostByMode", () => {
+  it("charges only bought materials", () => {
+    expect(unitCostByMode({ mode: "buy", marketPrice: 3000 })).toBe(3000);
+    expect(unitCostByMode({ mode: "buy", marketPrice: -5 })).toBe(0);
+    expect(unitCostByMode({ mode: "owned", marketPrice: 3000 })).toBe(0);
+    expect(unitCostByMode({ mode: "opportunity", marketPrice: 3000 })).toBe(0);
+  });
+});
+
+describe("craftProfit", () => {
+  it("nets the fee off the product and sums the costs", () => {
+    const r = craftProfit({
+      productGrossSellPrice: 10000,
+      feeRate: 0.1,
+      costs: [
+        { unitCost: 1000, qty: 2 },
+        { unitCost: 0, qty: 5 },
+      ],
+    });
+    expect(r).toEqual({ revenue: 9000, totalCost: 2000, profit: 7000 });
+  });
+});
+
+describe("compareRecipe", () => {
+  const recipe = { diamond: 2 };
+  const marketPrices = { diamond: 3000 };
+  const compare = (mode, feeRate = 0) =>
+    compareRecipe({ recipe, productGrossSellPrice: 10000, marketPrices, modes: { diamond: mode }, feeRate });
+
+  it("owned materials: crafting beats selling them", () => {
+    const r = compare("owned");
+    expect(r.profit).toBe(10000);
+    expect(r.sellIndivNet).toBe(6000);
+    expect(r.deltaRevenueVsIndiv).toBe(4000);
+  });
+
+  it("opportunity counts the foregone sale once", () => {
+    const r = compare("opportunity");
+    expect(r.totalCost).toBe(0);
+    expect(r.deltaRevenueVsIndiv).toBe(4000);
+    expect(explainCosts(r.costs, 0).foregone).toBe(6000);
+  });
+
+  it("bought materials are a cost, not a baseline sale", () => {
+    const r = compare("buy");
+    expect(r.totalCost).toBe(6000);
+    expect(r.sellIndivNet).toBe(0);
+    expect(r.deltaRevenueVsIndiv).toBe(4000);
+    expect(r.buyList).toEqual([{ key: "diamond", qty: 2 }]);
+  });
+
+  it("applies the fee to both sides", () => {
+    const r = compare("owned", 0.1);
+    expect(r.deltaRevenueVsIndiv).toBe(9000 - 5400);
+  });
+
+  describe("intermediates", () => {
+    const recipes = { block: { diamond: 3 }, crown: { block: 1, gold: 2 } };
+    const base = {
+      recipe: recipes.crown,
+      recipeId: "crown",
+      productGrossSellPrice: 30000,
+      marketPrices: { diamond: 3000, gold: 1000 },
+      modes: { diamond: "buy", gold: "owned" },
+      feeRate: 0,
+      recipes,
+      productPrices: { block: 8000 },
+    };
+
+    it("auto picks the cheaper of crafting and buying", () => {
+      const r = compareRecipe({ ...base, productModes: {} });
+      const block = r.tree.find((n) => n.key === "block");
+      expect(block.mode).toBe("buy");
+      expect(block.options).toMatchObject({ craft: 9000, buy: 8000 });
+      expect(r.totalCost).toBe(8000);
+    });
+
+    it("crafting flattens into the leaf materials", () => {
+      const r = compareRecipe({ ...base, productModes: { block: "craft" } });
+      expect(r.totalCost).toBe(9000);
+      expect(r.buyList).toEqual([{ key: "diamond", qty: 3 }]);
+    });
+
+    it("an intermediate in opportunity mode counts its foregone sale once", () => {
+      const r = compareRecipe({ ...base, productModes: { block: "opportunity" } });
+      expect(r.totalCost).toBe(0);
+      // baseline: the block (8000) and the gold (2000) sold as they are
+      expect(r.sellIndivNet).toBe(10000);
+      expect(r.deltaRevenueVsIndiv).toBe(20000);
+      expect(explainCosts(r.costs, 0).foregone).toBe(8000);
+    });
+
+    it("a cyclic recipe falls back to buying", () => {
+      const r = compareRecipe({
+        ...base,
+        recipes: { ...recipes, block: { crown: 1 } },
+        productModes: { block: "craft" },
+      });
+      const inner = r.tree.find((n) => n.key === "block").children.find((n) => n.key === "crown");
+      expect(inner.cyclic).toBe(true);
+      expect(inner.mode).toBe("buy");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * ================
+ * Material catalog
+ * ================
+ * Every material the calculators know about. Admins publish the full list to
+ * shared/materials; anything that fails validation is ignored and
+ * DEFAULT_MATERIALS are used instead. Built-in ids are always kept because
+ * recipes and saved prices refer to them.
+ *
+ * Shape:
+ *   { items: [{ id: "diamond", label: "다이아몬드", unit: "block", stackSize: 64, defaultMode: "buy" }, ...] }
+ */
+
+import { isPlainObject } from "./values";
+
+export const MATERIAL_UNITS = {
+  item: "개",
+  block: "블럭",
+};
+
+export const MATERIAL_MODES = ["owned", "buy", "opportunity"];
+
+export const DEFAULT_MATERIALS = [
+  { id: "ingot", label: "주괴", unit: "item", stackSize: 64, defaultMode: "opportunity" },
+  { id: "diamond", label: "다이아몬드", unit: "block", stackSize: 64, defaultMode: "buy" },
+  { id: "gold", label: "금", unit: "block", stackSize: 64, defaultMode: "owned" },
+  { id: "iron", label: "철", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "lapis", label: "청금석", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "amethyst", label: "자수정", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "copper", label: "구리", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "redstone", label: "레드스톤", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "stone", label: "조약돌", unit: "item", stackSize: 64, defaultMode: "owned" },
+  { id: "deepCobble", label: "심층 조약돌", unit: "item", stackSize: 64, defaultMode: "owned" },
+];
+
+// ids become Firestore field names (prices.<id>.market), so no dots or spaces
+function isMaterialId(id) {
+  return typeof id === "string" && /^[A-Za-z][A-Za-z0-9_]*$/.test(id);
+}
+
+/**
+ * Checks the list shape. Returns { materials, errors }; `materials` is null when invalid.
+ */
+export function validateMaterials(raw) {
+  const items = raw?.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { materials: null, errors: ["재료 목록이 비어 있거나 형식이 잘못되었습니다."] };
+  }
+  const errors = [];
+  const seen = new Set();
+  const materials = [];
+  items.forEach((m, idx) => {
+    const name = `${idx + 1}번째 재료`;
+    if (!isPlainObject(m)) {
+      errors.push(`${name}: 형식이 잘못되었습니다.`);
+      return;
+    }
+    const id = typeof m.id === "string" ? m.id.trim() : m.id;
+    const label = String(m.label ?? "").trim();
+    if (!isMaterialId(id)) errors.push(`${name}: ID는 영문으로 시작하고 영문/숫자/_만 쓸 수 있습니다.`);
+    else if (seen.has(id)) errors.push(`${name}: ID "${id}"가 중복되었습니다.`);
+    if (!label) errors.push(`${name}: 이름이 필요합니다.`);
+    if (!(m.unit in MATERIAL_UNITS)) errors.push(`${name}: 단위는 item 또는 block이어야 합니다.`);
+    if (!Number.isInteger(m.stackSize) || m.stackSize < 1) errors.push(`${name}: 묶음 크기는 1 이상의 정수여야 합니다.`);
+    if (!MATERIAL_MODES.includes(m.defaultMode)) errors.push(`${name}: 기본 수급 방식이 잘못되었습니다.`);
+    seen.add(id);
+    materials.push({ id, label, unit: m.unit, stackSize: m.stackSize, defaultMode: m.defaultMode });
+  });
+  if (errors.length) return { materials: null, errors };
+  return { materials, errors };
+}
+
+// active catalog from a shared/materials snapshot; built-ins missing from it are appended
+export function resolveMaterials(raw) {
+  if (!raw) return DEFAULT_MATERIALS;
+  const { materials } = validateMaterials(raw);
+  if (!materials) return DEFAULT_MATERIALS;
+  const ids = new Set(materials.map((m) => m.id));
+  return [...materials, ...DEFAULT_MATERIALS.filter((m) => !ids.has(m.id))];
+}
+
+// display name, e.g. "다이아몬드 블럭"
+export function materialName(m) {
+  if (!m) return "";
+  return m.unit === "block" ? `${m.label} ${MATERIAL_UNITS.block}` : m.label;
+}
+
+// id -> display name
+export function materialNames(materials) {
+  return Object.fromEntries((materials || []).map((m) => [m.id, materialName(m)]));
+}
+
+// saved modes with catalog defaults filled in for materials the user never touched
+export function materialModes(materials, modes) {
+  return {
+    ...Object.fromEntries((materials || []).map((m) => [m.id, m.defaultMode])),
+    ...(modes || {}),
+  };
+}
+
+/**
+ * Admin form <-> catalog. Drafts keep strings like every other input.
+ */
+export function materialsToDraft(materials) {
+  return (materials || []).map((m) => ({ ...m, stackSize: String(m.stackSize) }));
+}
+
+export function draftToMaterials(draft) {
+  const items = (draft || []).map((m) => {
+    const stack = String(m.stackSize ?? "").trim();
+    return { ...m, id: String(m.id ?? "").trim(), stackSize: stack ? Number(stack) : NaN };
+  });
+  const result = validateMaterials({ items });
+  if (!result.materials) return result;
+  const ids = new Set(result.materials.map((m) => m.id));
+  const missing = DEFAULT_MATERIALS.filter((m) => !ids.has(m.id)).map((m) => `기본 재료 "${m.label}"은(는) 삭제할 수 없습니다.`);
+  return missing.length ? { materials: null, errors: missing } : result;
+}
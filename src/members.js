@@ -0,0 +1,103 @@
+/**
+ * =================
+ * Member management
+ * =================
+ * users/{uid}.status is one of pending | approved | rejected | suspended.
+ * A suspension carries suspendedUntil; once it has passed the member counts
+ * as approved again without anyone having to lift it.
+ *
+ * users/{uid} is private to its owner and 부이장 and up. Every approved member
+ * reads the public part from members/{uid} instead:
+ *   { name, nickname, rank, status, suspendedUntil }
+ * firestore.rules only accepts a copy that matches the users document.
+ */
+
+import { toMillis } from "./values";
+
+export const MEMBER_STATUS_LABELS = {
+  pending: "승인 대기",
+  approved: "승인됨",
+  rejected: "거절됨",
+  suspended: "이용 정지",
+};
+
+export function effectiveStatus(user, nowMs) {
+  const status = user?.status || "pending";
+  if (status !== "suspended") return status;
+  const until = toMillis(user.suspendedUntil);
+  return until != null && until <= nowMs ? "approved" : "suspended";
+}
+
+/**
+ * Status changes an approver can make. `from` lists the effective statuses the
+ * action applies to; `confirm` is the dialog text.
+ */
+export const MEMBER_ACTIONS = {
+  approve: { label: "승인", from: ["pending"], confirm: "선택한 멤버를 승인합니다." },
+  reject: { label: "거절", from: ["pending"], confirm: "선택한 멤버의 가입을 거절합니다." },
+  revoke: { label: "승인 취소", from: ["approved"], confirm: "선택한 멤버의 승인을 취소하고 승인 대기로 되돌립니다." },
+  unreject: { label: "거절 취소", from: ["rejected"], confirm: "선택한 멤버의 거절을 취소하고 승인 대기로 되돌립니다." },
+  suspend: { label: "이용 정지", from: ["approved"], confirm: "선택한 멤버를 정해진 날짜까지 이용 정지합니다." },
+  unsuspend: { label: "정지 해제", from: ["suspended"], confirm: "선택한 멤버의 이용 정지를 해제합니다." },
+};
+
+export function canApplyMemberAction(action, user, nowMs) {
+  return !!MEMBER_ACTIONS[action]?.from.includes(effectiveStatus(user, nowMs));
+}
+
+/**
+ * Fields to write for `action`. `at` is the write timestamp (serverTimestamp()
+ * in the app), `by` who did it, `until` the suspension end (Date).
+ */
+export function memberActionPatch(action, { at, by, until }) {
+  switch (action) {
+    case "approve":
+      return { status: "approved", approvedAt: at, approvedBy: by };
+    case "reject":
+      return { status: "rejected", rejectedAt: at, rejectedBy: by };
+    case "revoke":
+      return { status: "pending", revokedAt: at, revokedBy: by };
+    case "unreject":
+      return { status: "pending", rejectedAt: null, rejectedBy: null };
+    case "suspend":
+      return { status: "suspended", suspendedAt: at, suspendedBy: by, suspendedUntil: until };
+    case "unsuspend":
+      return { status: "approved", suspendedUntil: null };
+    default:
+      return null;
+  }
+}
+
+// a Firestore batch takes at most 500 writes and each member needs three
+// (users, members and the auditLog entry)
+export const MEMBER_BATCH_SIZE = 166;
+
+// search by name / nickname / email, optionally narrowed to one effective status
+export function filterMembers(users, { text = "", status = "all" }, nowMs) {
+  const q = text.trim().toLowerCase();
+  return (users || []).filter((u) => {
+    if (status !== "all" && effectiveStatus(u, nowMs) !== status) return false;
+    if (!q) return true;
+    return [u.name, u.nickname, u.email].some((v) => String(v || "").toLowerCase().includes(q));
+  });
+}
+
+export const MEMBER_PUBLIC_FIELDS = ["name", "nickname", "rank", "status", "suspendedUntil"];
+
+// members/{uid} for a users/{uid} document
+export function memberProjection(user) {
+  return {
+    name: user?.name || "",
+    nickname: user?.nickname || "",
+    rank: user?.rank || "",
+    status: user?.status || "pending",
+    suspendedUntil: user?.suspendedUntil ?? null,
+  };
+}
+
+export function sameProjection(a, b) {
+  if (!a || !b) return a === b;
+  return MEMBER_PUBLIC_FIELDS.every((f) =>
+    f === "suspendedUntil" ? toMillis(a[f]) === toMillis(b[f]) : (a[f] ?? "") === (b[f] ?? "")
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * ======
+ * Outbox
+ * ======
+ * Writes that fail for transient reasons (timeouts, quota) are queued here
+ * and retried in order with exponential backoff. The queue survives reloads
+ * in localStorage:
+ *   [{ id, kind, key, uid, payload, createdAt, attempts, nextAttemptAt, status, lastError }]
+ * `kind` picks the writer (see OUTBOX_KINDS in App); `key` names the document
+ * (and part of it) the op writes, so a newer op for the same key replaces the
+ * queued one. `payload` must be plain JSON: writers add serverTimestamp()
+ * themselves. Ops that hit a permanent error or outlive OUTBOX_MAX_AGE_MS stop
+ * retrying (status "failed") until the user retries or discards them.
+ */
+
+export const OUTBOX_STORAGE_KEY = "miner_outbox_v1";
+export const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const BACKOFF_BASE_MS = 15 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+// retrying these cannot help
+const PERMANENT_ERRORS = ["permission-denied", "invalid-argument", "not-found", "failed-precondition", "unsupported"];
+
+export const OUTBOX_ERRORS = {
+  timeout: "응답 지연",
+  "resource-exhausted": "요청 한도 초과",
+  unavailable: "오프라인",
+  "permission-denied": "권한 없음",
+  "invalid-argument": "잘못된 값",
+  "not-found": "대상 없음",
+  "failed-precondition": "저장 조건 불일치",
+  expired: "보관 기간 초과",
+  unsupported: "지원하지 않는 작업",
+};
+
+function newId() {
+  return `o_${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+}
+
+export function createOp({ kind, key, uid, payload }, nowMs) {
+  return {
+    id: newId(),
+    kind,
+    key,
+    uid,
+    payload,
+    createdAt: nowMs,
+    attempts: 0,
+    nextAttemptAt: nowMs,
+    status: "queued",
+    lastError: null,
+  };
+}
+
+// appends `op`, dropping any queued op for the same uid and key it supersedes
+export function enqueueOp(ops, op) {
+  return [...(ops || []).filter((o) => !(o.uid === op.uid && o.key === op.key)), op];
+}
+
+// queued ops for `uid` whose backoff has passed, oldest first
+export function dueOps(ops, uid, nowMs) {
+  return (ops || []).filter((o) => o.uid === uid && o.status === "queued" && o.nextAttemptAt <= nowMs);
+}
+
+export function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+export function errorCode(err) {
+  if (err?.message === "timeout") return "timeout";
+  return err?.code || "unknown";
+}
+
+export function removeOp(ops, id) {
+  return (ops || []).filter((o) => o.id !== id);
+}
+
+export function failOp(ops, id, code, nowMs) {
+  return (ops || []).map((o) => {
+    if (o.id !== id) return o;
+    const attempts = o.attempts + 1;
+    const expired = nowMs - o.createdAt > OUTBOX_MAX_AGE_MS;
+    if (PERMANENT_ERRORS.includes(code) || expired) {
+      return { ...o, attempts, status: "failed", lastError: expired ? "expired" : code };
+    }
+    return { ...o, attempts, nextAttemptAt: nowMs + backoffMs(attempts), lastError: code };
+  });
+}
+
+// back in the queue right away; the age limit starts over
+export function retryOp(ops, id, nowMs) {
+  return (ops || []).map((o) =>
+    o.id === id ? { ...o, status: "queued", createdAt: nowMs, nextAttemptAt: nowMs, lastError: null } : o
+  );
+}
+
+// queued ops past the age limit stop retrying
+export function expireOps(ops, nowMs) {
+  if (!(ops || []).some((o) => o.status === "queued" && nowMs - o.createdAt > OUTBOX_MAX_AGE_MS)) return ops;
+  return ops.map((o) =>
+    o.status === "queued" && nowMs - o.createdAt > OUTBOX_MAX_AGE_MS ? { ...o, status: "failed", lastError: "expired" } : o
+  );
+}
+
+// one line of status for the sync panel
+export function describeOp(op, nowMs) {
+  const reason = OUTBOX_ERRORS[op.lastError] || op.lastError;
+  if (op.status === "failed") return `실패: ${reason}`;
+  if (!op.attempts) return "대기 중";
+  const waitMin = Math.ceil((op.nextAttemptAt - nowMs) / 60000);
+  return `재시도 ${op.attempts}회 · ${reason}${waitMin > 0 ? ` · 약 ${waitMin}분 후 재시도` : ""}`;
+}
+
+export function loadOutbox() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((o) => o && o.id && o.kind) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveOutbox(ops) {
+  try {
+    localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(ops || []));
+  } catch {
+    // ignore localStorage failures
+  }
+}
+
+// entries from the per-key pending storage the outbox replaced: [{ key, payload, ts }]
+export function readLegacyPending(matches) {
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (!key || !matches(key)) continue;
+      try {
+        const parsed = JSON.parse(localStorage.getItem(key));
+        if (parsed?.payload) out.push({ key, payload: parsed.payload, ts: parsed.ts || 0 });
+      } catch {
+        // unreadable entries are skipped
+      }
+    }
+  } catch {
+    // ignore localStorage failures
+  }
+  return out;
+}
+
+export function clearLegacyPending(keys) {
+  try {
+    keys.forEach((key) => localStorage.removeItem(key));
+  } catch {
+    // ignore localStorage failures
+  }
+}
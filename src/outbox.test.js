@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import {
+  OUTBOX_MAX_AGE_MS,
+  backoffMs,
+  createOp,
+  dueOps,
+  enqueueOp,
+  expireOps,
+  failOp,
+  retryOp,
+} from "./outbox";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// the outbox never reads the time itself: every call gets `now` from here
+function clock(start = Date.UTC(2026, 0, 1)) {
+  let now = start;
+  return {
+    now: () => now,
+    tick: (ms) => {
+      now += ms;
+    },
+  };
+}
+
+function op(time, patch = {}) {
+  return createOp({ kind: "sharedPrices", key: "prices:material", uid: "alice", payload: {}, ...patch }, time.now());
+}
+
+describe("backoff", () => {
+  it("doubles from 15 seconds up to 30 minutes", () => {
+    expect([1, 2, 3, 4, 5, 6, 7, 8, 9].map(backoffMs)).toEqual([
+      15 * SECOND,
+      30 * SECOND,
+      MINUTE,
+      2 * MINUTE,
+      4 * MINUTE,
+      8 * MINUTE,
+      16 * MINUTE,
+      30 * MINUTE,
+      30 * MINUTE,
+    ]);
+  });
+
+  it("holds a failed op back until its next attempt is due", () => {
+    const time = clock();
+    let ops = [op(time)];
+    const { id } = ops[0];
+    expect(dueOps(ops, "alice", time.now())).toHaveLength(1);
+
+    for (const wait of [15 * SECOND, 30 * SECOND, MINUTE]) {
+      ops = failOp(ops, id, "timeout", time.now());
+      time.tick(wait - 1);
+      expect(dueOps(ops, "alice", time.now())).toEqual([]);
+      time.tick(1);
+      expect(dueOps(ops, "alice", time.now())).toHaveLength(1);
+    }
+    expect(ops[0]).toMatchObject({ attempts: 3, status: "queued", lastError: "timeout" });
+  });
+
+  it("only hands out the signed-in user's ops", () => {
+    const time = clock();
+    const ops = [op(time), op(time, { uid: "bob" })];
+    expect(dueOps(ops, "bob", time.now()).map((o) => o.uid)).toEqual(["bob"]);
+  });
+});
+
+describe("enqueueOp", () => {
+  it("replaces a queued op for the same user and key", () => {
+    const time = clock();
+    const first = op(time, { payload: { v: 1 } });
+    time.tick(SECOND);
+    const second = op(time, { payload: { v: 2 } });
+    expect(enqueueOp([first], second)).toEqual([second]);
+  });
+
+  it("keeps ops for other keys and other users", () => {
+    const time = clock();
+    const a = op(time);
+    const b = op(time, { key: "prices:potion" });
+    const c = op(time, { uid: "bob" });
+    expect(enqueueOp(enqueueOp([a], b), c)).toEqual([a, b, c]);
+  });
+});
+
+describe("retry limits", () => {
+  it("stops at once on a permanent error", () => {
+    const time = clock();
+    const ops = [op(time)];
+    const failed = failOp(ops, ops[0].id, "permission-denied", time.now());
+    expect(failed[0]).toMatchObject({ attempts: 1, status: "failed", lastError: "permission-denied" });
+    expect(dueOps(failed, "alice", time.now() + OUTBOX_MAX_AGE_MS)).toEqual([]);
+  });
+
+  it("keeps retrying transient errors until the op is too old", () => {
+    const time = clock();
+    let ops = [op(time)];
+    const { id } = ops[0];
+    time.tick(OUTBOX_MAX_AGE_MS);
+    ops = failOp(ops, id, "unavailable", time.now());
+    expect(ops[0].status).toBe("queued");
+    time.tick(1);
+    ops = failOp(ops, id, "unavailable", time.now());
+    expect(ops[0]).toMatchObject({ status: "failed", lastError: "expired" });
+  });
+
+  it("expires queued ops that never got a chance to run", () => {
+    const time = clock();
+    const ops = [op(time)];
+    time.tick(OUTBOX_MAX_AGE_MS);
+    expect(expireOps(ops, time.now())).toBe(ops);
+    time.tick(1);
+    expect(expireOps(ops, time.now())[0]).toMatchObject({ status: "failed", lastError: "expired" });
+  });
+
+  it("a manual retry queues the op again with a fresh age limit", () => {
+    const time = clock();
+    let ops = [op(time)];
+    const { id } = ops[0];
+    ops = failOp(ops, id, "not-found", time.now());
+    time.tick(OUTBOX_MAX_AGE_MS);
+    ops = retryOp(ops, id, time.now());
+    expect(dueOps(ops, "alice", time.now())).toHaveLength(1);
+    expect(expireOps(ops, time.now() + OUTBOX_MAX_AGE_MS)).toBe(ops);
+  });
+});
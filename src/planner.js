@@ -0,0 +1,160 @@
+/**
+ * ==================
+ * Production planner
+ * ==================
+ * Given what is in the inventory, picks how many of each recipe to craft so
+ * that everything left over (materials and crafted products) sells for the
+ * most, minus what had to be bought.
+ * - everything in the inventory is sellable at netSell(market), whatever its mode
+ * - a shortfall of a "buy" mode material is bought at market price; other
+ *   materials and intermediate products are limited to what is in stock
+ * - intermediates are planned before the recipes that consume them
+ */
+import { netSell } from "./calc";
+
+// producers first: a recipe comes after every recipe it uses as an ingredient
+function craftOrder(recipes) {
+  const order = [];
+  const seen = new Set();
+  const visit = (id) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    for (const k of Object.keys(recipes[id] || {})) {
+      if (k in recipes) visit(k);
+    }
+    order.push(id);
+  };
+  Object.keys(recipes).forEach(visit);
+  return order;
+}
+
+/**
+ * - inventory: { key: qty } for materials and crafted products
+ * - recipes: { recipeId: { ingredientKey: qty } }
+ * - marketPrices / productPrices: market price per material / recipe output
+ * - maxPerRecipe: cap per recipe (buyable ingredients would otherwise be unbounded)
+ * Returns { crafts, buys, sells, revenue, buySpend, profit, baseline, gain, exact }.
+ * `exact` is false when the search hit nodeLimit and the best plan found so far is returned.
+ */
+export function planProduction({
+  inventory,
+  recipes,
+  marketPrices,
+  productPrices,
+  modes,
+  feeRate,
+  maxPerRecipe = 64,
+  nodeLimit = 100000,
+}) {
+  const order = craftOrder(recipes);
+  const position = Object.fromEntries(order.map((id, i) => [id, i]));
+  const price = (k) => Math.max(0, (k in recipes ? productPrices[k] : marketPrices[k]) ?? 0);
+  const sellValue = (k) => netSell(price(k), feeRate);
+  const buyable = (k) => !(k in recipes) && modes[k] === "buy" && price(k) > 0;
+
+  const ingredients = order.map((id) =>
+    Object.entries(recipes[id] || {}).filter(([, q]) => (q || 0) > 0)
+  );
+  // best case gain of one craft: every ingredient comes from stock
+  const gainUpper = order.map(
+    (id, i) => sellValue(id) - ingredients[i].reduce((acc, [k, q]) => acc + q * sellValue(k), 0)
+  );
+
+  // producers at `from` and later are still undecided and could add more of an ingredient
+  const maxCount = (i, stock, from = i) => {
+    let n = maxPerRecipe;
+    for (const [k, q] of ingredients[i]) {
+      if (buyable(k)) continue;
+      if (k in recipes && position[k] >= from) continue;
+      n = Math.min(n, Math.floor((stock[k] || 0) / q));
+    }
+    return Math.max(0, n);
+  };
+
+  const craft = (i, count, stock) => {
+    const next = { ...stock };
+    let delta = count * sellValue(order[i]);
+    let spend = 0;
+    const bought = {};
+    for (const [k, q] of ingredients[i]) {
+      const need = q * count;
+      const fromStock = Math.min(next[k] || 0, need);
+      const shortfall = need - fromStock;
+      if (shortfall > 0 && !buyable(k)) return null;
+      next[k] = (next[k] || 0) - fromStock;
+      delta -= fromStock * sellValue(k);
+      if (shortfall > 0) {
+        spend += shortfall * price(k);
+        bought[k] = shortfall;
+      }
+    }
+    next[order[i]] = (next[order[i]] || 0) + count;
+    return { stock: next, delta: delta - spend, spend, bought };
+  };
+
+  const start = Object.fromEntries(
+    Object.entries(inventory || {})
+      .map(([k, q]) => [k, Math.max(0, Math.floor(q || 0))])
+      .filter(([, q]) => q > 0)
+  );
+  const baseline = Object.entries(start).reduce((acc, [k, q]) => acc + q * sellValue(k), 0);
+
+  let best = { value: 0, counts: order.map(() => 0) };
+  let nodes = 0;
+  let exact = true;
+  const counts = order.map(() => 0);
+
+  const search = (i, stock, value) => {
+    if (value > best.value + 1e-9) best = { value, counts: [...counts] };
+    if (i >= order.length) return;
+    if (++nodes > nodeLimit) {
+      exact = false;
+      return;
+    }
+    let bound = value;
+    for (let j = i; j < order.length; j++) bound += Math.max(0, gainUpper[j]) * maxCount(j, stock, i);
+    if (bound <= best.value + 1e-9) return;
+
+    for (let c = maxCount(i, stock); c >= 0; c--) {
+      const step = c === 0 ? { stock, delta: 0 } : craft(i, c, stock);
+      if (!step) continue;
+      counts[i] = c;
+      search(i + 1, step.stock, value + step.delta);
+      counts[i] = 0;
+      if (!exact) return;
+    }
+  };
+  search(0, start, 0);
+
+  // replay the best counts to list purchases and what is left to sell
+  let stock = start;
+  let buySpend = 0;
+  const buys = {};
+  const crafts = [];
+  order.forEach((id, i) => {
+    const c = best.counts[i];
+    if (!c) return;
+    const step = craft(i, c, stock);
+    stock = step.stock;
+    buySpend += step.spend;
+    for (const [k, q] of Object.entries(step.bought)) buys[k] = (buys[k] || 0) + q;
+    crafts.push({ id, count: c });
+  });
+  const sells = Object.entries(stock)
+    .filter(([, q]) => q > 0)
+    .map(([key, qty]) => ({ key, qty, net: qty * sellValue(key) }));
+  const revenue = sells.reduce((acc, x) => acc + x.net, 0);
+  const profit = revenue - buySpend;
+
+  return {
+    crafts,
+    buys: Object.entries(buys).map(([key, qty]) => ({ key, qty })),
+    sells,
+    revenue,
+    buySpend,
+    profit,
+    baseline,
+    gain: profit - baseline,
+    exact,
+  };
+}
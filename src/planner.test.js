@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { planProduction } from "./planner";
+
+// per diamond a ring (2 → 7200) beats a crown (3 → 10500), though a crown gains more per craft
+const BASE = {
+  recipes: { ring: { diamond: 2 }, crown: { diamond: 3 } },
+  marketPrices: { diamond: 3000 },
+  productPrices: { ring: 7200, crown: 10500 },
+  modes: { diamond: "owned" },
+  feeRate: 0,
+};
+
+describe("planProduction", () => {
+  it("finds the best mix, not the best single craft", () => {
+    const six = planProduction({ ...BASE, inventory: { diamond: 6 } });
+    expect(six.crafts).toEqual([{ id: "ring", count: 3 }]);
+    expect(six).toMatchObject({ revenue: 21600, baseline: 18000, gain: 3600, exact: true });
+
+    const five = planProduction({ ...BASE, inventory: { diamond: 5 } });
+    expect(five.crafts).toEqual([
+      { id: "ring", count: 1 },
+      { id: "crown", count: 1 },
+    ]);
+    expect(five.gain).toBe(2700);
+  });
+
+  it("crafts intermediates before the recipes that use them", () => {
+    const plan = planProduction({
+      ...BASE,
+      inventory: { diamond: 3 },
+      recipes: { crown: { block: 1 }, block: { diamond: 3 } },
+      productPrices: { block: 8000, crown: 20000 },
+    });
+    expect(plan.crafts).toEqual([
+      { id: "block", count: 1 },
+      { id: "crown", count: 1 },
+    ]);
+    expect(plan.sells).toEqual([{ key: "crown", qty: 1, net: 20000 }]);
+    expect(plan.gain).toBe(11000);
+  });
+
+  it("buys shortfalls of buy-mode materials up to maxPerRecipe", () => {
+    const plan = planProduction({
+      ...BASE,
+      inventory: {},
+      recipes: { block: { gold: 2 } },
+      marketPrices: { gold: 1000 },
+      productPrices: { block: 3000 },
+      modes: { gold: "buy" },
+      maxPerRecipe: 5,
+    });
+    expect(plan.crafts).toEqual([{ id: "block", count: 5 }]);
+    expect(plan.buys).toEqual([{ key: "gold", qty: 10 }]);
+    expect(plan).toMatchObject({ buySpend: 10000, revenue: 15000, profit: 5000, gain: 5000 });
+  });
+
+  it("stops at nodeLimit with the best plan found so far", () => {
+    const plan = planProduction({ ...BASE, inventory: { diamond: 5 }, nodeLimit: 1 });
+    expect(plan.exact).toBe(false);
+    expect(plan.crafts).toEqual([{ id: "ring", count: 2 }]);
+    expect(plan.gain).toBe(2400);
+  });
+
+  it("plans nothing for an empty inventory", () => {
+    expect(planProduction({ ...BASE, inventory: {} })).toEqual({
+      crafts: [],
+      buys: [],
+      sells: [],
+      revenue: 0,
+      buySpend: 0,
+      profit: 0,
+      baseline: 0,
+      gain: 0,
+      exact: true,
+    });
+    expect(planProduction({ ...BASE, inventory: { diamond: 2 }, recipes: {} }).gain).toBe(0);
+  });
+});
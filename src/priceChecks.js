@@ -0,0 +1,90 @@
+/**
+ * ============
+ * Price checks
+ * ============
+ * Shared price saves are checked before they go out:
+ * - every edited price must be a plain non-negative number ("" clears it);
+ *   anything else is rejected instead of being read as 0 by toNum
+ * - a price more than OUTLIER_RATIO away from its rolling median (the last
+ *   MEDIAN_WINDOW saved values in priceHistory), or moving to or from 0,
+ *   needs a confirmation and a reason, and is filed for admin review with
+ *   the save:
+ *   priceReviews/{priceHistory id}:
+ *     { section, by, reason, outliers: [{ field, old, value, median }], status, at, reviewedBy, reviewedAt }
+ */
+
+import { historySeries } from "./priceHistory";
+import { PRICE_KEYS } from "./priceSync";
+
+export const OUTLIER_RATIO = 0.5;
+export const MEDIAN_WINDOW = 10;
+
+export const REVIEW_STATUSES = {
+  open: "검토 대기",
+  accepted: "정상 확인",
+  reverted: "되돌림",
+};
+
+const PRICE_PATTERN = /^\d+(\.\d+)?$/;
+
+// number, null for an empty value, NaN when it is not a price
+export function parsePrice(raw) {
+  if (typeof raw === "number") return Number.isFinite(raw) && raw >= 0 ? raw : NaN;
+  const t = String(raw ?? "").trim();
+  if (!t) return null;
+  return PRICE_PATTERN.test(t) ? Number(t) : NaN;
+}
+
+export function isValidPrice(raw) {
+  return !Number.isNaN(parsePrice(raw));
+}
+
+// only the price maps; modes and other options are not prices
+export function isPriceField(field) {
+  return PRICE_KEYS.includes(field.split(".")[0]);
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// median of the field's last MEDIAN_WINDOW saved values; null without history
+export function rollingMedian(entries, field) {
+  const points = historySeries(entries, field).slice(-MEDIAN_WINDOW);
+  return median(points.map((p) => p.value));
+}
+
+// 0 has no ratio to compare against, so any move to or from it is checked
+function isOutlier(value, old, ref) {
+  if (value === 0) return ref > 0 || old > 0;
+  if (ref === 0 || old === 0) return true;
+  return Math.abs(value - ref) / ref > OUTLIER_RATIO;
+}
+
+/**
+ * `changes` are [{ field, old, new }] about to be saved, `entries` recent
+ * priceHistory entries. Without history the previous value is the reference.
+ */
+export function checkPriceChanges(changes, entries) {
+  const invalid = [];
+  const outliers = [];
+  for (const c of changes || []) {
+    if (!isPriceField(c.field)) continue;
+    const value = parsePrice(c.new);
+    if (Number.isNaN(value)) {
+      invalid.push(c.field);
+      continue;
+    }
+    if (value == null) continue;
+    const old = parsePrice(c.old);
+    const ref = rollingMedian(entries, c.field) ?? old;
+    if (ref == null || Number.isNaN(ref)) continue;
+    if (isOutlier(value, old, ref)) {
+      outliers.push({ field: c.field, old: c.old ?? null, value, median: ref });
+    }
+  }
+  return { invalid, outliers };
+}
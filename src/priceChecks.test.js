@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { checkPriceChanges } from "./priceChecks";
+
+const FIELD = "prices.diamond.market";
+
+function history(...values) {
+  return values.map((v, i) => ({ at: new Date(Date.UTC(2026, 0, 1 + i)), changes: [{ field: FIELD, new: String(v) }] }));
+}
+
+function check(old, value, entries = []) {
+  return checkPriceChanges([{ field: FIELD, old, new: value }], entries);
+}
+
+describe("checkPriceChanges", () => {
+  it("rejects values that are not prices", () => {
+    expect(check("3000", "3,000").invalid).toEqual([FIELD]);
+    expect(check("3000", "-1").invalid).toEqual([FIELD]);
+    expect(check("3000", "").invalid).toEqual([]);
+  });
+
+  it("holds prices far from the rolling median", () => {
+    const entries = history(3000, 3100, 2900);
+    expect(check("3000", "4000", entries).outliers).toEqual([]);
+    expect(check("3000", "4600", entries).outliers).toEqual([{ field: FIELD, old: "3000", value: 4600, median: 3000 }]);
+  });
+
+  it("falls back to the previous value without history", () => {
+    expect(check("3000", "1000").outliers).toHaveLength(1);
+    expect(check(null, "1000").outliers).toEqual([]);
+  });
+
+  it("holds any move to or from 0", () => {
+    expect(check("0", "3000").outliers).toHaveLength(1);
+    expect(check("3000", "0").outliers).toHaveLength(1);
+    expect(check("3000", "3000", history(0, 0)).outliers).toHaveLength(1);
+    expect(check("0", "3000", history(3000, 3000)).outliers).toHaveLength(1);
+    expect(check("0", "0").outliers).toEqual([]);
+  });
+});
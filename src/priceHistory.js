@@ -0,0 +1,58 @@
+/**
+ * =============
+ * Price history
+ * =============
+ * Every shared price save appends an immutable priceHistory entry:
+ *   { section, by, at, fields: ["prices.diamond.market", ...], changes: [{ field, old, new }] }
+ * Fields are dot paths into the shared/prices document. A save confirmed past
+ * the outlier check also carries `review: { reason, fields }` (src/priceChecks.js).
+ */
+
+import { isPlainObject, toMillis } from "./values";
+
+// { a: { b: "1" } } -> { "a.b": "1" }
+export function flattenPrices(obj, prefix = "") {
+  const out = {};
+  if (!isPlainObject(obj)) return out;
+  for (const [k, v] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v)) Object.assign(out, flattenPrices(v, path));
+    else out[path] = v;
+  }
+  return out;
+}
+
+// changed fields between the last shared values and what is about to be saved
+export function diffPrices(before, after) {
+  const a = flattenPrices(before);
+  const b = flattenPrices(after);
+  const changes = [];
+  for (const [field, next] of Object.entries(b)) {
+    const prev = a[field];
+    const prevStr = prev == null ? "" : String(prev);
+    const nextStr = next == null ? "" : String(next);
+    if (prevStr !== nextStr) changes.push({ field, old: prev ?? null, new: next ?? null });
+  }
+  return changes;
+}
+
+export function buildHistoryEntry({ section, before, after, by }) {
+  const changes = diffPrices(before, after);
+  return { section, by, fields: changes.map((c) => c.field), changes };
+}
+
+// chart points for one field (or several aliases of it), oldest first; non-numeric values are skipped
+export function historySeries(entries, field) {
+  const fields = new Set(Array.isArray(field) ? field : [field]);
+  const points = [];
+  for (const e of entries || []) {
+    const t = toMillis(e.at);
+    if (t == null) continue;
+    for (const c of e.changes || []) {
+      if (!fields.has(c.field)) continue;
+      const value = Number(String(c.new ?? "").trim());
+      if (String(c.new ?? "").trim() && Number.isFinite(value)) points.push({ t, value, by: e.by });
+    }
+  }
+  return points.sort((a, b) => a.t - b.t);
+}
@@ -0,0 +1,113 @@
+/**
+ * =============
+ * Price reports
+ * =============
+ * Members report what they saw an item trade for:
+ *   priceReports/{id}: { field, price, observedAt, note, by: { uid, name, email }, at }
+ * `field` is a shared/prices price path (REPORT_FIELD_PATTERN, also enforced
+ * by firestore.rules). Only each member's latest report on a field from the
+ * last REPORT_WINDOW_MS counts, and a field needs MIN_REPORTS such members
+ * before anything is published, so no single member can set a price.
+ * The published shared/prices value is the time-weighted median: a report's
+ * weight halves every HALF_LIFE_MS of age, so fresh observations count most.
+ * A member who can save shared prices publishes the result (see App), except
+ * medians that fail the price checks (src/priceChecks.js); those wait for a
+ * manual save with a reason. Fields nobody reports on keep their manually
+ * saved price.
+ */
+
+import { checkPriceChanges } from "./priceChecks";
+import { PRICE_SECTIONS } from "./priceSync";
+import { toMillis } from "./values";
+
+export const REPORT_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+export const HALF_LIFE_MS = 12 * 60 * 60 * 1000;
+export const MIN_REPORTS = 3;
+export const MAX_NOTE_LENGTH = 200;
+
+// price leaves only: a report can never replace a whole map such as prices.diamond
+export const REPORT_FIELD_PATTERN = /^(ingotGrossPrice|gemGrossPrice|potionPrices\.\w+|prices\.\w+\.market|recipeSellPrices\.\w+)$/;
+
+export function isReportField(field) {
+  return typeof field === "string" && REPORT_FIELD_PATTERN.test(field);
+}
+
+export function reportWeight(report, nowMs) {
+  const age = Math.max(0, nowMs - (toMillis(report.observedAt) ?? nowMs));
+  return 0.5 ** (age / HALF_LIFE_MS);
+}
+
+// the price where the weights of cheaper reports first reach half the total
+export function weightedMedian(reports, nowMs) {
+  const rows = reports
+    .map((r) => ({ price: r.price, weight: reportWeight(r, nowMs) }))
+    .sort((a, b) => a.price - b.price);
+  const total = rows.reduce((sum, r) => sum + r.weight, 0);
+  if (!total) return null;
+  let acc = 0;
+  for (const r of rows) {
+    acc += r.weight;
+    if (acc >= total / 2) return r.price;
+  }
+  return rows[rows.length - 1].price;
+}
+
+// reports from the window on valid fields, each member's latest per field
+export function recentReports(reports, nowMs) {
+  const latest = new Map();
+  for (const r of reports || []) {
+    const at = toMillis(r.observedAt);
+    if (at == null || at <= nowMs - REPORT_WINDOW_MS || !Number.isFinite(r.price) || !isReportField(r.field)) continue;
+    const key = `${r.field} ${r.by?.uid || ""}`;
+    const prev = latest.get(key);
+    if (!prev || toMillis(prev.observedAt) < at) latest.set(key, r);
+  }
+  return [...latest.values()];
+}
+
+// { [field]: { median, count, min, max } } over the recent reports; count is the number of members
+export function aggregateReports(reports, nowMs) {
+  const byField = {};
+  for (const r of recentReports(reports, nowMs)) {
+    (byField[r.field] = byField[r.field] || []).push(r);
+  }
+  return Object.fromEntries(
+    Object.entries(byField).map(([field, rows]) => {
+      const prices = rows.map((r) => r.price);
+      return [
+        field,
+        { median: weightedMedian(rows, nowMs), count: rows.length, min: Math.min(...prices), max: Math.max(...prices) },
+      ];
+    })
+  );
+}
+
+export function sectionOf(field) {
+  if (!isReportField(field)) return null;
+  const key = field.split(".")[0];
+  return Object.entries(PRICE_SECTIONS).find(([, s]) => s.keys.includes(key))?.[0] || null;
+}
+
+/**
+ * What to publish for fields with enough reporters whose rounded median
+ * differs from `shared` (flat shared values, e.g. priceBase.values):
+ * - targets: { [section]: { [field]: "1234" } }
+ * - held: outliers against `entries` (recent priceHistory), left unpublished
+ */
+export function planPublish(stats, shared, entries) {
+  const changes = [];
+  for (const [field, st] of Object.entries(stats || {})) {
+    if (st.count < MIN_REPORTS || st.median == null || !sectionOf(field)) continue;
+    const value = String(Math.round(st.median));
+    if (String(shared?.[field] ?? "") !== value) changes.push({ field, old: shared?.[field] ?? null, new: value });
+  }
+  const { invalid, outliers } = checkPriceChanges(changes, entries);
+  const blocked = new Set([...invalid, ...outliers.map((o) => o.field)]);
+  const targets = {};
+  for (const c of changes) {
+    if (blocked.has(c.field)) continue;
+    const section = sectionOf(c.field);
+    (targets[section] = targets[section] || {})[c.field] = c.new;
+  }
+  return { targets, held: outliers };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { aggregateReports, isReportField, planPublish, sectionOf } from "./priceReports";
+
+const NOW = Date.UTC(2026, 0, 10);
+const HOUR = 60 * 60 * 1000;
+
+function report(field, price, uid, hoursAgo = 1) {
+  return { field, price, by: { uid }, observedAt: new Date(NOW - hoursAgo * HOUR) };
+}
+
+describe("report fields", () => {
+  it("accepts price leaves only", () => {
+    expect(isReportField("ingotGrossPrice")).toBe(true);
+    expect(isReportField("prices.diamond.market")).toBe(true);
+    expect(isReportField("potionPrices.p100")).toBe(true);
+    expect(isReportField("recipeSellPrices.r_1")).toBe(true);
+    expect(isReportField("prices.diamond")).toBe(false);
+    expect(isReportField("modes.diamond")).toBe(false);
+    expect(isReportField("revision")).toBe(false);
+  });
+
+  it("maps fields to their save section", () => {
+    expect(sectionOf("prices.diamond.market")).toBe("material");
+    expect(sectionOf("potionPrices.p100")).toBe("potion");
+    expect(sectionOf("prices.diamond")).toBe(null);
+  });
+});
+
+describe("aggregateReports", () => {
+  it("counts each member once, with their latest report", () => {
+    const stats = aggregateReports(
+      [
+        report("prices.diamond.market", 9000, "a", 1),
+        report("prices.diamond.market", 9500, "a", 5),
+        report("prices.diamond.market", 9900, "a", 9),
+      ],
+      NOW
+    );
+    expect(stats["prices.diamond.market"]).toEqual({ median: 9000, count: 1, min: 9000, max: 9000 });
+  });
+
+  it("drops reports outside the window and on invalid fields", () => {
+    const stats = aggregateReports([report("prices.diamond", 1, "a"), report("potionPrices.p100", 100, "a", 80)], NOW);
+    expect(stats).toEqual({});
+  });
+
+  it("weights recent reports more", () => {
+    const stats = aggregateReports(
+      [
+        report("potionPrices.p100", 100, "a", 1),
+        report("potionPrices.p100", 200, "b", 48),
+        report("potionPrices.p100", 300, "c", 48),
+      ],
+      NOW
+    );
+    expect(stats["potionPrices.p100"].median).toBe(100);
+  });
+});
+
+describe("planPublish", () => {
+  const reports = ["a", "b", "c"].flatMap((uid, i) => [
+    report("prices.diamond.market", 3000 + i * 50, uid),
+    report("potionPrices.p100", 50000, uid),
+  ]);
+  const stats = aggregateReports(reports, NOW);
+
+  it("publishes medians with enough members and holds outliers back", () => {
+    const plan = planPublish(stats, { "prices.diamond.market": "2900", "potionPrices.p100": "13000" }, []);
+    expect(plan.targets).toEqual({ material: { "prices.diamond.market": "3050" } });
+    expect(plan.held.map((o) => o.field)).toEqual(["potionPrices.p100"]);
+  });
+
+  it("needs MIN_REPORTS members", () => {
+    const few = aggregateReports(reports.filter((r) => r.by.uid !== "c"), NOW);
+    expect(planPublish(few, { "prices.diamond.market": "2900" }, []).targets).toEqual({});
+  });
+
+  it("skips fields that already hold the median", () => {
+    const plan = planPublish(stats, { "prices.diamond.market": "3050", "potionPrices.p100": "50000" }, []);
+    expect(plan).toEqual({ targets: {}, held: [] });
+  });
+});
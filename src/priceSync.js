@@ -0,0 +1,208 @@
+/**
+ * ==================
+ * Shared price sync
+ * ==================
+ * shared/prices carries a `revision` that every save bumps inside a
+ * transaction (firestore.rules rejects any other value), so saves never
+ * overwrite each other blindly.
+ *
+ * Local state keeps `priceBase`: { revision, values: { "prices.diamond.market": "2900", ... } },
+ * the shared value each field was last synced from. A field whose local value
+ * differs from its base is an unsaved edit:
+ * - incoming snapshots update untouched fields and leave edits alone
+ * - a save writes only the edits, on top of the document it just read
+ * - an edit whose shared value moved away from its base since is a conflict,
+ *   resolved field by field (mine / theirs / keep both) before saving
+ * Fields the shared document never had are not tracked and save as before.
+ *
+ * On top of that community layer sit the user's personal overrides,
+ * `priceOverrides`: { "potionPrices.p100": "13000", ... }. They are never
+ * saved; every calculation uses the effective price (override, else
+ * community).
+ */
+
+import { flattenPrices } from "./priceHistory";
+
+// top-level shared/prices keys per save section; `stamp` names its updatedAt*/updatedBy* fields
+export const PRICE_SECTIONS = {
+  common: { keys: ["ingotGrossPrice", "gemGrossPrice"], stamp: "Common" },
+  process: { keys: ["recipeSellPrices"], stamp: "Process" },
+  material: { keys: ["prices", "modes"], stamp: "Material" },
+  potion: { keys: ["potionPrices"], stamp: "Potion" },
+};
+
+// top-level state keys that hold prices and take personal overrides
+export const PRICE_KEYS = ["ingotGrossPrice", "gemGrossPrice", "prices", "recipeSellPrices", "potionPrices"];
+
+export const CONFLICT_CHOICES = {
+  mine: "내 값",
+  theirs: "공유 값",
+  both: "둘 다 유지",
+};
+
+function same(a, b) {
+  return String(a ?? "") === String(b ?? "");
+}
+
+// copy of `obj` with the dot path set to `value`
+function withPath(obj, parts, value) {
+  const [head, ...rest] = parts;
+  const src = obj != null && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+  return { ...src, [head]: rest.length ? withPath(src[head], rest, value) : value };
+}
+
+function applyPaths(obj, flat) {
+  return Object.entries(flat).reduce((acc, [path, value]) => withPath(acc, path.split("."), value), obj);
+}
+
+function pickKeys(obj, keys) {
+  return Object.fromEntries(keys.map((k) => [k, obj?.[k]]));
+}
+
+export function sectionValues(state, section) {
+  return pickKeys(state, PRICE_SECTIONS[section].keys);
+}
+
+/**
+ * State patch for a new shared/prices snapshot. `incoming` holds the values
+ * the app syncs (see App); returns the changed top-level keys plus priceBase.
+ */
+export function rebasePrices(state, incoming, revision) {
+  const keys = Object.keys(incoming);
+  const base = state?.priceBase?.values || {};
+  const local = flattenPrices(pickKeys(state, keys));
+  const nextBase = { ...base };
+  const take = {};
+  for (const [path, theirs] of Object.entries(flattenPrices(incoming))) {
+    const tracked = path in base;
+    if (!tracked || same(local[path], base[path])) {
+      take[path] = theirs;
+      nextBase[path] = theirs;
+    } else if (same(local[path], theirs)) {
+      nextBase[path] = theirs;
+    }
+  }
+  const next = applyPaths(pickKeys(state, keys), take);
+  return { ...next, priceBase: { revision: revision ?? 0, values: nextBase } };
+}
+
+// paths of `values` that are unsaved edits against `base` (everything when there is no base)
+export function editedPaths(values, base) {
+  const known = base?.values;
+  return Object.entries(flattenPrices(values))
+    .filter(([path, v]) => !known || !(path in known) || !same(v, known[path]))
+    .map(([path]) => path);
+}
+
+// [{ field, old, new }] that a save of `values` would send, old being the synced value
+export function pendingEdits(values, base, skip = []) {
+  const mine = flattenPrices(values);
+  return editedPaths(values, base)
+    .filter((path) => !skip.includes(path))
+    .map((path) => ({ field: path, old: base?.values?.[path] ?? null, new: mine[path] ?? null }));
+}
+
+// { "prices.diamond.market": "2900" } -> { prices: { diamond: { market: "2900" } } }
+export function nestPaths(flat) {
+  return applyPaths({}, flat);
+}
+
+// [{ field, base, mine, theirs }] for edits whose shared value changed underneath them
+export function findConflicts(values, base, current) {
+  if (!base?.values) return [];
+  const mine = flattenPrices(values);
+  const theirs = flattenPrices(current);
+  return editedPaths(values, base)
+    .filter((path) => path in base.values)
+    .filter((path) => !same(theirs[path], base.values[path]) && !same(theirs[path], mine[path]))
+    .map((path) => ({ field: path, base: base.values[path] ?? null, mine: mine[path] ?? null, theirs: theirs[path] ?? null }));
+}
+
+// the section as it should be written: the current document with my edits (minus `skip`) applied
+export function mergeForSave(section, values, base, current, skip = []) {
+  const mine = flattenPrices(values);
+  const edits = Object.fromEntries(
+    editedPaths(values, base)
+      .filter((path) => !skip.includes(path))
+      .map((path) => [path, mine[path]])
+  );
+  const merged = applyPaths(sectionValues(current, section), edits);
+  return Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Applies the dialog's choices ({ [field]: "mine" | "theirs" | "both" }).
+ * Every resolved field is rebased onto the shared value so it stops
+ * conflicting; "theirs" also takes it locally, "both" leaves it out of the
+ * save and keeps mine as a personal override.
+ */
+export function resolveConflicts(values, base, conflicts, choices) {
+  const baseValues = { ...(base?.values || {}) };
+  const take = {};
+  const skip = [];
+  for (const c of conflicts) {
+    const choice = choices[c.field] || "mine";
+    baseValues[c.field] = c.theirs;
+    if (choice === "theirs") take[c.field] = c.theirs;
+    if (choice === "both") skip.push(c.field);
+  }
+  return {
+    values: applyPaths(values, take),
+    base: { revision: base?.revision ?? 0, values: baseValues },
+    skip,
+  };
+}
+
+// local state patch for the same choices, applied to whatever the user has typed since
+export function resolutionPatch(state, conflicts, choices) {
+  const keys = [...new Set(conflicts.map((c) => c.field.split(".")[0]))];
+  const choiceOf = (c) => choices[c.field] || "mine";
+  const take = Object.fromEntries(
+    conflicts.filter((c) => choiceOf(c) !== "mine").map((c) => [c.field, c.theirs])
+  );
+  const keep = Object.fromEntries(conflicts.filter((c) => choiceOf(c) === "both").map((c) => [c.field, c.mine]));
+  const rebased = Object.fromEntries(conflicts.map((c) => [c.field, c.theirs]));
+  return {
+    ...applyPaths(pickKeys(state, keys), take),
+    priceBase: {
+      revision: state?.priceBase?.revision ?? 0,
+      values: { ...(state?.priceBase?.values || {}), ...rebased },
+    },
+    priceOverrides: { ...(state?.priceOverrides || {}), ...keep },
+  };
+}
+
+export function conflictError(conflicts, revision) {
+  return Object.assign(new Error("price-conflict"), { code: "price-conflict", conflicts, revision });
+}
+
+// state with every personal override applied, for calculations and display
+export function effectivePrices(state) {
+  return applyPaths(pickKeys(state, PRICE_KEYS), state?.priceOverrides || {});
+}
+
+export function communityPrice(state, path) {
+  return path.split(".").reduce((v, k) => (v != null && typeof v === "object" ? v[k] : undefined), state);
+}
+
+export function isOverridden(state, path) {
+  return path in (state?.priceOverrides || {});
+}
+
+// state patches; `paths` are fields edited together (e.g. the ingot price and its material entry)
+export function setPriceOverride(state, paths, value) {
+  return { priceOverrides: { ...(state?.priceOverrides || {}), ...Object.fromEntries(paths.map((p) => [p, value])) } };
+}
+
+export function setCommunityPrice(state, paths, value) {
+  const keys = [...new Set(paths.map((p) => p.split(".")[0]))];
+  return applyPaths(pickKeys(state, keys), Object.fromEntries(paths.map((p) => [p, value])));
+}
+
+// drops the overrides on `paths`, or all of them
+export function clearPriceOverrides(state, paths = null) {
+  if (!paths) return { priceOverrides: {} };
+  const next = { ...(state?.priceOverrides || {}) };
+  paths.forEach((p) => delete next[p]);
+  return { priceOverrides: next };
+}
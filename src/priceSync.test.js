@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { findConflicts, mergeForSave, rebasePrices, resolutionPatch, resolveConflicts } from "./priceSync";
+
+const DIAMOND = "prices.diamond.market";
+
+// synced at revision 3, then I edited the diamond price
+const base = { revision: 3, values: { [DIAMOND]: "3000", "prices.gold.market": "1000" } };
+const values = { prices: { diamond: { market: "3200" }, gold: { market: "1000" } }, modes: { diamond: "owned" } };
+
+function shared(diamond, gold = "1100") {
+  return { revision: 4, prices: { diamond: { market: diamond }, gold: { market: gold } }, modes: { diamond: "owned" } };
+}
+
+describe("findConflicts", () => {
+  it("saves my edit on top of other fields that moved", () => {
+    const current = shared("3000");
+    expect(findConflicts(values, base, current)).toEqual([]);
+    expect(mergeForSave("material", values, base, current)).toEqual({
+      prices: { diamond: { market: "3200" }, gold: { market: "1100" } },
+      modes: { diamond: "owned" },
+    });
+  });
+
+  it("is no conflict when the shared value already matches mine", () => {
+    expect(findConflicts(values, base, shared("3200"))).toEqual([]);
+  });
+
+  it("reports an edit whose shared value moved underneath it", () => {
+    expect(findConflicts(values, base, shared("3500"))).toEqual([
+      { field: DIAMOND, base: "3000", mine: "3200", theirs: "3500" },
+    ]);
+  });
+});
+
+describe("resolveConflicts", () => {
+  const current = shared("3500");
+  const conflicts = findConflicts(values, base, current);
+  const resolve = (choice) => {
+    const r = resolveConflicts(values, base, conflicts, { [DIAMOND]: choice });
+    // every choice settles the conflict against the same document
+    expect(findConflicts(r.values, r.base, current)).toEqual([]);
+    return { ...r, saved: mergeForSave("material", r.values, r.base, current, r.skip) };
+  };
+
+  it("mine: overwrites the shared value", () => {
+    const r = resolve("mine");
+    expect(r.skip).toEqual([]);
+    expect(r.base.values[DIAMOND]).toBe("3500");
+    expect(r.saved.prices.diamond.market).toBe("3200");
+  });
+
+  it("theirs: takes the shared value and saves nothing for it", () => {
+    const r = resolve("theirs");
+    expect(r.values.prices.diamond.market).toBe("3500");
+    expect(r.saved.prices.diamond.market).toBe("3500");
+  });
+
+  it("both: keeps the shared value and mine as a personal override", () => {
+    const r = resolve("both");
+    expect(r.skip).toEqual([DIAMOND]);
+    expect(r.saved.prices.diamond.market).toBe("3500");
+
+    const patch = resolutionPatch({ ...values, priceBase: base }, conflicts, { [DIAMOND]: "both" });
+    expect(patch.prices.diamond.market).toBe("3500");
+    expect(patch.priceOverrides).toEqual({ [DIAMOND]: "3200" });
+    expect(patch.priceBase.values[DIAMOND]).toBe("3500");
+  });
+});
+
+describe("rebasePrices", () => {
+  it("takes incoming values for untouched fields and leaves edits alone", () => {
+    const next = rebasePrices({ ...values, priceBase: base }, { prices: shared("3500").prices }, 4);
+    expect(next.prices).toEqual({ diamond: { market: "3200" }, gold: { market: "1100" } });
+    expect(next.priceBase).toEqual({ revision: 4, values: { [DIAMOND]: "3000", "prices.gold.market": "1100" } });
+  });
+});
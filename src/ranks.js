@@ -0,0 +1,55 @@
+/**
+ * ============
+ * Village ranks
+ * ============
+ * Ranks live on users/{uid}.rank and are assigned by leadership, never by the
+ * member. Each capability needs a minimum rank; admins have every capability.
+ * firestore.rules mirrors this table, so keep the two in sync.
+ */
+
+export const RANK_ORDER = ["이장", "부이장", "주민대표", "거주민", "입주자", "알바"];
+
+// capability -> lowest rank that has it
+export const RANK_CAPABILITIES = {
+  savePrices: "주민대표",
+  answerSuggestions: "주민대표",
+  assignRanks: "부이장",
+  approveMembers: "이장",
+};
+
+export const CAPABILITY_LABELS = {
+  savePrices: "공유 시세 저장",
+  answerSuggestions: "마을 건의 답변/상태 변경",
+  assignRanks: "하위 직급 지정",
+  approveMembers: "가입 승인",
+};
+
+// 0 = 이장; unknown or missing ranks sort after every known rank
+export function rankIndex(rank) {
+  const idx = RANK_ORDER.indexOf(rank);
+  return idx >= 0 ? idx : RANK_ORDER.length;
+}
+
+export function hasCapability({ rank, isAdmin }, capability) {
+  if (isAdmin) return true;
+  const min = RANK_CAPABILITIES[capability];
+  if (!min) return false;
+  return rankIndex(rank) <= rankIndex(min);
+}
+
+/**
+ * Whether `actor` may move someone from `fromRank` to `toRank`.
+ * Non-admins can only manage members strictly below them and only assign ranks below their own.
+ */
+export function canAssignRank({ rank, isAdmin }, fromRank, toRank) {
+  if (isAdmin) return true;
+  if (!hasCapability({ rank }, "assignRanks")) return false;
+  const mine = rankIndex(rank);
+  const toIdx = toRank ? rankIndex(toRank) : RANK_ORDER.length;
+  return rankIndex(fromRank) > mine && toIdx > mine;
+}
+
+// ranks `actor` may hand out ("" = no rank)
+export function assignableRanks(actor) {
+  return ["", ...RANK_ORDER].filter((r) => actor.isAdmin || (r === "" ? true : rankIndex(r) > rankIndex(actor.rank)));
+}
@@ -0,0 +1,148 @@
+/**
+ * ===================
+ * Skill rule tables
+ * ===================
+ * shared/rules holds the active, versioned rule tables; every published
+ * version is also kept under ruleVersions/{version}. Anything that fails
+ * validation is ignored and the built-in DEFAULT_RULES are used instead.
+ *
+ * Shape:
+ *   {
+ *     version: 3,
+ *     sageShardsByEnh: { "5": 4, ... },
+ *     gemExpert: { "1": { prob: 0.03, count: 1 }, ... },
+ *     flamingPick: { "1": { prob: 0.01, ingots: 1 }, ... },
+ *   }
+ */
+import { DEFAULT_RULES, ruleLevels } from "./calc";
+import { isPlainObject } from "./values";
+
+function isLevelKey(k) {
+  return /^\d+$/.test(String(k));
+}
+
+function isNonNegInt(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+function isProb(n) {
+  return typeof n === "number" && Number.isFinite(n) && n >= 0 && n <= 1;
+}
+
+/**
+ * Checks the table shape. Returns { rules, errors }; `rules` is null when invalid.
+ * Level keys are normalized to numbers so lookups by numeric level work.
+ */
+export function validateRules(raw) {
+  const errors = [];
+  if (!isPlainObject(raw)) return { rules: null, errors: ["규칙 문서가 비어 있거나 형식이 잘못되었습니다."] };
+
+  const table = (name, label, checkEntry) => {
+    const src = raw[name];
+    if (!isPlainObject(src) || Object.keys(src).length === 0) {
+      errors.push(`${label}: 레벨이 하나 이상 필요합니다.`);
+      return {};
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(src)) {
+      if (!isLevelKey(k)) {
+        errors.push(`${label}: 레벨 "${k}"는 0 이상의 정수여야 합니다.`);
+        continue;
+      }
+      const problem = checkEntry(v);
+      if (problem) errors.push(`${label} ${k}레벨: ${problem}`);
+      else out[Number(k)] = v;
+    }
+    return out;
+  };
+
+  const sageShardsByEnh = table("sageShardsByEnh", "세이지 곡괭이", (v) =>
+    isNonNegInt(v) ? null : "조각 수는 0 이상의 정수여야 합니다."
+  );
+  const gemExpert = table("gemExpert", "보석 전문가", (v) => {
+    if (!isPlainObject(v)) return "{ prob, count } 형식이어야 합니다.";
+    if (!isProb(v.prob)) return "확률은 0~1 사이여야 합니다.";
+    if (!isNonNegInt(v.count)) return "개수는 0 이상의 정수여야 합니다.";
+    return null;
+  });
+  const flamingPick = table("flamingPick", "불붙은 곡괭이", (v) => {
+    if (!isPlainObject(v)) return "{ prob, ingots } 형식이어야 합니다.";
+    if (!isProb(v.prob)) return "확률은 0~1 사이여야 합니다.";
+    if (!isNonNegInt(v.ingots) || v.ingots < 1) return "주괴 수는 1 이상의 정수여야 합니다.";
+    return null;
+  });
+
+  if (errors.length) return { rules: null, errors };
+  const version = Number.isInteger(raw.version) && raw.version > 0 ? raw.version : 0;
+  return {
+    rules: {
+      version,
+      sageShardsByEnh,
+      gemExpert: Object.fromEntries(
+        Object.entries(gemExpert).map(([k, v]) => [k, { prob: v.prob, count: v.count }])
+      ),
+      flamingPick: Object.fromEntries(
+        Object.entries(flamingPick).map(([k, v]) => [k, { prob: v.prob, ingots: v.ingots }])
+      ),
+    },
+    errors,
+  };
+}
+
+// active rules from a shared/rules snapshot, falling back to the built-in tables
+export function resolveRules(raw) {
+  if (!raw) return DEFAULT_RULES;
+  const { rules } = validateRules(raw);
+  return rules || DEFAULT_RULES;
+}
+
+/**
+ * Admin form <-> rule tables.
+ * Drafts keep strings (like every other input) and percentages for probabilities.
+ */
+export function rulesToDraft(rules) {
+  return {
+    sage: ruleLevels(rules.sageShardsByEnh).map((lv) => ({
+      level: String(lv),
+      shards: String(rules.sageShardsByEnh[lv]),
+    })),
+    gem: ruleLevels(rules.gemExpert).map((lv) => ({
+      level: String(lv),
+      probPct: String(+(rules.gemExpert[lv].prob * 100).toFixed(4)),
+      count: String(rules.gemExpert[lv].count),
+    })),
+    flame: ruleLevels(rules.flamingPick).map((lv) => ({
+      level: String(lv),
+      probPct: String(+(rules.flamingPick[lv].prob * 100).toFixed(4)),
+      ingots: String(rules.flamingPick[lv].ingots),
+    })),
+  };
+}
+
+// strict number parse: blanks and non-numeric text become NaN so validation reports them
+function parseStrict(v) {
+  const t = String(v ?? "").trim();
+  if (!t) return NaN;
+  const n = Number(t);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+export function draftToRules(draft) {
+  const duplicates = [];
+  for (const [name, label] of [["sage", "세이지 곡괭이"], ["gem", "보석 전문가"], ["flame", "불붙은 곡괭이"]]) {
+    const seen = new Set();
+    for (const r of draft[name] || []) {
+      const lv = String(r.level).trim();
+      if (seen.has(lv)) duplicates.push(`${label}: ${lv}레벨이 중복되었습니다.`);
+      seen.add(lv);
+    }
+  }
+  if (duplicates.length) return { rules: null, errors: duplicates };
+  const rows = (list, toValue) =>
+    Object.fromEntries((list || []).map((r) => [String(r.level).trim(), toValue(r)]));
+  return validateRules({
+    sageShardsByEnh: rows(draft.sage, (r) => parseStrict(r.shards)),
+    gemExpert: rows(draft.gem, (r) => ({ prob: parseStrict(r.probPct) / 100, count: parseStrict(r.count) })),
+    flamingPick: rows(draft.flame, (r) => ({ prob: parseStrict(r.probPct) / 100, ingots: parseStrict(r.ingots) })),
+  });
+}
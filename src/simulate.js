@@ -0,0 +1,103 @@
+/**
+ * =====================
+ * Monte Carlo simulation
+ * =====================
+ * Rolls mining sessions with the same rules as miningEVBreakdown:
+ * - flaming pick triggers -> its level's ingots instead of that dig's shards
+ * - gem drops roll independently on every dig
+ * Leftover shards are valued pro rata so the mean matches the EV.
+ */
+import { clamp01 } from "./calc";
+
+// small seeded PRNG so a given seed always renders the same result
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function percentile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * clamp01(q);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function histogram(values, binCount = 20) {
+  if (values.length === 0) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const bins = Math.max(1, binCount);
+  const width = max > min ? (max - min) / bins : 1;
+  const out = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const v of values) {
+    const idx = Math.min(bins - 1, Math.floor((v - min) / width));
+    out[idx].count += 1;
+  }
+  return out;
+}
+
+// value of a single session of `stamina` (net of sell fee, same units as the EV)
+export function simulateSession({
+  stamina,
+  staminaPerDig,
+  shardsPerDig,
+  shardsPerIngot,
+  ingotNet,
+  gemNet,
+  gemDropProb,
+  gemDropCount,
+  flamingIngotProb,
+  flamingIngotCount = 1,
+  rng,
+}) {
+  const digs = Math.floor(Math.max(0, stamina) / Math.max(1, staminaPerDig));
+  const pFlame = clamp01(flamingIngotProb);
+  const pGem = clamp01(gemDropProb);
+  let shards = 0;
+  let ingots = 0;
+  let gems = 0;
+  for (let i = 0; i < digs; i += 1) {
+    if (rng() < pFlame) ingots += Math.max(0, flamingIngotCount);
+    else shards += Math.max(0, shardsPerDig);
+    if (rng() < pGem) gems += Math.max(0, gemDropCount);
+  }
+  const ingotTotal = ingots + shards / Math.max(1, shardsPerIngot);
+  return { digs, ingots: ingotTotal, gems, value: ingotTotal * ingotNet + gems * gemNet };
+}
+
+/**
+ * Runs `runs` sessions and summarizes them.
+ * `cost` is what the stamina cost (e.g. a potion price); lossProb = P(value < cost).
+ */
+export function simulateSessions({ runs = 2000, seed = 1, cost = 0, bins = 20, ...session }) {
+  const rng = mulberry32(seed);
+  const n = Math.max(1, Math.floor(runs));
+  const values = new Array(n);
+  let total = 0;
+  let losses = 0;
+  for (let i = 0; i < n; i += 1) {
+    const { value } = simulateSession({ ...session, rng });
+    values[i] = value;
+    total += value;
+    if (value < cost) losses += 1;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    runs: n,
+    mean: total / n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    lossProb: losses / n,
+    histogram: histogram(values, bins),
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * ======================
+ * Stamina budget planner
+ * ======================
+ * Which potions to buy each day, and how many, for the most profit:
+ * - every point of stamina is worth evPerStamina when dug
+ * - natural regen is free; potions cost their market price
+ * - spend stays within the daily budget, and stamina within what can be
+ *   dug in the available play time (maxStamina, Infinity when unknown)
+ */
+
+/**
+ * - potions: [{ key, stamina, price, limit }] (limit = max per day, Infinity when unset)
+ * Returns { purchases, spend, potionStamina, regenStamina, usedStamina, profitPerDay, profitPerWeek, exact }.
+ */
+export function planPotionPurchases({
+  potions,
+  evPerStamina,
+  budget,
+  regen = 0,
+  maxStamina = Infinity,
+  nodeLimit = 100000,
+}) {
+  const ev = Math.max(0, evPerStamina || 0);
+  const regenStamina = Math.max(0, Math.min(regen || 0, maxStamina));
+  const staminaRoom = Math.max(0, maxStamina - regenStamina);
+  const money = Math.max(0, budget || 0);
+
+  // only potions that are priced and pay for themselves
+  const items = (potions || [])
+    .map((p) => ({ ...p, gain: p.stamina * ev - p.price }))
+    .filter((p) => p.price > 0 && p.stamina > 0 && p.gain > 0)
+    .sort((a, b) => b.gain / b.price - a.gain / a.price);
+
+  const maxCountFor = (p, budgetLeft, staminaLeft) => {
+    const limit = Number.isFinite(p.limit) ? Math.max(0, Math.floor(p.limit)) : Infinity;
+    const byStamina = Number.isFinite(staminaLeft) ? Math.floor(staminaLeft / p.stamina) : Infinity;
+    return Math.min(limit, Math.floor(budgetLeft / p.price), byStamina);
+  };
+
+  // each constraint alone caps what the remaining potions can add
+  const boundFrom = (i, budgetLeft, staminaLeft) => {
+    let bestPerWon = 0;
+    let bestPerStamina = 0;
+    for (let j = i; j < items.length; j++) {
+      bestPerWon = Math.max(bestPerWon, items[j].gain / items[j].price);
+      bestPerStamina = Math.max(bestPerStamina, items[j].gain / items[j].stamina);
+    }
+    return Math.min(budgetLeft * bestPerWon, Number.isFinite(staminaLeft) ? staminaLeft * bestPerStamina : Infinity);
+  };
+
+  let best = { value: 0, counts: items.map(() => 0) };
+  const counts = items.map(() => 0);
+  let nodes = 0;
+  let exact = true;
+
+  const search = (i, budgetLeft, staminaLeft, value) => {
+    if (value > best.value + 1e-9) best = { value, counts: [...counts] };
+    if (i >= items.length) return;
+    if (++nodes > nodeLimit) {
+      exact = false;
+      return;
+    }
+    if (value + boundFrom(i, budgetLeft, staminaLeft) <= best.value + 1e-9) return;
+    const p = items[i];
+    for (let c = maxCountFor(p, budgetLeft, staminaLeft); c >= 0; c--) {
+      counts[i] = c;
+      search(i + 1, budgetLeft - c * p.price, staminaLeft - c * p.stamina, value + c * p.gain);
+      counts[i] = 0;
+      if (!exact) return;
+    }
+  };
+  search(0, money, staminaRoom, 0);
+
+  const purchases = items
+    .map((p, i) => ({
+      key: p.key,
+      count: best.counts[i],
+      cost: best.counts[i] * p.price,
+      stamina: best.counts[i] * p.stamina,
+      profit: best.counts[i] * p.gain,
+    }))
+    .filter((x) => x.count > 0);
+  const spend = purchases.reduce((acc, x) => acc + x.cost, 0);
+  const potionStamina = purchases.reduce((acc, x) => acc + x.stamina, 0);
+  const profitPerDay = regenStamina * ev + best.value;
+
+  return {
+    purchases,
+    spend,
+    potionStamina,
+    regenStamina,
+    usedStamina: regenStamina + potionStamina,
+    profitPerDay,
+    profitPerWeek: profitPerDay * 7,
+    exact,
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * =======
+ * Tickets
+ * =======
+ * Feedback and village suggestions are the same kind of board: members file
+ * tickets, moderators triage them (status, priority, assignees, labels) and
+ * everyone discusses them in a comment thread.
+ *
+ * {collection}/{id}:
+ *   { type, title, body, visibility, authorUid, status, createdAt, editedAt,
+ *     priority, assignees: [uid], labels: [string], statusHistory: [{ from, to, by, at }],
+ *     voters: [uid] }
+ * {collection}/{id}/private/contact:
+ *   { contact } (admins only, so private details never reach other members)
+ * {collection}/{id}/comments/{commentId}:
+ *   { body, by: { uid, name, email }, official, createdAt }
+ * `voters` holds each member's uid at most once (boards with `votes`), so the
+ * count is its length. `official` marks a moderator answer. Older tickets may
+ * still carry a single `reply` string from before comments existed.
+ *
+ * Tickets belong to the Firebase uid in `authorUid`. Older ones only have
+ * `authorId`, a random id from the filing browser's localStorage. That id is
+ * public on public posts, so the browser cannot claim them itself; it records
+ *   legacyClients/{clientId}_{uid}: { clientId, uid, at }
+ * as a request only. Anyone who saw the id can file one too, so an admin, who
+ * can read every post, checks each request before handing a post over (see
+ * legacyHandovers). The first records were keyed by client id alone.
+ */
+
+import { toMillis } from "./values";
+
+export const TICKET_STATUSES = {
+  new: "접수",
+  progress: "진행중",
+  done: "완료",
+};
+
+export const TICKET_PRIORITIES = {
+  urgent: "긴급",
+  high: "높음",
+  normal: "보통",
+  low: "낮음",
+};
+
+export const DEFAULT_PRIORITY = "normal";
+
+export const TICKET_SORTS = {
+  priority: "우선순위순",
+  votes: "추천순",
+  newest: "최신순",
+  oldest: "오래된순",
+};
+
+// authors may edit or withdraw a ticket this long after filing; firestore.rules uses the same window
+export const AUTHOR_EDIT_WINDOW_MS = 60 * 60 * 1000;
+
+const MAX_LABELS = 8;
+const MAX_LABEL_LENGTH = 20;
+
+/**
+ * Per-board settings. `moderator` is the capability (src/ranks.js) needed to
+ * triage and answer; "admin" means admins only.
+ */
+export const TICKET_BOARDS = {
+  feedbacks: {
+    collection: "feedbacks",
+    formTitle: "개선점/오류 제보",
+    intro: "사용 중 문제점이나 개선 아이디어가 있으면 문의/피드백에 남겨주세요.",
+    listTitle: "문의 관리",
+    emptyText: "등록된 문의가 없습니다.",
+    submitLabel: "제보 등록",
+    titlePlaceholder: "예: 재료 시세 입력이 불편해요",
+    bodyPlaceholder: "어떤 문제가 있었는지, 개선 아이디어를 자세히 적어주세요.",
+    categories: { improve: "개선", bug: "오류/잘못된 점", other: "기타" },
+    customCategory: false,
+    moderator: "admin",
+    votes: false,
+    defaultSort: "priority",
+  },
+  villageSuggestions: {
+    collection: "villageSuggestions",
+    formTitle: "마을 건의함",
+    intro: "마을 관련 건의/문의는 여기에 남겨주세요.",
+    listTitle: "건의 관리",
+    emptyText: "등록된 건의가 없습니다.",
+    submitLabel: "등록",
+    titlePlaceholder: "예: 마을 상점에 아이템 추가 요청",
+    bodyPlaceholder: "건의 내용을 자세히 적어주세요.",
+    categories: { improve: "개선", bug: "오류/잘못된 점", other: "기타" },
+    // "other" asks for a free-form type, stored as-is
+    customCategory: true,
+    moderator: "answerSuggestions",
+    votes: true,
+    defaultSort: "votes",
+  },
+};
+
+export function categoryLabel(board, type) {
+  if (!type) return board.categories.other;
+  if (type in board.categories) return board.categories[type];
+  return board.customCategory ? String(type) : board.categories.improve;
+}
+
+export function statusLabel(status) {
+  return TICKET_STATUSES[status] || TICKET_STATUSES.new;
+}
+
+export function priorityOf(ticket) {
+  return ticket?.priority in TICKET_PRIORITIES ? ticket.priority : DEFAULT_PRIORITY;
+}
+
+// "버그, 상점,버그" -> ["버그", "상점"]
+export function parseLabels(text) {
+  const out = [];
+  for (const raw of String(text || "").split(",")) {
+    const label = raw.trim().slice(0, MAX_LABEL_LENGTH);
+    if (label && !out.includes(label)) out.push(label);
+  }
+  return out.slice(0, MAX_LABELS);
+}
+
+// statusHistory with one more transition; `at` is client time since arrays cannot hold serverTimestamp()
+export function withStatusChange(ticket, to, by, at) {
+  const from = ticket?.status || "new";
+  return [...(ticket?.statusHistory || []), { from, to, by, at }];
+}
+
+// filed by this user, or (legacy) from this browser before it was claimed
+export function isOwnTicket(ticket, uid, clientId) {
+  if (ticket?.authorUid) return !!uid && ticket.authorUid === uid;
+  return !!clientId && ticket?.authorId === clientId;
+}
+
+export function canAuthorEdit(ticket, uid, nowMs) {
+  const created = toMillis(ticket?.createdAt);
+  return !!uid && ticket?.authorUid === uid && created != null && nowMs - created < AUTHOR_EDIT_WINDOW_MS;
+}
+
+// legacy tickets with every account that asked for them; several accounts
+// on one ticket means someone else copied its client id
+export function legacyHandovers(tickets, claims) {
+  const byClient = new Map();
+  for (const claim of claims || []) {
+    if (!claim?.clientId || !claim.uid) continue;
+    byClient.set(claim.clientId, [...(byClient.get(claim.clientId) || []), claim]);
+  }
+  return (tickets || [])
+    .filter((t) => !t.authorUid && t.authorId && byClient.has(t.authorId))
+    .map((ticket) => ({ ticket, claims: byClient.get(ticket.authorId) }));
+}
+
+export function voteCount(ticket) {
+  return (ticket?.voters || []).length;
+}
+
+export function hasVoted(ticket, uid) {
+  return !!uid && (ticket?.voters || []).includes(uid);
+}
+
+/**
+ * - status: status key or "all"
+ * - type: raw type value ("" = any)
+ * - label: only tickets carrying it ("" = any)
+ * - assignee: only tickets assigned to this uid ("" = any)
+ * - mine: { uid, clientId } to keep only the user's own tickets (null = any)
+ * - sort: TICKET_SORTS key; ties go to the newest ticket
+ */
+export function filterTickets(
+  tickets,
+  { status = "all", type = "", label = "", assignee = "", mine = null, sort = "priority" }
+) {
+  const order = Object.keys(TICKET_PRIORITIES);
+  const time = (t) => toMillis(t?.createdAt) || 0;
+  const compare = {
+    priority: (a, b) => order.indexOf(priorityOf(a)) - order.indexOf(priorityOf(b)),
+    votes: (a, b) => voteCount(b) - voteCount(a),
+    newest: () => 0,
+    oldest: (a, b) => time(a) - time(b),
+  }[sort] || (() => 0);
+  return (tickets || [])
+    .filter((t) => status === "all" || (t.status || "new") === status)
+    .filter((t) => !type || (t.type || "other") === type)
+    .filter((t) => !label || (t.labels || []).includes(label))
+    .filter((t) => !assignee || (t.assignees || []).includes(assignee))
+    .filter((t) => !mine || isOwnTicket(t, mine.uid, mine.clientId))
+    .sort((a, b) => compare(a, b) || time(b) - time(a));
+}
+
+// every type in use, for the filter
+export function allTypes(tickets) {
+  return [...new Set((tickets || []).map((t) => t.type || "other"))].sort();
+}
+
+// every label in use, for the filter
+export function allLabels(tickets) {
+  return [...new Set((tickets || []).flatMap((t) => t.labels || []))].sort();
+}
@@ -0,0 +1,44 @@
+/**
+ * =====
+ * Trash
+ * =====
+ * Deleting a board post only sets deletedAt/deletedBy; the boards hide those
+ * posts and admins restore or purge them from the trash. Posts deleted longer
+ * than shared/trash.retentionDays ago are purged the next time an admin opens
+ * the app.
+ */
+
+import { toMillis } from "./values";
+
+export const TRASH_COLLECTIONS = {
+  feedbacks: "문의/피드백",
+  villageSuggestions: "마을 건의함",
+};
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const MAX_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// retention from a shared/trash snapshot, DEFAULT_RETENTION_DAYS when missing or invalid
+export function resolveRetentionDays(raw) {
+  const days = raw?.retentionDays;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) return DEFAULT_RETENTION_DAYS;
+  return days;
+}
+
+export function isDeleted(item) {
+  return item?.deletedAt != null;
+}
+
+// posts deleted before this time are due for purge
+export function purgeCutoff(nowMs, retentionDays) {
+  return nowMs - retentionDays * DAY_MS;
+}
+
+// whole days left before `item` is purged (0 = due now); null when not deleted
+export function daysUntilPurge(item, nowMs, retentionDays) {
+  const deletedMs = toMillis(item?.deletedAt);
+  if (deletedMs == null) return null;
+  return Math.max(0, Math.ceil((deletedMs + retentionDays * DAY_MS - nowMs) / DAY_MS));
+}
@@ -0,0 +1,69 @@
+/**
+ * ===================
+ * Upgrade ROI planner
+ * ===================
+ * Compares the next sage enhancement / skill level by how fast the extra
+ * expected value per stamina pays back its cost.
+ */
+import { DEFAULT_RULES, miningEVBreakdown, ruleLevels, skillEffects } from "./calc";
+
+// EV per stamina for a given set of skill levels; `market` holds the numeric non-skill inputs
+export function evPerStaminaForLevels(levels, market, rules = DEFAULT_RULES) {
+  const { shardsPerDig, gem, flame } = skillEffects(levels, rules);
+  return miningEVBreakdown({
+    staminaPerDig: market.staminaPerDig,
+    shardsPerDig,
+    shardsPerIngot: market.shardsPerIngot,
+    ingotGrossPrice: market.ingotGrossPrice,
+    gemDropProb: gem.prob,
+    gemDropCount: gem.count,
+    gemGrossPrice: market.gemGrossPrice,
+    flamingIngotProb: flame.prob,
+    flamingIngotCount: flame.ingots,
+    sellFeeRate: market.sellFeeRate,
+  }).totalPerStamina;
+}
+
+// every upgrade that is one step away from the current levels
+export function upgradeCandidates({ sageEnhLevel, gemExpertLevel, flamingPickLevel }, rules = DEFAULT_RULES) {
+  const out = [];
+  const nextLevel = (table, current) => ruleLevels(table).find((lv) => lv > (Number.isFinite(current) ? current : 0));
+  const nextSage = nextLevel(rules.sageShardsByEnh, sageEnhLevel);
+  if (nextSage != null) {
+    out.push({ key: "sage", label: "세이지 곡괭이 강화", field: "sageEnhLevel", from: sageEnhLevel, to: nextSage });
+  }
+  const nextGem = nextLevel(rules.gemExpert, gemExpertLevel);
+  if (nextGem != null) {
+    out.push({ key: "gem", label: "보석 전문가", field: "gemExpertLevel", from: gemExpertLevel || 0, to: nextGem });
+  }
+  const nextFlame = nextLevel(rules.flamingPick, flamingPickLevel);
+  if (nextFlame != null) {
+    out.push({ key: "flame", label: "불붙은 곡괭이", field: "flamingPickLevel", from: flamingPickLevel || 0, to: nextFlame });
+  }
+  return out;
+}
+
+/**
+ * Ranks the next upgrades by payback.
+ * - costs: { sage, gem, flame } in won (0 or missing = not priced)
+ * - dailyStamina: stamina spent per day, used for payback in days
+ * Unpriced or non-positive-gain upgrades sort last with payback = null.
+ */
+export function rankUpgrades({ levels, market, costs, dailyStamina, rules = DEFAULT_RULES }) {
+  const base = evPerStaminaForLevels(levels, market, rules);
+  const rows = upgradeCandidates(levels, rules).map((c) => {
+    const after = evPerStaminaForLevels({ ...levels, [c.field]: c.to }, market, rules);
+    const gainPerStamina = after - base;
+    const cost = Math.max(0, costs?.[c.key] ?? 0);
+    const priced = cost > 0 && gainPerStamina > 0;
+    const paybackStamina = priced ? cost / gainPerStamina : null;
+    const paybackDays = priced && dailyStamina > 0 ? paybackStamina / dailyStamina : null;
+    return { ...c, cost, basePerStamina: base, afterPerStamina: after, gainPerStamina, paybackStamina, paybackDays };
+  });
+  return rows.sort((a, b) => {
+    if (a.paybackStamina == null && b.paybackStamina == null) return b.gainPerStamina - a.gainPerStamina;
+    if (a.paybackStamina == null) return 1;
+    if (b.paybackStamina == null) return -1;
+    return a.paybackStamina - b.paybackStamina;
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * ======
+ * Values
+ * ======
+ * Shape helpers shared by the modules that read Firestore data.
+ */
+
+// a map, not null or an array
+export function isPlainObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+// Firestore Timestamp, Date or epoch millis -> millis; null for anything else
+export function toMillis(at) {
+  if (!at) return null;
+  if (typeof at.toDate === "function") return at.toDate().getTime();
+  if (at instanceof Date) return at.getTime();
+  if (typeof at === "number") return at;
+  return null;
+}
@@ -0,0 +1,87 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { deleteDoc, doc, serverTimestamp, setDoc, updateDoc } from "firebase/firestore";
+import { as, createEnv, newPost, seed, seedUsers } from "./env";
+
+let env;
+
+beforeAll(async () => {
+  env = await createEnv("demo-rules-admin");
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await seedUsers(env);
+});
+
+afterAll(async () => {
+  await env?.cleanup();
+});
+
+describe("users/{uid}", () => {
+  it("a new user creates only a pending record without a role", async () => {
+    await assertSucceeds(setDoc(doc(as(env, "newbie"), "users/newbie"), { uid: "newbie", status: "pending" }));
+    await assertFails(setDoc(doc(as(env, "eve"), "users/eve"), { uid: "eve", status: "approved" }));
+    await assertFails(setDoc(doc(as(env, "eve"), "users/eve"), { uid: "eve", status: "pending", role: "admin" }));
+  });
+
+  it("a member cannot set their own role or status", async () => {
+    const alice = as(env, "alice");
+    await assertFails(updateDoc(doc(alice, "users/alice"), { role: "admin" }));
+    await assertFails(updateDoc(doc(as(env, "pat"), "users/pat"), { status: "approved" }));
+    await assertFails(updateDoc(doc(alice, "users/alice"), { rank: "이장" }));
+    await assertSucceeds(updateDoc(doc(alice, "users/alice"), { nickname: "앨리스" }));
+  });
+
+  it("only admins change roles", async () => {
+    await assertFails(updateDoc(doc(as(env, "alice"), "users/bob"), { role: "admin" }));
+    await assertSucceeds(updateDoc(doc(as(env, "admin"), "users/bob"), { role: "admin" }));
+  });
+});
+
+describe("admin-published tables", () => {
+  const tables = {
+    "shared/rules": { version: 2 },
+    "shared/materials": { items: [] },
+    "ruleVersions/2": { version: 2 },
+  };
+
+  for (const [path, data] of Object.entries(tables)) {
+    it(`${path}: members cannot write, admins can`, async () => {
+      await assertFails(setDoc(doc(as(env, "alice"), path), data));
+      await assertFails(setDoc(doc(as(env, "chief"), path), data));
+      await assertFails(setDoc(doc(as(env, null), path), data));
+      await assertSucceeds(setDoc(doc(as(env, "admin"), path), data));
+    });
+  }
+  it("rules and materials saves are logged by admins only", async () => {
+    for (const action of ["rules.save", "materials.save"]) {
+      const entry = (uid) => ({
+        action,
+        by: { uid, name: "", email: "" },
+        target: { collection: "shared", id: action.split(".")[0] },
+        before: null,
+        after: null,
+        at: serverTimestamp(),
+      });
+      await assertFails(setDoc(doc(as(env, "chief"), `auditLog/${action}-chief`), entry("chief")));
+      await assertSucceeds(setDoc(doc(as(env, "admin"), `auditLog/${action}-admin`), entry("admin")));
+    }
+  });
+
+  it("saved rule versions cannot be overwritten or deleted", async () => {
+    await seed(env, { "ruleVersions/1": { version: 1 } });
+    await assertFails(setDoc(doc(as(env, "admin"), "ruleVersions/1"), { version: 1, hack: true }));
+    await assertFails(deleteDoc(doc(as(env, "admin"), "ruleVersions/1")));
+  });
+});
+
+describe("posting", () => {
+  for (const board of ["feedbacks", "villageSuggestions"]) {
+    it(`${board}: pending users cannot post, approved members can`, async () => {
+      await assertFails(setDoc(doc(as(env, "pat"), `${board}/p1`), newPost("pat")));
+      await assertFails(setDoc(doc(as(env, null), `${board}/p2`), newPost("")));
+      await assertSucceeds(setDoc(doc(as(env, "alice"), `${board}/p3`), newPost("alice")));
+    });
+  }
+});
@@ -0,0 +1,144 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc } from "firebase/firestore";
+import { as, createEnv, newPost, seed, seedUsers } from "./env";
+
+let env;
+
+beforeAll(async () => {
+  env = await createEnv("demo-rules-collections");
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await seedUsers(env);
+});
+
+afterAll(async () => {
+  await env?.cleanup();
+});
+
+describe("presence and villageProfiles", () => {
+  it("members write only their own presence", async () => {
+    await assertSucceeds(setDoc(doc(as(env, "alice"), "presence/alice"), { uid: "alice" }));
+    await assertFails(setDoc(doc(as(env, "alice"), "presence/bob"), { uid: "bob" }));
+    await assertFails(setDoc(doc(as(env, "alice"), "presence/alice"), { uid: "bob" }));
+    await assertSucceeds(getDoc(doc(as(env, "bob"), "presence/alice")));
+    await assertFails(getDoc(doc(as(env, null), "presence/alice")));
+  });
+
+  it("members write only their own profile; admins may delete any", async () => {
+    await assertSucceeds(setDoc(doc(as(env, "alice"), "villageProfiles/alice"), { uid: "alice", nickname: "앨리스" }));
+    await assertFails(setDoc(doc(as(env, "bob"), "villageProfiles/alice"), { uid: "alice", nickname: "밥" }));
+    await assertFails(setDoc(doc(as(env, "bob"), "villageProfiles/bob"), { uid: "alice" }));
+    await assertSucceeds(getDoc(doc(as(env, null), "villageProfiles/alice")));
+    await assertFails(deleteDoc(doc(as(env, "bob"), "villageProfiles/alice")));
+    await assertSucceeds(deleteDoc(doc(as(env, "admin"), "villageProfiles/alice")));
+  });
+});
+
+describe("shared/prices", () => {
+  const prices = { prices: { diamond: { market: "3000" } } };
+
+  it("is public to read", async () => {
+    await seed(env, { "shared/prices": { ...prices, revision: 1 } });
+    await assertSucceeds(getDoc(doc(as(env, null), "shared/prices")));
+  });
+
+  it("only 주민대표 and up save, and only the known keys", async () => {
+    await assertFails(setDoc(doc(as(env, "alice"), "shared/prices"), { ...prices, revision: 1 }));
+    await assertFails(setDoc(doc(as(env, "pat"), "shared/prices"), { ...prices, revision: 1 }));
+    await assertFails(setDoc(doc(as(env, "rep"), "shared/prices"), { ...prices, revision: 1, hack: true }));
+    await assertSucceeds(
+      setDoc(doc(as(env, "rep"), "shared/prices"), { ...prices, revision: 1, updatedAtMaterial: serverTimestamp() })
+    );
+  });
+
+  it("every save bumps the revision by one", async () => {
+    await seed(env, { "shared/prices": { ...prices, revision: 3 } });
+    const rep = as(env, "rep");
+    await assertFails(updateDoc(doc(rep, "shared/prices"), { "prices.diamond.market": "3100" }));
+    await assertFails(updateDoc(doc(rep, "shared/prices"), { "prices.diamond.market": "3100", revision: 3 }));
+    await assertSucceeds(updateDoc(doc(rep, "shared/prices"), { "prices.diamond.market": "3100", revision: 4 }));
+  });
+});
+
+describe("priceHistory", () => {
+  const entry = (uid) => ({ section: "material", by: { uid }, fields: [], changes: [], at: serverTimestamp() });
+
+  it("is appended by the saving member only", async () => {
+    await assertSucceeds(setDoc(doc(as(env, "rep"), "priceHistory/h1"), entry("rep")));
+    await assertFails(setDoc(doc(as(env, "rep"), "priceHistory/h2"), entry("bob")));
+    await assertFails(setDoc(doc(as(env, "alice"), "priceHistory/h3"), entry("alice")));
+  });
+
+  it("cannot be changed or deleted, even by admins", async () => {
+    await seed(env, { "priceHistory/h1": { ...entry("rep"), at: new Date() } });
+    await assertFails(updateDoc(doc(as(env, "rep"), "priceHistory/h1"), { fields: ["x"] }));
+    await assertFails(deleteDoc(doc(as(env, "rep"), "priceHistory/h1")));
+    await assertFails(deleteDoc(doc(as(env, "admin"), "priceHistory/h1")));
+  });
+});
+
+describe("legacyClients", () => {
+  const request = (uid) => ({ clientId: "c_legacy", uid, at: serverTimestamp() });
+
+  it("approved members file only their own request; only admins read them", async () => {
+    await assertSucceeds(setDoc(doc(as(env, "alice"), "legacyClients/c_legacy_alice"), request("alice")));
+    // a second account may ask for the same browser; an admin decides
+    await assertSucceeds(setDoc(doc(as(env, "bob"), "legacyClients/c_legacy_bob"), request("bob")));
+    await assertFails(setDoc(doc(as(env, "bob"), "legacyClients/c_legacy_alice"), request("alice")));
+    await assertFails(setDoc(doc(as(env, "bob"), "legacyClients/c_legacy"), request("bob")));
+    await assertFails(setDoc(doc(as(env, "pat"), "legacyClients/c_legacy_pat"), request("pat")));
+    await assertFails(getDoc(doc(as(env, "alice"), "legacyClients/c_legacy_alice")));
+    await assertSucceeds(getDoc(doc(as(env, "admin"), "legacyClients/c_legacy_alice")));
+  });
+});
+
+describe("boards", () => {
+  beforeEach(async () => {
+    await seed(env, {
+      "feedbacks/t1": newPost("alice"),
+      "villageSuggestions/t1": newPost("alice"),
+    });
+  });
+
+  it("feedbacks: only admins change status, reply or delete", async () => {
+    for (const uid of ["alice", "bob", "rep"]) {
+      const db = as(env, uid);
+      await assertFails(updateDoc(doc(db, "feedbacks/t1"), { status: "done" }));
+      await assertFails(updateDoc(doc(db, "feedbacks/t1"), { reply: "답변" }));
+      await assertFails(deleteDoc(doc(db, "feedbacks/t1")));
+    }
+    const admin = as(env, "admin");
+    await assertSucceeds(updateDoc(doc(admin, "feedbacks/t1"), { status: "done" }));
+    await assertSucceeds(updateDoc(doc(admin, "feedbacks/t1"), { reply: "답변" }));
+    await assertSucceeds(deleteDoc(doc(admin, "feedbacks/t1")));
+  });
+
+  // 주민대표 and up answer suggestions since village ranks; deleting stays admin-only
+  it("villageSuggestions: members cannot change status, reply or delete", async () => {
+    for (const uid of ["alice", "bob"]) {
+      const db = as(env, uid);
+      await assertFails(updateDoc(doc(db, "villageSuggestions/t1"), { status: "done" }));
+      await assertFails(updateDoc(doc(db, "villageSuggestions/t1"), { reply: "답변" }));
+      await assertFails(deleteDoc(doc(db, "villageSuggestions/t1")));
+    }
+    await assertSucceeds(updateDoc(doc(as(env, "rep"), "villageSuggestions/t1"), { status: "progress" }));
+    await assertFails(deleteDoc(doc(as(env, "rep"), "villageSuggestions/t1")));
+    await assertSucceeds(updateDoc(doc(as(env, "admin"), "villageSuggestions/t1"), { reply: "답변" }));
+    await assertSucceeds(deleteDoc(doc(as(env, "admin"), "villageSuggestions/t1")));
+  });
+
+  // a legacy post's client id may be public, so only an admin hands it over
+  it("members cannot claim a legacy post for themselves", async () => {
+    const { authorUid: _authorUid, ...legacy } = newPost("alice", { authorId: "c_legacy" });
+    await seed(env, { "feedbacks/old": legacy, "villageSuggestions/old": legacy });
+    for (const board of ["feedbacks", "villageSuggestions"]) {
+      for (const uid of ["alice", "bob", "pat"]) {
+        await assertFails(updateDoc(doc(as(env, uid), `${board}/old`), { authorUid: uid }));
+      }
+      await assertSucceeds(updateDoc(doc(as(env, "admin"), `${board}/old`), { authorUid: "alice" }));
+    }
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * ==================
+ * Rules test helpers
+ * ==================
+ * Specs run against the local Firestore emulator (npm run test:rules starts
+ * it). Each spec seeds what it needs with the rules off, then acts as one of
+ * the users below.
+ */
+
+import { readFileSync } from "node:fs";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { doc, serverTimestamp, setDoc } from "firebase/firestore";
+
+// users/{uid} documents seeded by seedUsers
+export const USERS = {
+  admin: { status: "approved", role: "admin" },
+  chief: { status: "approved", rank: "이장" },
+  rep: { status: "approved", rank: "주민대표" },
+  alice: { status: "approved", rank: "거주민" },
+  bob: { status: "approved", rank: "거주민" },
+  pat: { status: "pending" },
+};
+
+export function createEnv(projectId) {
+  return initializeTestEnvironment({
+    projectId,
+    firestore: { rules: readFileSync(new URL("../../firestore.rules", import.meta.url), "utf8") },
+  });
+}
+
+// seeds documents with the rules off: { "users/alice": { ... }, ... }
+export function seed(env, docs) {
+  return env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore();
+    await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+  });
+}
+
+export function seedUsers(env) {
+  return seed(env, Object.fromEntries(Object.entries(USERS).map(([uid, u]) => [`users/${uid}`, { uid, ...u }])));
+}
+
+export function as(env, uid) {
+  return uid ? env.authenticatedContext(uid).firestore() : env.unauthenticatedContext().firestore();
+}
+
+// a post as the boards file it (src/App.jsx TicketBoard.submit)
+export function newPost(uid, patch = {}) {
+  return {
+    type: "improve",
+    title: "제목",
+    body: "내용",
+    visibility: "public",
+    authorUid: uid,
+    status: "new",
+    createdAt: serverTimestamp(),
+    ...patch,
+  };
+}
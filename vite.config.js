@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // test/rules needs the Firestore emulator: npm run test:rules
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config'
+
+// firestore.rules specs, run inside `firebase emulators:exec` (npm run test:rules)
+export default defineConfig({
+  test: {
+    include: ['test/rules/**/*.test.js'],
+    fileParallelism: false,
+    testTimeout: 20000,
+    hookTimeout: 20000,
+  },
+})